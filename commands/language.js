@@ -0,0 +1,55 @@
+const { SlashCommandBuilder } = require('discord.js');
+const PreferenceService = require('../services/preferenceService');
+const { SubscriptionError } = require('../utils/errors');
+const { DEFAULT_LANGUAGE, SUPPORTED_LANGUAGES, getTranslator } = require('../utils/i18n');
+const logger = require('../utils/logger');
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('language')
+    .setDescription('Choose the language of bot messages')
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('set')
+        .setDescription('Set the language of your bot messages and reminders')
+        .addStringOption(option =>
+          option
+            .setName('language')
+            .setDescription('Your language, or automatic to follow the server and your Discord settings')
+            .setRequired(true)
+            .addChoices(
+              { name: 'Automatic', value: 'auto' },
+              ...Object.entries(SUPPORTED_LANGUAGES).map(([value, name]) => ({ name, value }))
+            )
+        )
+    ),
+
+  async execute(interaction) {
+    let t = getTranslator(DEFAULT_LANGUAGE);
+
+    try {
+      t = getTranslator(await PreferenceService.getInteractionLanguage(interaction));
+      const choice = interaction.options.getString('language');
+
+      // Automatic clears the personal choice so the server and client languages apply again
+      await PreferenceService.setLanguage(interaction.user.id, choice === 'auto' ? null : choice);
+
+      const language = await PreferenceService.getInteractionLanguage(interaction);
+      t = getTranslator(language);
+
+      await interaction.reply({
+        content: t(choice === 'auto' ? 'language.reset' : 'language.set', { language: SUPPORTED_LANGUAGES[language] }),
+        ephemeral: true
+      });
+    } catch (error) {
+      if (!(error instanceof SubscriptionError)) {
+        logger.error(`Error executing language command: ${error.message}`, error.stack);
+      }
+
+      await interaction.reply({
+        content: error instanceof SubscriptionError ? `❌ ${error.localize(t)}` : `❌ ${t('errors.generic')}`,
+        ephemeral: true
+      });
+    }
+  }
+};
@@ -0,0 +1,36 @@
+const { SlashCommandBuilder } = require('discord.js');
+const PreferenceService = require('../services/preferenceService');
+const { DEFAULT_LANGUAGE, getTranslator } = require('../utils/i18n');
+const subscriptionCommand = require('./subscription');
+const logger = require('../utils/logger');
+
+module.exports = {
+  // Unlike /subscription status this needs no permissions, so every member can see
+  // their own subscription with the Renew and Remind me buttons
+  data: new SlashCommandBuilder()
+    .setName('mystatus')
+    .setDescription('Show your own subscription status')
+    .setDMPermission(false),
+
+  async execute(interaction) {
+    let t = getTranslator(DEFAULT_LANGUAGE);
+
+    // Keep the member's subscription private to them
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+      t = getTranslator(await PreferenceService.getInteractionLanguage(interaction));
+      const timezone = await PreferenceService.getInteractionTimezone(interaction);
+
+      // The buttons are routed to /subscription, which checks them on every click
+      await interaction.editReply(await subscriptionCommand.createStatusMessage(
+        interaction.guildId, interaction.user, interaction.user, interaction.memberPermissions, t, timezone
+      ));
+
+      logger.debug(`Own subscription status checked by ${interaction.user.tag}`);
+    } catch (error) {
+      logger.error(`Failed to get own subscription status for ${interaction.user.tag}`, error.stack);
+      await interaction.editReply({ content: `❌ ${t('errors.generic')}` });
+    }
+  }
+};
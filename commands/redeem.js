@@ -0,0 +1,101 @@
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const CodeService = require('../services/codeService');
+const GuildConfigService = require('../services/guildConfigService');
+const PreferenceService = require('../services/preferenceService');
+const { SubscriptionError } = require('../utils/errors');
+const { DEFAULT_LANGUAGE, getTranslator } = require('../utils/i18n');
+const { formatDuration } = require('../utils/timeUtils');
+const logger = require('../utils/logger');
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('redeem')
+    .setDescription('Redeem a subscription code')
+    .addStringOption(option =>
+      option
+        .setName('code')
+        .setDescription('Code from your purchase, e.g. K7QM-2XWD-9PRT')
+        .setRequired(true)
+        .setMaxLength(32)
+    )
+    .setDMPermission(false),
+
+  // Message command aliases
+  aliases: ['redeem'],
+
+  async execute(interaction) {
+    let t = getTranslator(DEFAULT_LANGUAGE);
+
+    // Keep the code and the result private to the member
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+      t = getTranslator(await PreferenceService.getInteractionLanguage(interaction));
+      const result = await CodeService.redeemCode(interaction.guild, interaction.user, interaction.options.getString('code'));
+      await interaction.editReply({ embeds: [this.createRedeemEmbed(interaction.user, result, t)] });
+    } catch (error) {
+      await interaction.editReply({ content: this.getErrorMessage(error, t) });
+    }
+  },
+
+  // Message command handler for !v redeem <code>
+  async handleMessageCommand(message, args) {
+    const input = args.slice(1).join('');
+    let t = getTranslator(DEFAULT_LANGUAGE);
+
+    // Don't leave the code visible in the channel
+    if (message.guild) {
+      await message.delete().catch(() => null);
+    }
+
+    try {
+      t = getTranslator(await PreferenceService.getMemberLanguage(message.guild, message.author.id));
+
+      if (!message.guild) {
+        return await message.reply(`❌ ${t('redeem.guildOnly')}`);
+      }
+
+      if (!input) {
+        return await message.channel.send(`❌ ${t('redeem.missingCode', { user: `${message.author}` })}`);
+      }
+
+      const result = await CodeService.redeemCode(message.guild, message.author, input, { source: 'message' });
+      await message.channel.send({
+        content: `${message.author}`,
+        embeds: [this.createRedeemEmbed(message.author, result, t)]
+      });
+    } catch (error) {
+      await message.channel.send(`${message.author} ${this.getErrorMessage(error, t)}`);
+    }
+  },
+
+  // Build the success embed shown after a code was redeemed
+  createRedeemEmbed(user, { subscription, isNew, plan, duration }, t) {
+    const timestamp = Math.floor(subscription.expiresAt.getTime() / 1000);
+
+    return new EmbedBuilder()
+      .setColor(plan ? plan.color : 0x00FF00)
+      .setTitle(t('redeem.title'))
+      .setDescription(isNew ? t('redeem.activated') : t('redeem.extended'))
+      .addFields(
+        { name: t('fields.tier'), value: plan ? plan.name : t('common.default'), inline: true },
+        { name: t('redeem.added'), value: formatDuration(duration, t.language), inline: true },
+        { name: t('fields.expires'), value: `<t:${timestamp}:F> (<t:${timestamp}:R>)`, inline: false }
+      )
+      .setFooter({ 
+        text: `${t('footer.redeemedBy', { tag: user.tag })} • by roster`, 
+        iconURL: GuildConfigService.getBrandingIconUrl(subscription.guildId) 
+      })
+      .setTimestamp();
+  },
+
+  // Turn a redemption error into a reply safe to show to the member
+  getErrorMessage(error, t) {
+    if (error instanceof SubscriptionError) {
+      return `❌ ${error.localize(t)}`;
+    }
+
+    logger.error(`Error redeeming code: ${error.message}`, error.stack);
+    return `❌ ${t('redeem.error')}`;
+  }
+};
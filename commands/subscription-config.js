@@ -0,0 +1,418 @@
+const { SlashCommandBuilder, PermissionFlagsBits, EmbedBuilder, ChannelType } = require('discord.js');
+const GuildConfigService = require('../services/guildConfigService');
+const NotificationService = require('../services/notificationService');
+const { SubscriptionError, ValidationError } = require('../utils/errors');
+const { parseTimeSpan, formatTimeSpan } = require('../utils/timeUtils');
+const { SUPPORTED_LANGUAGES } = require('../utils/i18n');
+const logger = require('../utils/logger');
+
+// Channel types that can receive notifications and logs
+const MESSAGE_CHANNEL_TYPES = [ChannelType.GuildText, ChannelType.GuildAnnouncement];
+
+// Display names of the settings, in the order they are shown
+const SETTING_LABELS = {
+  defaultRoleId: 'Subscriber role',
+  notificationChannelId: 'Notification channel',
+  logChannelId: 'Log channel',
+  gracePeriodHours: 'Grace period',
+  memberLeaveMode: 'When members leave',
+  brandingIconUrl: 'Branding icon',
+  shopUrl: 'Shop link',
+  reminders: 'Reminders',
+  dmExpiryWarnings: 'Expiry warning DMs',
+  dmGraceNotice: 'Grace period DMs',
+  reminderFallback: 'Reminder fallback',
+  reminderChannelId: 'Reminders channel',
+  language: 'Language'
+};
+
+// Display names of the reminder fallback modes
+const REMINDER_FALLBACK_LABELS = {
+  none: 'None',
+  channel: 'Ping in the reminders channel',
+  thread: 'Private thread per member'
+};
+
+// Permissions the bot needs in the reminders channel, per fallback mode
+const REMINDER_CHANNEL_PERMISSIONS = {
+  channel: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages],
+  thread: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.CreatePrivateThreads, PermissionFlagsBits.SendMessagesInThreads]
+};
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('subscription-config')
+    .setDescription('View and change the subscription settings of this server')
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('view')
+        .setDescription('Show the current settings')
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('set')
+        .setDescription('Change one or more settings')
+        .addRoleOption(option =>
+          option
+            .setName('role')
+            .setDescription('Role granted by subscriptions without a tier')
+            .setRequired(false)
+        )
+        .addChannelOption(option =>
+          option
+            .setName('notification_channel')
+            .setDescription('Channel for subscription notifications')
+            .addChannelTypes(...MESSAGE_CHANNEL_TYPES)
+            .setRequired(false)
+        )
+        .addChannelOption(option =>
+          option
+            .setName('log_channel')
+            .setDescription('Channel for configuration changes, undeliverable DMs and role audits')
+            .addChannelTypes(...MESSAGE_CHANNEL_TYPES)
+            .setRequired(false)
+        )
+        .addNumberOption(option =>
+          option
+            .setName('grace_period_hours')
+            .setDescription('Hours an expired subscription keeps its role (0 to remove it right away)')
+            .setMinValue(0)
+            .setMaxValue(720)
+            .setRequired(false)
+        )
+        .addStringOption(option =>
+          option
+            .setName('member_leave_mode')
+            .setDescription('What happens to the remaining time when a subscriber leaves')
+            .addChoices(
+              { name: 'Keep running', value: 'keep' },
+              { name: 'Freeze until they rejoin', value: 'freeze' }
+            )
+            .setRequired(false)
+        )
+        .addStringOption(option =>
+          option
+            .setName('branding_icon')
+            .setDescription('https:// URL of the icon shown in embed footers')
+            .setMaxLength(500)
+            .setRequired(false)
+        )
+        .addStringOption(option =>
+          option
+            .setName('shop_url')
+            .setDescription('https:// URL of the shop behind the Renew button members see on their status')
+            .setMaxLength(500)
+            .setRequired(false)
+        )
+        .addBooleanOption(option =>
+          option
+            .setName('dm_expiry_warnings')
+            .setDescription('DM members the reminders before their subscription expires')
+            .setRequired(false)
+        )
+        .addBooleanOption(option =>
+          option
+            .setName('dm_grace_notice')
+            .setDescription('DM members when their subscription lapses into the grace period')
+            .setRequired(false)
+        )
+        .addStringOption(option =>
+          option
+            .setName('reminder_fallback')
+            .setDescription('Where warnings go when a member does not accept DMs')
+            .addChoices(
+              ...Object.entries(REMINDER_FALLBACK_LABELS).map(([value, name]) => ({ name, value }))
+            )
+            .setRequired(false)
+        )
+        .addChannelOption(option =>
+          option
+            .setName('reminder_channel')
+            .setDescription('Channel for the reminder fallback')
+            .addChannelTypes(ChannelType.GuildText)
+            .setRequired(false)
+        )
+        .addStringOption(option =>
+          option
+            .setName('language')
+            .setDescription('Language of notifications and replies (members can choose their own with /language)')
+            .addChoices(
+              { name: 'Server locale', value: 'auto' },
+              ...Object.entries(SUPPORTED_LANGUAGES).map(([value, name]) => ({ name, value }))
+            )
+            .setRequired(false)
+        )
+    )
+    .addSubcommandGroup(group =>
+      group
+        .setName('reminders')
+        .setDescription('Manage the reminders sent before a subscription expires')
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('add')
+            .setDescription('Add a reminder or change its message')
+            .addStringOption(option =>
+              option
+                .setName('before')
+                .setDescription('How long before expiry, e.g. 7d, 3d, 1h or 1d12h')
+                .setRequired(true)
+                .setMaxLength(20)
+            )
+            .addStringOption(option =>
+              option
+                .setName('message')
+                .setDescription('Message text, may use {user}, {server}, {expires} and {remaining}')
+                .setRequired(true)
+                .setMaxLength(500)
+            )
+        )
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('remove')
+            .setDescription('Remove a reminder')
+            .addStringOption(option =>
+              option
+                .setName('before')
+                .setDescription('How long before expiry the reminder is sent, e.g. 1d')
+                .setRequired(true)
+                .setMaxLength(20)
+            )
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('reset')
+        .setDescription('Put a setting back to its default')
+        .addStringOption(option =>
+          option
+            .setName('setting')
+            .setDescription('Setting to reset')
+            .setRequired(true)
+            .addChoices(
+              ...Object.entries(SETTING_LABELS).map(([value, name]) => ({ name, value })),
+              { name: 'All settings', value: 'all' }
+            )
+        )
+    )
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+    .setDMPermission(false),
+
+  async execute(interaction) {
+    try {
+      if (interaction.options.getSubcommandGroup(false) === 'reminders') {
+        await this.handleReminders(interaction);
+        return;
+      }
+
+      switch (interaction.options.getSubcommand()) {
+        case 'view':
+          await this.handleView(interaction);
+          break;
+        case 'set':
+          await this.handleSet(interaction);
+          break;
+        case 'reset':
+          await this.handleReset(interaction);
+          break;
+        default:
+          await interaction.reply({ content: '❌ Unknown subcommand.', ephemeral: true });
+      }
+    } catch (error) {
+      let errorMessage;
+      if (error instanceof SubscriptionError) {
+        errorMessage = `❌ ${error.message}`;
+      } else {
+        logger.error(`Error executing subscription-config command: ${error.message}`, error.stack);
+        errorMessage = '❌ An error occurred while processing your request. Please try again later.';
+      }
+
+      if (interaction.replied || interaction.deferred) {
+        await interaction.editReply({ content: errorMessage });
+      } else {
+        await interaction.reply({ content: errorMessage, ephemeral: true });
+      }
+    }
+  },
+
+  async handleView(interaction) {
+    const guildConfig = await GuildConfigService.getGuildConfig(interaction.guildId);
+
+    await interaction.reply({
+      embeds: [this.createConfigEmbed(interaction.guild, guildConfig, interaction.user)],
+      ephemeral: true
+    });
+  },
+
+  async handleSet(interaction) {
+    const role = interaction.options.getRole('role');
+    const notificationChannel = interaction.options.getChannel('notification_channel');
+    const logChannel = interaction.options.getChannel('log_channel');
+    const reminderChannel = interaction.options.getChannel('reminder_channel');
+    const options = {
+      gracePeriodHours: interaction.options.getNumber('grace_period_hours'),
+      memberLeaveMode: interaction.options.getString('member_leave_mode'),
+      brandingIconUrl: interaction.options.getString('branding_icon'),
+      shopUrl: interaction.options.getString('shop_url'),
+      dmExpiryWarnings: interaction.options.getBoolean('dm_expiry_warnings'),
+      dmGraceNotice: interaction.options.getBoolean('dm_grace_notice'),
+      reminderFallback: interaction.options.getString('reminder_fallback'),
+      language: interaction.options.getString('language')
+    };
+
+    const changes = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== null));
+    if (role) {
+      this.assertAssignableRole(interaction.guild, role);
+      changes.defaultRoleId = role.id;
+    }
+    if (notificationChannel) {
+      changes.notificationChannelId = notificationChannel.id;
+    }
+    if (logChannel) {
+      changes.logChannelId = logChannel.id;
+    }
+    if (reminderChannel) {
+      changes.reminderChannelId = reminderChannel.id;
+    }
+    if (changes.language === 'auto') {
+      changes.language = null;
+    }
+    if (changes.brandingIconUrl !== undefined) {
+      changes.brandingIconUrl = changes.brandingIconUrl.trim();
+    }
+    if (changes.shopUrl !== undefined) {
+      changes.shopUrl = changes.shopUrl.trim();
+    }
+
+    if (Object.keys(changes).length === 0) {
+      throw new ValidationError('Please choose at least one setting to change.');
+    }
+
+    if (changes.reminderFallback || changes.reminderChannelId) {
+      const current = await GuildConfigService.getGuildConfig(interaction.guildId);
+      const mode = changes.reminderFallback || current.reminderFallback;
+      const channel = reminderChannel || interaction.guild.channels.cache.get(current.reminderChannelId);
+      if (mode !== 'none' && channel) {
+        this.assertReminderChannel(interaction.guild, channel, mode);
+      }
+    }
+
+    const guildConfig = await GuildConfigService.updateGuildConfig(interaction.guildId, changes);
+    await this.replyWithChanges(interaction, guildConfig, Object.keys(SETTING_LABELS).filter(key => key in changes), 'changed');
+  },
+
+  async handleReset(interaction) {
+    const setting = interaction.options.getString('setting');
+    const keys = setting === 'all' ? Object.keys(SETTING_LABELS) : [setting];
+
+    const guildConfig = await GuildConfigService.resetGuildConfig(interaction.guildId, keys);
+    await this.replyWithChanges(interaction, guildConfig, keys, 'reset');
+  },
+
+  async handleReminders(interaction) {
+    const offsetMinutes = parseTimeSpan(interaction.options.getString('before'));
+
+    const guildConfig = interaction.options.getSubcommand() === 'add'
+      ? await GuildConfigService.addReminder(interaction.guildId, offsetMinutes, interaction.options.getString('message').trim())
+      : await GuildConfigService.removeReminder(interaction.guildId, offsetMinutes);
+
+    await this.replyWithChanges(interaction, guildConfig, ['reminders'], 'changed');
+  },
+
+  // Show the updated settings and record the change in the log channel
+  async replyWithChanges(interaction, guildConfig, keys, action) {
+    const labels = keys.map(key => SETTING_LABELS[key]).join(', ');
+
+    await interaction.reply({
+      content: `⚙️ ${labels} ${keys.length === 1 ? 'has' : 'have'} been ${action}.`,
+      embeds: [this.createConfigEmbed(interaction.guild, guildConfig, interaction.user)],
+      ephemeral: true
+    });
+
+    await NotificationService.sendLogToChannel(interaction.guild, {
+      content: `⚙️ ${interaction.user} ${action} ${labels}:\n` +
+        keys.map(key => `- **${SETTING_LABELS[key]}:** ${this.formatSetting(key, guildConfig[key])}`).join('\n')
+    });
+
+    logger.info(`Configuration of guild ${interaction.guildId} ${action} by ${interaction.user.tag}: ${keys.join(', ')}`);
+  },
+
+  // Make sure the bot can hand out a role before it becomes the subscriber role
+  assertAssignableRole(guild, role) {
+    if (role.id === guild.id || role.managed) {
+      throw new ValidationError(`${role.name} is managed by Discord or an integration and can't be used as the subscriber role.`);
+    }
+
+    const botMember = guild.members.me;
+    if (botMember && botMember.roles.highest.comparePositionTo(role) <= 0) {
+      throw new ValidationError(`${role.name} is above my highest role, so I can't assign it. Please move my role above it first.`);
+    }
+  },
+
+  // Make sure the bot can post the reminder fallback in a channel
+  assertReminderChannel(guild, channel, mode) {
+    const permissions = channel.permissionsFor(guild.members.me);
+    const missing = permissions ? permissions.missing(REMINDER_CHANNEL_PERMISSIONS[mode]) : ['ViewChannel'];
+
+    if (missing.length > 0) {
+      throw new ValidationError(`I need the ${missing.join(', ')} permission(s) in ${channel} for this reminder fallback.`);
+    }
+  },
+
+  // Build the embed listing every setting
+  createConfigEmbed(guild, guildConfig, requester) {
+    return new EmbedBuilder()
+      .setColor(0x5865F2)
+      .setTitle('⚙️ Subscription Settings')
+      .setDescription(`Settings of **${guild.name}**. Change them with \`/subscription-config set\`.`)
+      .addFields(
+        Object.keys(SETTING_LABELS).map(key => ({
+          name: SETTING_LABELS[key],
+          value: this.formatSetting(key, guildConfig[key]),
+          inline: key !== 'reminders'
+        }))
+      )
+      .setFooter({
+        text: `Requested by ${requester.tag} • by roster`,
+        iconURL: GuildConfigService.getBrandingIconUrl(guild.id)
+      })
+      .setTimestamp();
+  },
+
+  // Show a setting value the way it is used
+  formatSetting(key, value) {
+    switch (key) {
+      case 'defaultRoleId':
+        return value ? `<@&${value}>` : 'Not set';
+      case 'notificationChannelId':
+      case 'logChannelId':
+      case 'reminderChannelId':
+        return value ? `<#${value}>` : 'Not set';
+      case 'reminderFallback':
+        return REMINDER_FALLBACK_LABELS[value] || REMINDER_FALLBACK_LABELS.none;
+      case 'language':
+        return value ? SUPPORTED_LANGUAGES[value] : 'Server locale';
+      case 'gracePeriodHours':
+        return value > 0 ? `${value} hour(s)` : 'None';
+      case 'memberLeaveMode':
+        return value === 'freeze' ? 'Freeze until they rejoin' : 'Keep running';
+      case 'brandingIconUrl':
+        return value || 'Default';
+      case 'shopUrl':
+        return value || 'Not set';
+      case 'reminders': {
+        const reminders = [...(value || GuildConfigService.DEFAULT_REMINDERS)].sort((a, b) => b.offsetMinutes - a.offsetMinutes);
+        if (reminders.length === 0) {
+          return 'None';
+        }
+        // Keep the list within the 1024 characters of an embed field
+        const lines = reminders.map(reminder => {
+          const message = reminder.message.length > 50 ? `${reminder.message.slice(0, 47)}...` : reminder.message;
+          return `**${formatTimeSpan(reminder.offsetMinutes)} before:** ${message}`;
+        });
+        return `${value ? '' : 'Default\n'}${lines.join('\n')}`.slice(0, 1024);
+      }
+      default:
+        return value ? 'On' : 'Off';
+    }
+  }
+};
@@ -1,417 +1,2197 @@
-const { SlashCommandBuilder, PermissionFlagsBits, EmbedBuilder } = require('discord.js');
-const SubscriptionService = require('../services/subscriptionService');
-const { 
-  getUserTimezone, 
-  formatDateInTimezone, 
-  getTimezoneAbbreviation, 
-  getTimeRemaining, 
-  formatTimeRemaining 
-} = require('../utils/timeUtils');
-const logger = require('../utils/logger');
-
-// Roster icon URL for consistent branding
-const ROSTER_ICON_URL = 'https://images-ext-1.discordapp.net/external/l8Krh2eV-xUmk8rQPbEMOb3lpziicXkX_W9lv_wgZ9w/https/cdn.discordapp.com/avatars/507962222132068362/2fbd6c97875b678ce087ede0a82a05bb.webp';
-
-module.exports = {
-  data: new SlashCommandBuilder()
-    .setName('subscription')
-    .setDescription('Manage user role subscriptions')
-    .addSubcommand(subcommand =>
-      subcommand
-        .setName('add')
-        .setDescription('Add or extend a subscription for a user')
-        .addIntegerOption(option =>
-          option
-            .setName('months')
-            .setDescription('Number of months to add (1-10)')
-            .setRequired(true)
-            .setMinValue(1)
-            .setMaxValue(10)
-        )
-        .addUserOption(option =>
-          option
-            .setName('user')
-            .setDescription('User to give subscription to')
-            .setRequired(true)
-        )
-    )
-    .addSubcommand(subcommand =>
-      subcommand
-        .setName('remove')
-        .setDescription('Remove a user\'s subscription')
-        .addUserOption(option =>
-          option
-            .setName('user')
-            .setDescription('User to remove subscription from')
-            .setRequired(true)
-        )
-    )
-    .addSubcommand(subcommand =>
-      subcommand
-        .setName('status')
-        .setDescription('Check a user\'s subscription status')
-        .addUserOption(option =>
-          option
-            .setName('user')
-            .setDescription('User to check subscription status for')
-            .setRequired(true)
-        )
-    )
-    .setDefaultMemberPermissions(PermissionFlagsBits.ManageRoles),
-
-  // Message command aliases
-  aliases: ['subscriptionstatus', 'ss'],
-  
-  async execute(interaction) {
-    try {
-      const subcommand = interaction.options.getSubcommand();
-      const targetUser = interaction.options.getUser('user');
-
-      switch (subcommand) {
-        case 'add':
-          await this.handleAdd(interaction, targetUser);
-          break;
-        case 'remove':
-          await this.handleRemove(interaction, targetUser);
-          break;
-        case 'status':
-          await this.handleStatus(interaction, targetUser);
-          break;
-        default:
-          await interaction.reply({
-            content: '❌ Unknown subcommand.',
-            ephemeral: true
-          });
-      }
-    } catch (error) {
-      logger.error(`Error executing subscription command: ${error.message}`, error.stack);
-      
-      const errorMessage = error.message.includes('Missing Permissions') 
-        ? '❌ I don\'t have permission to manage roles. Please check my permissions.'
-        : '❌ An error occurred while processing your request. Please try again later.';
-
-      if (interaction.replied || interaction.deferred) {
-        await interaction.editReply({ content: errorMessage });
-      } else {
-        await interaction.reply({ content: errorMessage, ephemeral: true });
-      }
-    }
-  },
-
-    
-  // Message command handler for !v SubscriptionStatus and !v ss
-  async handleMessageCommand(message, args, client) {
-    try {
-      const command = args[0]?.toLowerCase();
-      
-      if (!['subscriptionstatus', 'ss'].includes(command)) {
-        return;
-      }
-
-      // Parse target user from message
-      let targetUser = null;
-      
-      if (args.length > 1) {
-        // Try to get user from mention, ID, or username
-        const userQuery = args.slice(1).join(' ');
-        
-        // Check if it's a mention
-        const mentionMatch = userQuery.match(/^<@!?(\d+)>$/);
-        if (mentionMatch) {
-          targetUser = await client.users.fetch(mentionMatch[1]).catch(() => null);
-        }
-        
-        // Check if it's a user ID
-        if (!targetUser && /^\d{17,19}$/.test(userQuery)) {
-          targetUser = await client.users.fetch(userQuery).catch(() => null);
-        }
-        
-        // Check if it's a username (search in guild members)
-        if (!targetUser) {
-          const guild = message.guild;
-          if (guild) {
-            const members = await guild.members.fetch();
-            const member = members.find(m => 
-              m.user.username.toLowerCase() === userQuery.toLowerCase() ||
-              m.displayName.toLowerCase() === userQuery.toLowerCase()
-            );
-            if (member) {
-              targetUser = member.user;
-            }
-          }
-        }
-      } else {
-        // If no user specified, check the author's subscription
-        targetUser = message.author;
-      }
-
-      if (!targetUser) {
-        return await message.reply('❌ User not found. Please mention a user, provide their ID, or username.');
-      }
-
-      await this.handleStatusForMessage(message, targetUser);
-      
-    } catch (error) {
-      logger.error(`Error executing message subscription command: ${error.message}`, error.stack);
-      await message.reply('❌ An error occurred while processing your request. Please try again later.');
-    }
-  },
-
-  // Helper function to create Discord timestamp
-  createDiscordTimestamp(date, format = 'F') {
-    const timestamp = Math.floor(date.getTime() / 1000);
-    return `<t:${timestamp}:${format}>`;
-  },
-
-  async handleAdd(interaction, targetUser) {
-    const months = interaction.options.getInteger('months');
-    
-    await interaction.deferReply();
-    
-    try {
-      // Get guild member to manage roles
-      const member = await interaction.guild.members.fetch(targetUser.id);
-      if (!member) {
-        return await interaction.editReply({
-          content: '❌ User not found in this server.'
-        });
-      }
-
-      // Add subscription to database
-      const result = await SubscriptionService.addSubscription(targetUser.id, months);
-      const { subscription, isNew, oldExpiry } = result;
-
-      // Get the role
-      const role = interaction.guild.roles.cache.get(subscription.roleId);
-      if (!role) {
-        return await interaction.editReply({
-          content: `❌ Subscription role not found. Please check the DEFAULT_ROLE_ID configuration.`
-        });
-      }
-
-      // Add role to user if they don't have it
-      if (!member.roles.cache.has(subscription.roleId)) {
-        await member.roles.add(subscription.roleId);
-      }
-
-      // Create Discord timestamps for the response embed
-      const startTimestamp = this.createDiscordTimestamp(subscription.startAt);
-      const expiresTimestamp = this.createDiscordTimestamp(subscription.expiresAt);
-      const expiresRelative = this.createDiscordTimestamp(subscription.expiresAt, 'R');
-
-      const embed = new EmbedBuilder()
-        .setColor(0x00FF00)
-        .setTitle('✅ Subscription Added Successfully')
-        .addFields(
-          { name: 'User', value: `${targetUser.tag}`, inline: true },
-          { name: 'Role', value: `${role.name}`, inline: true },
-          { name: 'Months', value: `${months}`, inline: true },
-          { name: 'Start Date', value: startTimestamp, inline: true },
-          { name: 'Expires', value: `${expiresTimestamp} (${expiresRelative})`, inline: true },
-          { 
-            name: 'Status', 
-            value: isNew ? '🆕 New subscription created' : `🔄 Extended existing subscription\nPrevious expiry: ${this.createDiscordTimestamp(oldExpiry)}`, 
-            inline: false 
-          }
-        )
-        .setFooter({ 
-          text: `Added by ${interaction.user.tag} • by roster`, 
-          iconURL: ROSTER_ICON_URL 
-        })
-        .setTimestamp();
-
-      await interaction.editReply({ embeds: [embed] });
-
-      // Send notification to channel using the client from interaction
-      await SubscriptionService.sendNotificationToChannel(interaction.client, 'added', {
-        targetUser,
-        subscription,
-        months,
-        role,
-        isNew,
-        executor: interaction.user
-      });
-      
-      logger.info(`Subscription ${isNew ? 'added' : 'extended'} for ${targetUser.tag} (${targetUser.id}) - ${months} months by ${interaction.user.tag}`);
-    } catch (error) {
-      logger.error(`Failed to add subscription for ${targetUser.tag}`, error.stack);
-      throw error;
-    }
-  },
-
-  async handleRemove(interaction, targetUser) {
-    await interaction.deferReply();
-
-    try {
-      // Check if subscription exists
-      const subscription = await SubscriptionService.getSubscriptionStatus(targetUser.id);
-      if (!subscription) {
-        return await interaction.editReply({
-          content: `❌ ${targetUser.tag} does not have an active subscription.`
-        });
-      }
-
-      // Get role name for notification before removal
-      const role = interaction.guild.roles.cache.get(subscription.roleId);
-      const roleName = role ? role.name : 'Subscription Role';
-
-      // Get guild member to manage roles
-      const member = await interaction.guild.members.fetch(targetUser.id).catch(() => null);
-      
-      // Remove role if member exists and has the role
-      if (member && member.roles.cache.has(subscription.roleId)) {
-        await member.roles.remove(subscription.roleId);
-      }
-
-      // Remove subscription from database
-      await SubscriptionService.removeSubscription(targetUser.id);
-
-      const embed = new EmbedBuilder()
-        .setColor(0xFF6B6B)
-        .setTitle('🗑️ Subscription Removed')
-        .addFields(
-          { name: 'User', value: `${targetUser.tag}`, inline: true },
-          { name: 'Action', value: 'Subscription removed and role revoked', inline: false }
-        )
-        .setFooter({ 
-          text: `Removed by ${interaction.user.tag} • by roster`, 
-          iconURL: ROSTER_ICON_URL 
-        })
-        .setTimestamp();
-
-      await interaction.editReply({ embeds: [embed] });
-
-      // Send notification to channel
-      await SubscriptionService.sendNotificationToChannel(interaction.client, 'removed', {
-        targetUser,
-        subscription,
-        roleName,
-        executor: interaction.user
-      });
-      
-      logger.info(`Subscription removed for ${targetUser.tag} (${targetUser.id}) by ${interaction.user.tag}`);
-    } catch (error) {
-      logger.error(`Failed to remove subscription for ${targetUser.tag}`, error.stack);
-      throw error;
-    }
-  },
-
-  async handleStatus(interaction, targetUser) {
-    await interaction.deferReply();
-
-    try {
-      const subscription = await SubscriptionService.getSubscriptionStatus(targetUser.id);
-      
-      if (!subscription) {
-        const embed = new EmbedBuilder()
-          .setColor(0x808080)
-          .setTitle('❌ No Subscription Found')
-          .setDescription(`${targetUser.tag} does not have an active subscription.`)
-          .setFooter({ 
-            text: `Checked by ${interaction.user.tag} • by roster`, 
-            iconURL: ROSTER_ICON_URL 
-          })
-          .setTimestamp();
-
-        return await interaction.editReply({ embeds: [embed] });
-      }
-
-      // Create Discord timestamps
-      const startTimestamp = this.createDiscordTimestamp(subscription.startAt);
-      const expiresTimestamp = this.createDiscordTimestamp(subscription.expiresAt);
-      const expiresRelative = this.createDiscordTimestamp(subscription.expiresAt, 'R');
-
-      // Calculate time remaining
-      const timeRemaining = getTimeRemaining(subscription.expiresAt);
-      
-      // Determine status
-      const isActive = !timeRemaining.expired;
-      const status = isActive ? 'ACTIVE' : 'EXPIRED';
-      const statusEmoji = isActive ? '✅' : '❌';
-      
-      // Create the markdown status block with Discord timestamps
-      const statusBlock = `**Subscription Status — @${targetUser.username}**
-- **Status:** ${status}
-- **Months:** ${subscription.months}
-- **Started:** ${startTimestamp}
-- **Expires:** ${expiresTimestamp} (${expiresRelative})`;
-
-      const embed = new EmbedBuilder()
-        .setColor(isActive ? 0x00FF00 : 0xFF0000)
-        .setTitle(`${statusEmoji} Subscription Status`)
-        .setDescription(statusBlock)
-        .setThumbnail(targetUser.displayAvatarURL())
-        .setFooter({ 
-          text: `Checked by ${interaction.user.tag} • by roster`, 
-          iconURL: ROSTER_ICON_URL 
-        })
-        .setTimestamp();
-
-      await interaction.editReply({ embeds: [embed] });
-      
-      logger.debug(`Subscription status checked for ${targetUser.tag} by ${interaction.user.tag}`);
-    } catch (error) {
-      logger.error(`Failed to get subscription status for ${targetUser.tag}`, error.stack);
-      throw error;
-    }
-  },
-
-  // Handle status check for message commands
-  async handleStatusForMessage(message, targetUser) {
-    try {
-      const subscription = await SubscriptionService.getSubscriptionStatus(targetUser.id);
-      
-      if (!subscription) {
-        const embed = new EmbedBuilder()
-          .setColor(0x808080)
-          .setTitle('❌ No Subscription Found')
-          .setDescription(`${targetUser.tag} does not have an active subscription.`)
-          .setFooter({ 
-            text: `Checked by ${message.author.tag} • by roster`, 
-            iconURL: ROSTER_ICON_URL 
-          })
-          .setTimestamp();
-
-        return await message.reply({ embeds: [embed] });
-      }
-
-      // Create Discord timestamps
-      const startTimestamp = this.createDiscordTimestamp(subscription.startAt);
-      const expiresTimestamp = this.createDiscordTimestamp(subscription.expiresAt);
-      const expiresRelative = this.createDiscordTimestamp(subscription.expiresAt, 'R');
-
-      // Calculate time remaining
-      const timeRemaining = getTimeRemaining(subscription.expiresAt);
-      
-      // Determine status
-      const isActive = !timeRemaining.expired;
-      const status = isActive ? 'ACTIVE' : 'EXPIRED';
-      const statusEmoji = isActive ? '✅' : '❌';
-      
-      // Create the markdown status block with Discord timestamps
-      const statusBlock = `**Subscription Status — @${targetUser.username}**
-- **Status:** ${status}
-- **Months:** ${subscription.months}
-- **Started:** ${startTimestamp}
-- **Expires:** ${expiresTimestamp} (${expiresRelative})`;
-
-      const embed = new EmbedBuilder()
-        .setColor(isActive ? 0x00FF00 : 0xFF0000)
-        .setTitle(`${statusEmoji} Subscription Status`)
-        .setDescription(statusBlock)
-        .setThumbnail(targetUser.displayAvatarURL())
-        .setFooter({ 
-          text: `Checked by ${message.author.tag} • by roster`, 
-          iconURL: ROSTER_ICON_URL 
-        })
-        .setTimestamp();
-
-      await message.reply({ embeds: [embed] });
-      
-      logger.debug(`Subscription status checked for ${targetUser.tag} by ${message.author.tag} (message command)`);
-    } catch (error) {
-      logger.error(`Failed to get subscription status for ${targetUser.tag} (message command)`, error.stack);
-      throw error;
-    }
-  }
-};
\ No newline at end of file
+const { 
+  SlashCommandBuilder, 
+  PermissionFlagsBits, 
+  EmbedBuilder, 
+  AttachmentBuilder, 
+  ActionRowBuilder, 
+  ButtonBuilder, 
+  ButtonStyle, 
+  ComponentType,
+  StringSelectMenuBuilder,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle
+} = require('discord.js');
+const SubscriptionService = require('../services/subscriptionService');
+const PlanService = require('../services/planService');
+const CodeService = require('../services/codeService');
+const ApiKeyService = require('../services/apiKeyService');
+const ReconciliationService = require('../services/reconciliationService');
+const NotificationService = require('../services/notificationService');
+const AuditLogService = require('../services/auditLogService');
+const GuildConfigService = require('../services/guildConfigService');
+const PreferenceService = require('../services/preferenceService');
+const ProfileService = require('../services/profileService');
+const { SubscriptionError } = require('../utils/errors');
+const { DEFAULT_LANGUAGE, getTranslator } = require('../utils/i18n');
+const { 
+  getUserTimezone, 
+  formatDateInTimezone, 
+  formatLocalDate,
+  getTimezoneAbbreviation, 
+  getTimeRemaining, 
+  formatTimeRemaining,
+  normalizeDuration,
+  parseDuration,
+  formatDuration,
+  formatTimeSpan,
+  parseDate,
+  DURATION_UNITS
+} = require('../utils/timeUtils');
+const logger = require('../utils/logger');
+
+// Subscriptions per page of /subscription list
+const LIST_PAGE_SIZE = 10;
+
+// Custom ID prefix of the status embed controls, routed to handleComponent by index.js.
+// The full ID is subscription:status:<action>:<userId> so the controls keep working after a restart.
+const STATUS_COMPONENT_PREFIX = 'subscription:status';
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('subscription')
+    .setDescription('Manage user role subscriptions')
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('add')
+        .setDescription('Add or extend a subscription for a user')
+        .addIntegerOption(option =>
+          option
+            .setName('duration')
+            .setDescription('How long to add, in the chosen unit')
+            .setRequired(true)
+            .setMinValue(1)
+            .setMaxValue(DURATION_UNITS.days.max)
+        )
+        .addUserOption(option =>
+          option
+            .setName('user')
+            .setDescription('User to give subscription to')
+            .setRequired(true)
+        )
+        .addStringOption(option =>
+          option
+            .setName('unit')
+            .setDescription('Unit of the duration (defaults to months)')
+            .setRequired(false)
+            .addChoices(
+              { name: 'Days', value: 'days' },
+              { name: 'Weeks', value: 'weeks' },
+              { name: 'Months', value: 'months' },
+              { name: 'Years', value: 'years' }
+            )
+        )
+        .addStringOption(option =>
+          option
+            .setName('tier')
+            .setDescription('Tier to subscribe to (keeps the current tier if omitted)')
+            .setRequired(false)
+            .setAutocomplete(true)
+        )
+        .addStringOption(option =>
+          option
+            .setName('reason')
+            .setDescription('Why, for the audit log')
+            .setRequired(false)
+            .setMaxLength(500)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('remove')
+        .setDescription('Remove a user\'s subscription')
+        .addUserOption(option =>
+          option
+            .setName('user')
+            .setDescription('User to remove subscription from')
+            .setRequired(true)
+        )
+        .addStringOption(option =>
+          option
+            .setName('reason')
+            .setDescription('Why, for the audit log')
+            .setRequired(false)
+            .setMaxLength(500)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('status')
+        .setDescription('Check a user\'s subscription status')
+        .addUserOption(option =>
+          option
+            .setName('user')
+            .setDescription('User to check subscription status for')
+            .setRequired(true)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('pause')
+        .setDescription('Freeze a user\'s subscription and remove their role until resumed')
+        .addUserOption(option =>
+          option
+            .setName('user')
+            .setDescription('User whose subscription to pause')
+            .setRequired(true)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('resume')
+        .setDescription('Resume a paused subscription and restore the role')
+        .addUserOption(option =>
+          option
+            .setName('user')
+            .setDescription('User whose subscription to resume')
+            .setRequired(true)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('history')
+        .setDescription('Show a user\'s subscription history')
+        .addUserOption(option =>
+          option
+            .setName('user')
+            .setDescription('User to show the history for')
+            .setRequired(true)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('list')
+        .setDescription('Browse subscriptions page by page')
+        .addIntegerOption(option =>
+          option
+            .setName('expiring_within')
+            .setDescription('Only subscriptions expiring within this many days')
+            .setRequired(false)
+            .setMinValue(1)
+            .setMaxValue(3650)
+        )
+        .addStringOption(option =>
+          option
+            .setName('tier')
+            .setDescription('Only subscriptions of this tier')
+            .setRequired(false)
+            .setAutocomplete(true)
+        )
+        .addStringOption(option =>
+          option
+            .setName('started_after')
+            .setDescription('Only subscriptions started on or after this date (YYYY-MM-DD, your timezone)')
+            .setRequired(false)
+            .setMaxLength(16)
+        )
+        .addStringOption(option =>
+          option
+            .setName('status')
+            .setDescription('Which subscriptions to include (active and grace by default)')
+            .setRequired(false)
+            .addChoices(
+              { name: 'Active and grace', value: 'current' },
+              { name: 'Active', value: 'active' },
+              { name: 'Grace period', value: 'grace' },
+              { name: 'Paused', value: 'paused' },
+              { name: 'All', value: 'all' }
+            )
+        )
+        .addStringOption(option =>
+          option
+            .setName('sort')
+            .setDescription('Sort order of the list (soonest expiry first by default)')
+            .setRequired(false)
+            .addChoices(
+              { name: 'Expiry, soonest first', value: 'expiresAt:asc' },
+              { name: 'Expiry, latest first', value: 'expiresAt:desc' },
+              { name: 'Start date, newest first', value: 'startAt:desc' },
+              { name: 'Start date, oldest first', value: 'startAt:asc' },
+              { name: 'Tenure, longest first', value: 'tenure:desc' },
+              { name: 'Tenure, shortest first', value: 'tenure:asc' }
+            )
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('audit')
+        .setDescription('Compare subscriber roles with subscription records')
+        .addStringOption(option =>
+          option
+            .setName('fix')
+            .setDescription('Fix the discrepancies after confirmation (report only if omitted)')
+            .setRequired(false)
+            .addChoices(
+              { name: 'Grant missing roles to paying members', value: 'grant-missing' },
+              { name: 'Remove roles from members without a subscription', value: 'remove-unpaid' },
+              { name: 'Import role holders as subscriptions', value: 'import-holders' }
+            )
+        )
+        .addIntegerOption(option =>
+          option
+            .setName('duration')
+            .setDescription('Subscription length for imported role holders, in the chosen unit')
+            .setRequired(false)
+            .setMinValue(1)
+            .setMaxValue(DURATION_UNITS.days.max)
+        )
+        .addStringOption(option =>
+          option
+            .setName('unit')
+            .setDescription('Unit of the import duration (defaults to months)')
+            .setRequired(false)
+            .addChoices(
+              { name: 'Days', value: 'days' },
+              { name: 'Weeks', value: 'weeks' },
+              { name: 'Months', value: 'months' },
+              { name: 'Years', value: 'years' }
+            )
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('audit-log')
+        .setDescription('Show who changed subscriptions, newest first')
+        .addUserOption(option =>
+          option
+            .setName('staff')
+            .setDescription('Only changes made by this staff member')
+            .setRequired(false)
+        )
+        .addUserOption(option =>
+          option
+            .setName('target')
+            .setDescription('Only changes to this member\'s subscription')
+            .setRequired(false)
+        )
+        .addStringOption(option =>
+          option
+            .setName('from')
+            .setDescription('Only changes on or after this date (YYYY-MM-DD, your timezone)')
+            .setRequired(false)
+            .setMaxLength(16)
+        )
+        .addStringOption(option =>
+          option
+            .setName('to')
+            .setDescription('Only changes on or before this date (YYYY-MM-DD, your timezone)')
+            .setRequired(false)
+            .setMaxLength(16)
+        )
+    )
+    .addSubcommandGroup(group =>
+      group
+        .setName('tier')
+        .setDescription('Manage subscription tiers')
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('set')
+            .setDescription('Create a tier or update an existing one')
+            .addStringOption(option =>
+              option
+                .setName('name')
+                .setDescription('Tier name, e.g. Basic, Plus or Elite')
+                .setRequired(true)
+                .setMaxLength(32)
+                .setAutocomplete(true)
+            )
+            .addRoleOption(option =>
+              option
+                .setName('role')
+                .setDescription('Role granted by this tier')
+                .setRequired(true)
+            )
+            .addRoleOption(option =>
+              option
+                .setName('extra_role')
+                .setDescription('Additional role granted by this tier')
+                .setRequired(false)
+            )
+            .addStringOption(option =>
+              option
+                .setName('color')
+                .setDescription('Embed colour as hex, e.g. #FF8800')
+                .setRequired(false)
+            )
+            .addIntegerOption(option =>
+              option
+                .setName('max_months')
+                .setDescription('Maximum months a subscription on this tier may run ahead')
+                .setRequired(false)
+                .setMinValue(1)
+            )
+            .addIntegerOption(option =>
+              option
+                .setName('rank')
+                .setDescription('Tier rank, higher is better (used to detect upgrades)')
+                .setRequired(false)
+            )
+            .addStringOption(option =>
+              option
+                .setName('perks')
+                .setDescription('Perks separated by semicolons')
+                .setRequired(false)
+            )
+        )
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('delete')
+            .setDescription('Delete a tier without subscribers')
+            .addStringOption(option =>
+              option
+                .setName('name')
+                .setDescription('Tier to delete')
+                .setRequired(true)
+                .setAutocomplete(true)
+            )
+        )
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('list')
+            .setDescription('List all subscription tiers')
+        )
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('assign')
+            .setDescription('Move a subscriber to another tier, keeping their remaining time')
+            .addUserOption(option =>
+              option
+                .setName('user')
+                .setDescription('Subscriber to move')
+                .setRequired(true)
+            )
+            .addStringOption(option =>
+              option
+                .setName('tier')
+                .setDescription('Tier to move to')
+                .setRequired(true)
+                .setAutocomplete(true)
+            )
+        )
+    )
+    .addSubcommandGroup(group =>
+      group
+        .setName('codes')
+        .setDescription('Manage redeemable subscription codes')
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('generate')
+            .setDescription('Generate redeemable codes for a tier')
+            .addStringOption(option =>
+              option
+                .setName('tier')
+                .setDescription('Tier granted by the codes')
+                .setRequired(true)
+                .setAutocomplete(true)
+            )
+            .addIntegerOption(option =>
+              option
+                .setName('months')
+                .setDescription('Number of months granted by each code')
+                .setRequired(true)
+                .setMinValue(1)
+                .setMaxValue(DURATION_UNITS.months.max)
+            )
+            .addIntegerOption(option =>
+              option
+                .setName('count')
+                .setDescription('Number of codes to generate')
+                .setRequired(true)
+                .setMinValue(1)
+                .setMaxValue(100)
+            )
+            .addIntegerOption(option =>
+              option
+                .setName('uses')
+                .setDescription('How many members can redeem each code (defaults to 1)')
+                .setRequired(false)
+                .setMinValue(1)
+                .setMaxValue(1000)
+            )
+            .addIntegerOption(option =>
+              option
+                .setName('expires_in_days')
+                .setDescription('Days until unredeemed codes stop working')
+                .setRequired(false)
+                .setMinValue(1)
+                .setMaxValue(365)
+            )
+        )
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('list')
+            .setDescription('List recent codes')
+            .addStringOption(option =>
+              option
+                .setName('status')
+                .setDescription('Only show codes with this status (defaults to active)')
+                .setRequired(false)
+                .addChoices(
+                  { name: 'Active', value: 'active' },
+                  { name: 'Used', value: 'used' },
+                  { name: 'Expired', value: 'expired' },
+                  { name: 'Revoked', value: 'revoked' },
+                  { name: 'All', value: 'all' }
+                )
+            )
+        )
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('revoke')
+            .setDescription('Revoke a code so it can no longer be redeemed')
+            .addStringOption(option =>
+              option
+                .setName('code')
+                .setDescription('Code to revoke')
+                .setRequired(true)
+            )
+        )
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('export')
+            .setDescription('Export codes as a CSV file')
+            .addStringOption(option =>
+              option
+                .setName('batch')
+                .setDescription('Only export codes from this batch')
+                .setRequired(false)
+            )
+        )
+    )
+    .addSubcommandGroup(group =>
+      group
+        .setName('apikey')
+        .setDescription('Manage keys for the management API (administrators only)')
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('create')
+            .setDescription('Create an API key')
+            .addStringOption(option =>
+              option
+                .setName('name')
+                .setDescription('Who or what uses the key, e.g. billing-tool')
+                .setRequired(true)
+                .setMaxLength(64)
+            )
+            .addStringOption(option =>
+              option
+                .setName('access')
+                .setDescription('What the key may do (defaults to read only)')
+                .setRequired(false)
+                .addChoices(
+                  { name: 'Read only', value: 'read' },
+                  { name: 'Read and write', value: 'write' }
+                )
+            )
+        )
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('list')
+            .setDescription('List active API keys')
+        )
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('revoke')
+            .setDescription('Revoke an API key')
+            .addStringOption(option =>
+              option
+                .setName('prefix')
+                .setDescription('Prefix of the key, as shown in the key list')
+                .setRequired(true)
+            )
+        )
+    )
+    .addSubcommandGroup(group =>
+      group
+        .setName('notifications')
+        .setDescription('Inspect notifications and DMs that could not be delivered')
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('failed')
+            .setDescription('List notifications that were given up after retrying')
+        )
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('resend')
+            .setDescription('Try to deliver failed notifications again')
+            .addStringOption(option =>
+              option
+                .setName('id')
+                .setDescription('ID of the notification, as shown in the failed list, or "all"')
+                .setRequired(true)
+                .setMaxLength(24)
+            )
+        )
+    )
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageRoles)
+    .setDMPermission(false),
+
+  // Message command aliases
+  aliases: ['subscriptionstatus', 'ss', 'tiers'],
+  
+  async execute(interaction) {
+    // Replies use the invoker's language, errors fall back to English if it can't be loaded
+    let t = getTranslator(DEFAULT_LANGUAGE);
+
+    try {
+      t = getTranslator(await PreferenceService.getInteractionLanguage(interaction));
+
+      const subcommandGroup = interaction.options.getSubcommandGroup();
+      const subcommand = interaction.options.getSubcommand();
+      const targetUser = interaction.options.getUser('user');
+
+      if (subcommandGroup === 'tier') {
+        return await this.handleTier(interaction, subcommand, t);
+      }
+      if (subcommandGroup === 'codes') {
+        return await this.handleCodes(interaction, subcommand, t);
+      }
+      if (subcommandGroup === 'apikey') {
+        return await this.handleApiKey(interaction, subcommand, t);
+      }
+      if (subcommandGroup === 'notifications') {
+        return await this.handleNotifications(interaction, subcommand, t);
+      }
+
+      switch (subcommand) {
+        case 'add':
+          await this.handleAdd(interaction, targetUser, t);
+          break;
+        case 'remove':
+          await this.handleRemove(interaction, targetUser, t);
+          break;
+        case 'status':
+          await this.handleStatus(interaction, targetUser, t);
+          break;
+        case 'pause':
+          await this.handlePause(interaction, targetUser, t);
+          break;
+        case 'resume':
+          await this.handleResume(interaction, targetUser, t);
+          break;
+        case 'history':
+          await this.handleHistory(interaction, targetUser, t);
+          break;
+        case 'list':
+          await this.handleList(interaction, t);
+          break;
+        case 'audit':
+          await this.handleAudit(interaction, t);
+          break;
+        case 'audit-log':
+          await this.handleAuditLog(interaction, t);
+          break;
+        default:
+          await interaction.reply({
+            content: `❌ ${t('errors.unknownSubcommand')}`,
+            ephemeral: true
+          });
+      }
+    } catch (error) {
+      let errorMessage;
+      if (error instanceof SubscriptionError) {
+        errorMessage = `❌ ${error.localize(t)}`;
+      } else {
+        logger.error(`Error executing subscription command: ${error.message}`, error.stack);
+        errorMessage = error.message.includes('Missing Permissions') 
+          ? `❌ ${t('errors.missingPermissions')}`
+          : `❌ ${t('errors.generic')}`;
+      }
+
+      if (interaction.replied || interaction.deferred) {
+        await interaction.editReply({ content: errorMessage });
+      } else {
+        await interaction.reply({ content: errorMessage, ephemeral: true });
+      }
+    }
+  },
+
+    
+  // Autocomplete handler for tier options
+  async autocomplete(interaction) {
+    const focusedOption = interaction.options.getFocused(true);
+
+    if (!['tier', 'name'].includes(focusedOption.name)) {
+      return await interaction.respond([]);
+    }
+
+    const query = focusedOption.value.toLowerCase();
+    const plans = await PlanService.getPlans(interaction.guildId);
+
+    await interaction.respond(
+      plans
+        .filter(plan => plan.key.includes(query))
+        .slice(0, 25)
+        .map(plan => ({ name: plan.name, value: plan.name }))
+    );
+  },
+    
+  // Message command handler for !v SubscriptionStatus, !v ss and !v tiers
+  async handleMessageCommand(message, args, client) {
+    let t = getTranslator(DEFAULT_LANGUAGE);
+
+    try {
+      const command = args[0]?.toLowerCase();
+
+      // Subscriptions and tiers belong to a server
+      if (!message.guild) {
+        return await message.reply(`❌ ${t('errors.guildOnly')}`);
+      }
+
+      t = getTranslator(await PreferenceService.getMemberLanguage(message.guild, message.author.id));
+
+      if (command === 'tiers') {
+        return await message.reply({ embeds: [await this.createTierListEmbed(message.guild.id, message.author, t)] });
+      }
+      
+      if (!['subscriptionstatus', 'ss'].includes(command)) {
+        return;
+      }
+
+      // Parse target user from message
+      let targetUser = null;
+      
+      if (args.length > 1) {
+        // Try to get user from mention, ID, or username
+        const userQuery = args.slice(1).join(' ');
+        
+        // Check if it's a mention
+        const mentionMatch = userQuery.match(/^<@!?(\d+)>$/);
+        if (mentionMatch) {
+          targetUser = await client.users.fetch(mentionMatch[1]).catch(() => null);
+        }
+        
+        // Check if it's a user ID
+        if (!targetUser && /^\d{17,19}$/.test(userQuery)) {
+          targetUser = await client.users.fetch(userQuery).catch(() => null);
+        }
+        
+        // Check if it's a username (search in guild members)
+        if (!targetUser) {
+          const guild = message.guild;
+          if (guild) {
+            const members = await guild.members.fetch();
+            const member = members.find(m => 
+              m.user.username.toLowerCase() === userQuery.toLowerCase() ||
+              m.displayName.toLowerCase() === userQuery.toLowerCase()
+            );
+            if (member) {
+              targetUser = member.user;
+            }
+          }
+        }
+      } else {
+        // If no user specified, check the author's subscription
+        targetUser = message.author;
+      }
+
+      if (!targetUser) {
+        return await message.reply(`❌ ${t('errors.userNotFound')}`);
+      }
+
+      await this.handleStatusForMessage(message, targetUser, t);
+      
+    } catch (error) {
+      logger.error(`Error executing message subscription command: ${error.message}`, error.stack);
+      await message.reply(`❌ ${t('errors.generic')}`);
+    }
+  },
+
+  // Helper function to create Discord timestamp
+  createDiscordTimestamp(date, format = 'F') {
+    const timestamp = Math.floor(date.getTime() / 1000);
+    return `<t:${timestamp}:${format}>`;
+  },
+
+  async handleAdd(interaction, targetUser, t) {
+    const duration = {
+      amount: interaction.options.getInteger('duration'),
+      unit: interaction.options.getString('unit') || 'months'
+    };
+    const tierName = interaction.options.getString('tier');
+    const reason = interaction.options.getString('reason');
+    
+    await interaction.deferReply();
+    
+    try {
+      // Validate the duration and resolve the requested tier before touching the database
+      normalizeDuration(duration);
+      const requestedPlan = tierName ? await PlanService.requirePlan(interaction.guild.id, tierName) : null;
+
+      // Add subscription to database, sync roles and notify the channel
+      const result = await SubscriptionService.grantSubscription(interaction.guild, targetUser, duration, {
+        plan: requestedPlan,
+        executor: interaction.user,
+        source: 'slash',
+        reason
+      });
+      const { subscription, isNew, oldExpiry, plan, previousPlan, roles, tierChanged } = result;
+
+      // Create Discord timestamps for the response embed
+      const startTimestamp = this.createDiscordTimestamp(subscription.startAt);
+      const expiresTimestamp = this.createDiscordTimestamp(subscription.expiresAt);
+      const expiresRelative = this.createDiscordTimestamp(subscription.expiresAt, 'R');
+
+      let statusText = isNew ? t('add.statusNew') : t('add.statusExtended', { expiry: this.createDiscordTimestamp(oldExpiry) });
+      if (tierChanged) {
+        statusText += `\n${SubscriptionService.describeTierChange(previousPlan, plan, t.language)}`;
+      }
+
+      const embed = new EmbedBuilder()
+        .setColor(plan ? plan.color : 0x00FF00)
+        .setTitle(t('add.title'))
+        .addFields(
+          { name: t('fields.user'), value: `${targetUser.tag}`, inline: true },
+          { name: t('fields.tier'), value: plan ? plan.name : t('common.default'), inline: true },
+          { name: t('fields.role'), value: roles.map(role => role.name).join(', '), inline: true },
+          { name: t('fields.duration'), value: formatDuration(duration, t.language), inline: true },
+          { name: t('fields.startDate'), value: startTimestamp, inline: true },
+          { name: t('fields.expires'), value: `${expiresTimestamp} (${expiresRelative})`, inline: true },
+          { 
+            name: t('fields.status'), 
+            value: statusText, 
+            inline: false 
+          }
+        )
+        .setFooter({ 
+          text: `${t('footer.addedBy', { tag: interaction.user.tag })} • by roster`, 
+          iconURL: GuildConfigService.getBrandingIconUrl(interaction.guildId) 
+        })
+        .setTimestamp();
+
+      if (reason) {
+        embed.addFields({ name: t('fields.reason'), value: reason, inline: false });
+      }
+
+      await interaction.editReply({ embeds: [embed] });
+      
+      logger.info(`Subscription ${isNew ? 'added' : 'extended'} for ${targetUser.tag} (${targetUser.id}) - ${formatDuration(duration)}${plan ? ` on tier ${plan.name}` : ''} by ${interaction.user.tag}`);
+    } catch (error) {
+      if (!(error instanceof SubscriptionError)) {
+        logger.error(`Failed to add subscription for ${targetUser.tag}`, error.stack);
+      }
+      throw error;
+    }
+  },
+
+  async handleTier(interaction, subcommand, t) {
+    switch (subcommand) {
+      case 'set':
+        return await this.handleTierSet(interaction, t);
+      case 'delete':
+        return await this.handleTierDelete(interaction, t);
+      case 'list':
+        return await interaction.reply({ embeds: [await this.createTierListEmbed(interaction.guild.id, interaction.user, t)] });
+      case 'assign':
+        return await this.handleTierAssign(interaction, t);
+      default:
+        await interaction.reply({
+          content: `❌ ${t('errors.unknownSubcommand')}`,
+          ephemeral: true
+        });
+    }
+  },
+
+  async handleTierSet(interaction, t) {
+    const name = interaction.options.getString('name');
+    const roles = [interaction.options.getRole('role'), interaction.options.getRole('extra_role')].filter(Boolean);
+    const colorInput = interaction.options.getString('color');
+    const perksInput = interaction.options.getString('perks');
+
+    const { plan, isNew } = await PlanService.savePlan(interaction.guild.id, {
+      name,
+      roleIds: roles.map(role => role.id),
+      color: colorInput ? PlanService.parseColor(colorInput) : null,
+      maxMonths: interaction.options.getInteger('max_months') ?? undefined,
+      rank: interaction.options.getInteger('rank'),
+      perks: perksInput ? perksInput.split(';').map(perk => perk.trim()).filter(Boolean) : null
+    });
+
+    const embed = new EmbedBuilder()
+      .setColor(plan.color)
+      .setTitle(t(isNew ? 'tiers.createdTitle' : 'tiers.updatedTitle'))
+      .addFields(
+        { name: t('tiers.name'), value: plan.name, inline: true },
+        { name: t('fields.roles'), value: plan.roleIds.map(roleId => `<@&${roleId}>`).join(', '), inline: true },
+        { name: t('tiers.rank'), value: `${plan.rank}`, inline: true },
+        { name: t('tiers.maxDuration'), value: plan.maxMonths ? formatDuration(plan.maxMonths, t.language) : t('tiers.unlimited'), inline: true },
+        { name: t('fields.perks'), value: plan.perks.length > 0 ? plan.perks.map(perk => `• ${perk}`).join('\n') : t('common.none'), inline: false }
+      )
+      .setFooter({ 
+        text: `${t(isNew ? 'footer.createdBy' : 'footer.updatedBy', { tag: interaction.user.tag })} • by roster`, 
+        iconURL: GuildConfigService.getBrandingIconUrl(interaction.guildId) 
+      })
+      .setTimestamp();
+
+    await interaction.reply({ embeds: [embed] });
+  },
+
+  async handleTierDelete(interaction, t) {
+    const plan = await PlanService.deletePlan(interaction.guild.id, interaction.options.getString('name'));
+
+    await interaction.reply({
+      content: `🗑️ ${t('tiers.deleted', { tier: plan.name })}`
+    });
+  },
+
+  async handleTierAssign(interaction, t) {
+    const targetUser = interaction.options.getUser('user');
+
+    await interaction.deferReply();
+
+    const plan = await PlanService.requirePlan(interaction.guild.id, interaction.options.getString('tier'));
+    const missingRoleId = plan.roleIds.find(roleId => !interaction.guild.roles.cache.has(roleId));
+    if (missingRoleId) {
+      return await interaction.editReply({
+        content: `❌ ${t('tiers.missingRole', { tier: plan.name })}`
+      });
+    }
+
+    const { subscription, previousPlan, previousRoleIds } = await SubscriptionService.changeTier(interaction.guild.id, targetUser.id, plan, {
+      executor: interaction.user,
+      source: 'slash'
+    });
+
+    // Swap roles if the member is still in the server and not paused
+    const member = await interaction.guild.members.fetch(targetUser.id).catch(() => null);
+    if (member && !subscription.isPaused) {
+      await SubscriptionService.syncMemberRoles(member, subscription.getRoleIds(), previousRoleIds);
+    }
+
+    const embed = new EmbedBuilder()
+      .setColor(plan.color)
+      .setTitle(t('tiers.changedTitle'))
+      .addFields(
+        { name: t('fields.user'), value: `${targetUser.tag}`, inline: true },
+        { name: t('fields.tier'), value: plan.name, inline: true },
+        { name: t('fields.change'), value: SubscriptionService.describeTierChange(previousPlan, plan, t.language), inline: true },
+        { name: t('fields.expires'), value: t('tiers.unchanged', { date: this.createDiscordTimestamp(subscription.expiresAt) }), inline: false }
+      )
+      .setFooter({ 
+        text: `${t('footer.changedBy', { tag: interaction.user.tag })} • by roster`, 
+        iconURL: GuildConfigService.getBrandingIconUrl(interaction.guildId) 
+      })
+      .setTimestamp();
+
+    await interaction.editReply({ embeds: [embed] });
+
+    await SubscriptionService.sendNotificationToChannel(interaction.guild, 'tier-changed', {
+      targetUser,
+      subscription,
+      plan,
+      previousPlan,
+      executor: interaction.user
+    });
+
+    logger.info(`Subscription tier for ${targetUser.tag} (${targetUser.id}) changed to ${plan.name} by ${interaction.user.tag}`);
+  },
+
+  // Build an embed listing all tiers
+  async createTierListEmbed(guildId, requester, t) {
+    const plans = await PlanService.getPlans(guildId);
+
+    const embed = new EmbedBuilder()
+      .setColor(plans.length > 0 ? plans[0].color : 0x808080)
+      .setTitle(t('tiers.listTitle'))
+      .setFooter({ 
+        text: `${t('footer.requestedBy', { tag: requester.tag })} • by roster`, 
+        iconURL: GuildConfigService.getBrandingIconUrl(guildId) 
+      })
+      .setTimestamp();
+
+    if (plans.length === 0) {
+      return embed.setDescription(t('tiers.listEmpty'));
+    }
+
+    embed.addFields(plans.slice(0, 25).map(plan => ({
+      name: `${plan.name}${plan.maxMonths ? ` (${t('tiers.maxLength', { duration: formatDuration(plan.maxMonths, t.language) })})` : ''}`,
+      value: [
+        plan.roleIds.map(roleId => `<@&${roleId}>`).join(', '),
+        ...plan.perks.map(perk => `• ${perk}`)
+      ].join('\n'),
+      inline: false
+    })));
+
+    return embed;
+  },
+
+  async handleCodes(interaction, subcommand, t) {
+    switch (subcommand) {
+      case 'generate':
+        return await this.handleCodesGenerate(interaction, t);
+      case 'list':
+        return await this.handleCodesList(interaction, t);
+      case 'revoke':
+        return await this.handleCodesRevoke(interaction, t);
+      case 'export':
+        return await this.handleCodesExport(interaction, t);
+      default:
+        await interaction.reply({
+          content: `❌ ${t('errors.unknownSubcommand')}`,
+          ephemeral: true
+        });
+    }
+  },
+
+  async handleCodesGenerate(interaction, t) {
+    const duration = { amount: interaction.options.getInteger('months'), unit: 'months' };
+    const count = interaction.options.getInteger('count');
+    const expiresInDays = interaction.options.getInteger('expires_in_days');
+
+    // Codes are secrets, so only the staff member sees them
+    await interaction.deferReply({ ephemeral: true });
+
+    const plan = await PlanService.requirePlan(interaction.guild.id, interaction.options.getString('tier'));
+    const { batch, codes } = await CodeService.generateCodes({
+      guildId: interaction.guild.id,
+      plan,
+      duration,
+      count,
+      maxUses: interaction.options.getInteger('uses') || 1,
+      expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null,
+      executor: interaction.user
+    });
+
+    const embed = new EmbedBuilder()
+      .setColor(plan.color)
+      .setTitle(t('codes.generatedTitle'))
+      .addFields(
+        { name: t('fields.tier'), value: plan.name, inline: true },
+        { name: t('fields.duration'), value: formatDuration(duration, t.language), inline: true },
+        { name: t('codes.usesPerCode'), value: `${codes[0].maxUses}`, inline: true },
+        { name: t('codes.batch'), value: `\`${batch}\``, inline: true },
+        { name: t('codes.codes'), value: `${codes.length}`, inline: true },
+        { name: t('codes.validUntil'), value: codes[0].expiresAt ? this.createDiscordTimestamp(codes[0].expiresAt) : t('codes.noExpiry'), inline: true }
+      )
+      .setFooter({ 
+        text: `${t('footer.generatedBy', { tag: interaction.user.tag })} • by roster`, 
+        iconURL: GuildConfigService.getBrandingIconUrl(interaction.guildId) 
+      })
+      .setTimestamp();
+
+    // Short batches fit in the embed, larger ones are attached as CSV
+    if (codes.length <= 20) {
+      embed.setDescription(`\`\`\`\n${codes.map(redeemCode => redeemCode.code).join('\n')}\n\`\`\``);
+      return await interaction.editReply({ embeds: [embed] });
+    }
+
+    const { csv } = await CodeService.exportCodes({ guildId: interaction.guild.id, batch });
+    const attachment = new AttachmentBuilder(Buffer.from(csv), { name: `codes-${batch}.csv` });
+    await interaction.editReply({ embeds: [embed], files: [attachment] });
+  },
+
+  async handleCodesList(interaction, t) {
+    const status = interaction.options.getString('status') || 'active';
+
+    await interaction.deferReply({ ephemeral: true });
+
+    const codes = await CodeService.listCodes(interaction.guild.id, status, 25);
+
+    const embed = new EmbedBuilder()
+      .setColor(0x5865F2)
+      .setTitle(t('codes.listTitle', { status: t(`codes.statuses.${status}`) }))
+      .setFooter({ 
+        text: `${t('footer.requestedBy', { tag: interaction.user.tag })} • by roster`, 
+        iconURL: GuildConfigService.getBrandingIconUrl(interaction.guildId) 
+      })
+      .setTimestamp();
+
+    if (codes.length === 0) {
+      embed.setDescription(t('codes.empty'));
+    } else {
+      embed.setDescription(codes.map(redeemCode => [
+        `\`${redeemCode.code}\``,
+        redeemCode.tier || t('common.default'),
+        formatDuration(redeemCode.duration, t.language),
+        t('codes.uses', { uses: redeemCode.uses, maxUses: redeemCode.maxUses }),
+        t(`codes.statuses.${redeemCode.status}`),
+        t('codes.inBatch', { batch: redeemCode.batch })
+      ].join(' • ')).join('\n'));
+    }
+
+    await interaction.editReply({ embeds: [embed] });
+  },
+
+  async handleCodesRevoke(interaction, t) {
+    const redeemCode = await CodeService.revokeCode(interaction.guild.id, interaction.options.getString('code'));
+
+    await interaction.reply({
+      content: `🚫 ${t('codes.revoked', { code: redeemCode.code, uses: redeemCode.uses, maxUses: redeemCode.maxUses })}`,
+      ephemeral: true
+    });
+
+    logger.info(`Code ${redeemCode.code} revoked by ${interaction.user.tag}`);
+  },
+
+  async handleCodesExport(interaction, t) {
+    const batch = interaction.options.getString('batch');
+
+    await interaction.deferReply({ ephemeral: true });
+
+    const { csv, count } = await CodeService.exportCodes({ guildId: interaction.guild.id, batch });
+    if (count === 0) {
+      return await interaction.editReply({ content: `❌ ${t('codes.exportEmpty')}` });
+    }
+
+    const attachment = new AttachmentBuilder(Buffer.from(csv), { name: `codes-${batch || 'all'}.csv` });
+    await interaction.editReply({
+      content: `📄 ${t('codes.exported', { count })}`,
+      files: [attachment]
+    });
+  },
+
+  async handleApiKey(interaction, subcommand, t) {
+    // API keys can change every subscription, so they are limited to administrators
+    if (!interaction.memberPermissions.has(PermissionFlagsBits.Administrator)) {
+      return await interaction.reply({
+        content: `❌ ${t('apiKeys.adminOnly')}`,
+        ephemeral: true
+      });
+    }
+
+    switch (subcommand) {
+      case 'create':
+        return await this.handleApiKeyCreate(interaction, t);
+      case 'list':
+        return await this.handleApiKeyList(interaction, t);
+      case 'revoke':
+        return await this.handleApiKeyRevoke(interaction, t);
+      default:
+        await interaction.reply({
+          content: `❌ ${t('errors.unknownSubcommand')}`,
+          ephemeral: true
+        });
+    }
+  },
+
+  async handleApiKeyCreate(interaction, t) {
+    const access = interaction.options.getString('access') || 'read';
+    const scopes = access === 'write'
+      ? ['subscriptions:read', 'subscriptions:write']
+      : ['subscriptions:read'];
+
+    const { apiKey, key } = await ApiKeyService.createKey({
+      guildId: interaction.guild.id,
+      name: interaction.options.getString('name'),
+      scopes,
+      executor: interaction.user
+    });
+
+    const embed = new EmbedBuilder()
+      .setColor(0x5865F2)
+      .setTitle(t('apiKeys.createdTitle'))
+      .setDescription(`${t('apiKeys.copyNow')}\n\`\`\`\n${key}\n\`\`\``)
+      .addFields(
+        { name: t('apiKeys.name'), value: apiKey.name, inline: true },
+        { name: t('apiKeys.prefix'), value: `\`${apiKey.prefix}\``, inline: true },
+        { name: t('apiKeys.scopes'), value: apiKey.scopes.join(', '), inline: false }
+      )
+      .setFooter({ 
+        text: `${t('footer.createdBy', { tag: interaction.user.tag })} • by roster`, 
+        iconURL: GuildConfigService.getBrandingIconUrl(interaction.guildId) 
+      })
+      .setTimestamp();
+
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+  },
+
+  async handleApiKeyList(interaction, t) {
+    const apiKeys = await ApiKeyService.listKeys(interaction.guild.id);
+
+    const embed = new EmbedBuilder()
+      .setColor(0x5865F2)
+      .setTitle(t('apiKeys.listTitle'))
+      .setDescription(apiKeys.length === 0
+        ? t('apiKeys.empty')
+        : apiKeys.slice(0, 25).map(apiKey => [
+          `\`${apiKey.prefix}\` **${apiKey.name}**`,
+          apiKey.scopes.join(', '),
+          apiKey.lastUsedAt ? t('apiKeys.lastUsed', { date: this.createDiscordTimestamp(apiKey.lastUsedAt, 'R') }) : t('apiKeys.neverUsed')
+        ].join(' • ')).join('\n'))
+      .setFooter({ 
+        text: `${t('footer.requestedBy', { tag: interaction.user.tag })} • by roster`, 
+        iconURL: GuildConfigService.getBrandingIconUrl(interaction.guildId) 
+      })
+      .setTimestamp();
+
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+  },
+
+  async handleApiKeyRevoke(interaction, t) {
+    const apiKey = await ApiKeyService.revokeKey(interaction.guild.id, interaction.options.getString('prefix'));
+
+    await interaction.reply({
+      content: `🚫 ${t('apiKeys.revoked', { prefix: apiKey.prefix, name: apiKey.name })}`,
+      ephemeral: true
+    });
+
+    logger.info(`API key ${apiKey.prefix} revoked by ${interaction.user.tag}`);
+  },
+
+  async handleNotifications(interaction, subcommand, t) {
+    switch (subcommand) {
+      case 'failed':
+        return await this.handleNotificationsFailed(interaction, t);
+      case 'resend':
+        return await this.handleNotificationsResend(interaction, t);
+      default:
+        await interaction.reply({
+          content: `❌ ${t('errors.unknownSubcommand')}`,
+          ephemeral: true
+        });
+    }
+  },
+
+  async handleNotificationsFailed(interaction, t) {
+    await interaction.deferReply({ ephemeral: true });
+
+    const [notifications, total] = await Promise.all([
+      NotificationService.listFailed(interaction.guild.id, 10),
+      NotificationService.countFailed(interaction.guild.id)
+    ]);
+
+    const embed = new EmbedBuilder()
+      .setColor(notifications.length > 0 ? 0xFF6B6B : 0x00FF00)
+      .setTitle(t('failedNotifications.title', { count: total }))
+      .setFooter({ 
+        text: `${t('footer.requestedBy', { tag: interaction.user.tag })} • by roster`, 
+        iconURL: GuildConfigService.getBrandingIconUrl(interaction.guildId) 
+      })
+      .setTimestamp();
+
+    if (notifications.length === 0) {
+      embed.setDescription(t('failedNotifications.allDelivered'));
+    } else {
+      embed.setDescription(`${t('failedNotifications.resendHint')}${total > notifications.length ? ` ${t('failedNotifications.showingNewest', { count: notifications.length })}` : ''}`);
+      embed.addFields(notifications.map(notification => ({
+        name: `\`${notification._id}\``,
+        value: [
+          `**${notification.summary}** ${notification.kind === 'dm' ? t('failedNotifications.to', { user: `<@${notification.targetId}>` }) : t('failedNotifications.in', { channel: `<#${notification.targetId}>` })}`,
+          t('failedNotifications.attempts', { count: notification.attempts, date: this.createDiscordTimestamp(notification.failedAt, 'R') }),
+          t('failedNotifications.error', { error: (notification.lastError || t('failedNotifications.unknownError')).slice(0, 200) })
+        ].join('\n'),
+        inline: false
+      })));
+    }
+
+    await interaction.editReply({ embeds: [embed] });
+  },
+
+  async handleNotificationsResend(interaction, t) {
+    const id = interaction.options.getString('id').trim();
+
+    await interaction.deferReply({ ephemeral: true });
+
+    if (id.toLowerCase() === 'all') {
+      const { delivered, failed, retrying } = await NotificationService.resendAll(interaction.guild);
+      logger.info(`Failed notifications of guild ${interaction.guildId} re-sent by ${interaction.user.tag}: ${delivered} delivered, ${failed} failed, ${retrying} retrying`);
+
+      return await interaction.editReply({
+        content: delivered + failed + retrying === 0
+          ? `✅ ${t('failedNotifications.noneFailed')}`
+          : `📨 ${t('failedNotifications.resentAll', { count: delivered + failed + retrying, delivered, retrying, failed })}`
+      });
+    }
+
+    const notification = await NotificationService.resend(interaction.guild, id);
+    logger.info(`Notification ${id} re-sent by ${interaction.user.tag}`);
+
+    const outcomes = {
+      sent: `✅ ${t('failedNotifications.delivered', { summary: notification.summary })}`,
+      failed: `❌ ${t('failedNotifications.failedAgain', { summary: notification.summary, error: notification.lastError })}`
+    };
+    await interaction.editReply({
+      content: outcomes[notification.status] || `⏳ ${t('failedNotifications.retrying', { summary: notification.summary })}`
+    });
+  },
+
+  async handleRemove(interaction, targetUser, t) {
+    const reason = interaction.options.getString('reason');
+
+    await interaction.deferReply();
+
+    try {
+      // Check if subscription exists
+      const subscription = await SubscriptionService.getSubscriptionStatus(interaction.guild.id, targetUser.id);
+      if (!subscription) {
+        return await interaction.editReply({
+          content: `❌ ${t('remove.noSubscription', { user: targetUser.tag })}`
+        });
+      }
+
+      // Remove roles, delete the subscription and notify the channel
+      await SubscriptionService.revokeSubscription(interaction.guild, targetUser, {
+        executor: interaction.user,
+        source: 'slash',
+        reason
+      });
+
+      const embed = new EmbedBuilder()
+        .setColor(0xFF6B6B)
+        .setTitle(t('remove.title'))
+        .addFields(
+          { name: t('fields.user'), value: `${targetUser.tag}`, inline: true },
+          { name: t('fields.action'), value: t('remove.action'), inline: false }
+        )
+        .setFooter({ 
+          text: `${t('footer.removedBy', { tag: interaction.user.tag })} • by roster`, 
+          iconURL: GuildConfigService.getBrandingIconUrl(interaction.guildId) 
+        })
+        .setTimestamp();
+
+      if (reason) {
+        embed.addFields({ name: t('fields.reason'), value: reason, inline: false });
+      }
+
+      await interaction.editReply({ embeds: [embed] });
+      
+      logger.info(`Subscription removed for ${targetUser.tag} (${targetUser.id}) by ${interaction.user.tag}`);
+    } catch (error) {
+      logger.error(`Failed to remove subscription for ${targetUser.tag}`, error.stack);
+      throw error;
+    }
+  },
+
+  async handlePause(interaction, targetUser, t) {
+    await interaction.deferReply();
+
+    try {
+      // Mark the subscription as paused first so the role removal is not treated as a manual removal
+      const subscription = await SubscriptionService.pauseSubscription(interaction.guild.id, targetUser.id, {
+        executor: interaction.user,
+        source: 'slash'
+      });
+
+      const member = await interaction.guild.members.fetch(targetUser.id).catch(() => null);
+      const heldRoleIds = member ? subscription.getRoleIds().filter(roleId => member.roles.cache.has(roleId)) : [];
+      if (heldRoleIds.length > 0) {
+        await member.roles.remove(heldRoleIds);
+      }
+
+      const timeRemaining = getTimeRemaining(new Date(Date.now() + subscription.pausedRemainingMs));
+
+      const embed = new EmbedBuilder()
+        .setColor(0x5DADE2)
+        .setTitle(t('pause.title'))
+        .addFields(
+          { name: t('fields.user'), value: `${targetUser.tag}`, inline: true },
+          { name: t('fields.frozenTime'), value: formatTimeRemaining(timeRemaining, t.language), inline: true },
+          { name: t('fields.action'), value: t('pause.action'), inline: false }
+        )
+        .setFooter({ 
+          text: `${t('footer.pausedBy', { tag: interaction.user.tag })} • by roster`, 
+          iconURL: GuildConfigService.getBrandingIconUrl(interaction.guildId) 
+        })
+        .setTimestamp();
+
+      await interaction.editReply({ embeds: [embed] });
+
+      await SubscriptionService.sendNotificationToChannel(interaction.guild, 'paused', {
+        targetUser,
+        subscription,
+        executor: interaction.user
+      });
+
+      logger.info(`Subscription paused for ${targetUser.tag} (${targetUser.id}) with ${formatTimeRemaining(timeRemaining)} remaining by ${interaction.user.tag}`);
+    } catch (error) {
+      if (!(error instanceof SubscriptionError)) {
+        logger.error(`Failed to pause subscription for ${targetUser.tag}`, error.stack);
+      }
+      throw error;
+    }
+  },
+
+  async handleResume(interaction, targetUser, t) {
+    await interaction.deferReply();
+
+    try {
+      const { subscription } = await SubscriptionService.resumeSubscription(interaction.guild.id, targetUser.id, {
+        executor: interaction.user,
+        source: 'slash'
+      });
+
+      const member = await interaction.guild.members.fetch(targetUser.id).catch(() => null);
+      if (member) {
+        await SubscriptionService.syncMemberRoles(member, subscription.getRoleIds());
+      }
+
+      const embed = new EmbedBuilder()
+        .setColor(0x00FF00)
+        .setTitle(t('resume.title'))
+        .addFields(
+          { name: t('fields.user'), value: `${targetUser.tag}`, inline: true },
+          { name: t('fields.expires'), value: `${this.createDiscordTimestamp(subscription.expiresAt)} (${this.createDiscordTimestamp(subscription.expiresAt, 'R')})`, inline: true },
+          { name: t('fields.action'), value: member ? t('resume.roleRestored') : t('resume.notInServer'), inline: false }
+        )
+        .setFooter({ 
+          text: `${t('footer.resumedBy', { tag: interaction.user.tag })} • by roster`, 
+          iconURL: GuildConfigService.getBrandingIconUrl(interaction.guildId) 
+        })
+        .setTimestamp();
+
+      await interaction.editReply({ embeds: [embed] });
+
+      await SubscriptionService.sendNotificationToChannel(interaction.guild, 'resumed', {
+        targetUser,
+        subscription,
+        executor: interaction.user
+      });
+
+      logger.info(`Subscription resumed for ${targetUser.tag} (${targetUser.id}) by ${interaction.user.tag}`);
+    } catch (error) {
+      if (!(error instanceof SubscriptionError)) {
+        logger.error(`Failed to resume subscription for ${targetUser.tag}`, error.stack);
+      }
+      throw error;
+    }
+  },
+
+  async handleStatus(interaction, targetUser, t) {
+    await interaction.deferReply();
+
+    try {
+      const timezone = await PreferenceService.getInteractionTimezone(interaction);
+      await interaction.editReply(await this.createStatusMessage(interaction.guildId, targetUser, interaction.user, interaction.memberPermissions, t, timezone));
+      
+      logger.debug(`Subscription status checked for ${targetUser.tag} by ${interaction.user.tag}`);
+    } catch (error) {
+      logger.error(`Failed to get subscription status for ${targetUser.tag}`, error.stack);
+      throw error;
+    }
+  },
+
+  // Build the status reply with the controls the viewer may use
+  async createStatusMessage(guildId, targetUser, viewer, permissions, t, timezone) {
+    const subscription = await SubscriptionService.getSubscriptionStatus(guildId, targetUser.id);
+    const embed = await this.createStatusEmbed(guildId, targetUser, subscription, viewer, t, timezone);
+    const components = await this.createStatusComponents(guildId, targetUser, subscription, viewer, this.isStaff(permissions), t);
+
+    return { embeds: [embed], components };
+  },
+
+  // Buttons under the status embed: management for staff, renewal and reminders for the
+  // subscriber themselves. Staff looking at their own subscription get both rows.
+  async createStatusComponents(guildId, targetUser, subscription, viewer, isStaff, t) {
+    if (!subscription) {
+      return [];
+    }
+
+    const customId = action => `${STATUS_COMPONENT_PREFIX}:${action}:${targetUser.id}`;
+    const rows = [];
+
+    if (isStaff) {
+      rows.push(new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+          .setCustomId(customId('extend'))
+          .setLabel(t('status.controls.extend'))
+          .setEmoji('➕')
+          .setStyle(ButtonStyle.Primary),
+        new ButtonBuilder()
+          .setCustomId(customId('set-expiry'))
+          .setLabel(t('status.controls.setExpiry'))
+          .setEmoji('📅')
+          .setStyle(ButtonStyle.Secondary)
+          .setDisabled(subscription.isPaused),
+        new ButtonBuilder()
+          .setCustomId(customId('remove'))
+          .setLabel(t('status.controls.remove'))
+          .setEmoji('🗑️')
+          .setStyle(ButtonStyle.Danger)
+      ));
+    }
+
+    if (viewer.id !== targetUser.id) {
+      return rows;
+    }
+
+    const row = new ActionRowBuilder();
+    const shopUrl = GuildConfigService.getShopUrl(guildId);
+    if (shopUrl) {
+      row.addComponents(
+        new ButtonBuilder()
+          .setLabel(t('status.controls.renew'))
+          .setEmoji('🛒')
+          .setStyle(ButtonStyle.Link)
+          .setURL(shopUrl)
+      );
+    }
+
+    const remindersOn = await PreferenceService.wantsExpiryReminders(targetUser.id);
+    row.addComponents(
+      new ButtonBuilder()
+        .setCustomId(customId('remind'))
+        .setLabel(t('status.controls.remindMe'))
+        .setEmoji(remindersOn ? '🔔' : '🔕')
+        .setStyle(remindersOn ? ButtonStyle.Success : ButtonStyle.Secondary)
+    );
+
+    return [...rows, row];
+  },
+
+  // Staff may manage subscriptions from the status embed if they can manage roles
+  isStaff(permissions) {
+    return Boolean(permissions && permissions.has(PermissionFlagsBits.ManageRoles));
+  },
+
+  // Handle the buttons and modals of the status embed. Permissions are checked on every
+  // interaction since anyone who can see the embed can click its buttons.
+  async handleComponent(interaction) {
+    const [, scope, action, targetId] = interaction.customId.split(':');
+    if (scope !== 'status' || !interaction.guild) {
+      return;
+    }
+
+    let t = getTranslator(DEFAULT_LANGUAGE);
+
+    try {
+      t = getTranslator(await PreferenceService.getInteractionLanguage(interaction));
+
+      if (action === 'remind') {
+        if (interaction.user.id !== targetId) {
+          return await interaction.reply({ content: `❌ ${t('status.controls.ownerOnly', { user: `<@${targetId}>` })}`, ephemeral: true });
+        }
+      } else if (!this.isStaff(interaction.memberPermissions)) {
+        return await interaction.reply({ content: `❌ ${t('status.controls.staffOnly')}`, ephemeral: true });
+      }
+
+      const targetUser = await interaction.client.users.fetch(targetId);
+
+      switch (action) {
+        case 'extend':
+        case 'set-expiry':
+          return await interaction.showModal(await this.createStatusModal(interaction, action, targetUser, t));
+        case 'remove':
+          return await interaction.update({ components: [this.createRemoveConfirmRow(targetUser, t)] });
+        case 'remove-cancel':
+          await interaction.deferUpdate();
+          return await this.refreshStatus(interaction, targetUser, t);
+        case 'remove-confirm':
+          return await this.handleStatusRemove(interaction, targetUser, t);
+        case 'extend-submit':
+          return await this.handleStatusExtend(interaction, targetUser, t);
+        case 'set-expiry-submit':
+          return await this.handleStatusSetExpiry(interaction, targetUser, t);
+        case 'remind':
+          return await this.handleStatusRemind(interaction, targetUser, t);
+        default:
+          logger.warn(`Unknown status control "${action}" used by ${interaction.user.tag}`);
+      }
+    } catch (error) {
+      if (!(error instanceof SubscriptionError)) {
+        logger.error(`Error handling status control ${action}: ${error.message}`, error.stack);
+      }
+
+      const content = error instanceof SubscriptionError ? `❌ ${error.localize(t)}` : `❌ ${t('errors.generic')}`;
+      if (interaction.replied || interaction.deferred) {
+        await interaction.followUp({ content, ephemeral: true }).catch(() => null);
+      } else {
+        await interaction.reply({ content, ephemeral: true }).catch(() => null);
+      }
+    }
+  },
+
+  // Modal asking staff for the duration to add or the new expiry date, with an optional reason
+  async createStatusModal(interaction, action, targetUser, t) {
+    const isExtend = action === 'extend';
+    const timezone = await PreferenceService.getInteractionTimezone(interaction);
+    const input = new TextInputBuilder()
+      .setCustomId(isExtend ? 'duration' : 'date')
+      .setLabel((isExtend ? t('status.controls.durationLabel') : t('status.controls.dateLabel', { timezone })).slice(0, 45))
+      .setPlaceholder(isExtend ? t('status.controls.durationPlaceholder') : t('status.controls.datePlaceholder'))
+      .setStyle(TextInputStyle.Short)
+      .setRequired(true)
+      .setMaxLength(20);
+
+    return new ModalBuilder()
+      .setCustomId(`${STATUS_COMPONENT_PREFIX}:${action}-submit:${targetUser.id}`)
+      .setTitle(t(isExtend ? 'status.controls.extendTitle' : 'status.controls.setExpiryTitle', { user: targetUser.username }).slice(0, 45))
+      .addComponents(
+        new ActionRowBuilder().addComponents(input),
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder()
+            .setCustomId('reason')
+            .setLabel(t('status.controls.reasonLabel'))
+            .setStyle(TextInputStyle.Paragraph)
+            .setRequired(false)
+            .setMaxLength(500)
+        )
+      );
+  },
+
+  // Buttons replacing the staff controls until the removal is confirmed or cancelled
+  createRemoveConfirmRow(targetUser, t) {
+    return new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(`${STATUS_COMPONENT_PREFIX}:remove-confirm:${targetUser.id}`)
+        .setLabel(t('status.controls.confirmRemove'))
+        .setStyle(ButtonStyle.Danger),
+      new ButtonBuilder()
+        .setCustomId(`${STATUS_COMPONENT_PREFIX}:remove-cancel:${targetUser.id}`)
+        .setLabel(t('status.controls.cancel'))
+        .setStyle(ButtonStyle.Secondary)
+    );
+  },
+
+  async handleStatusExtend(interaction, targetUser, t) {
+    const duration = parseDuration(interaction.fields.getTextInputValue('duration'));
+    const reason = interaction.fields.getTextInputValue('reason') || null;
+
+    await interaction.deferUpdate();
+
+    const { subscription } = await SubscriptionService.grantSubscription(interaction.guild, targetUser, duration, {
+      executor: interaction.user,
+      source: 'button',
+      reason
+    });
+
+    await this.refreshStatus(interaction, targetUser, t);
+    await interaction.followUp({
+      content: `✅ ${t('status.controls.extended', {
+        user: targetUser.tag,
+        duration: formatDuration(duration, t.language),
+        expiry: this.createDiscordTimestamp(subscription.expiresAt)
+      })}`,
+      ephemeral: true
+    });
+
+    logger.info(`Subscription extended for ${targetUser.tag} (${targetUser.id}) - ${formatDuration(duration)} by ${interaction.user.tag} (status buttons)`);
+  },
+
+  async handleStatusSetExpiry(interaction, targetUser, t) {
+    // The date is read in the staff member's own timezone
+    const timezone = await PreferenceService.getInteractionTimezone(interaction);
+    const expiresAt = parseDate(interaction.fields.getTextInputValue('date'), timezone);
+    const reason = interaction.fields.getTextInputValue('reason') || null;
+
+    await interaction.deferUpdate();
+
+    const { subscription } = await SubscriptionService.changeExpiry(interaction.guild, targetUser, expiresAt, {
+      executor: interaction.user,
+      source: 'button',
+      reason
+    });
+
+    await this.refreshStatus(interaction, targetUser, t);
+    await interaction.followUp({
+      content: `✅ ${t('status.controls.expirySet', { user: targetUser.tag, expiry: this.createDiscordTimestamp(subscription.expiresAt) })}`,
+      ephemeral: true
+    });
+
+    logger.info(`Subscription expiry set for ${targetUser.tag} (${targetUser.id}) to ${subscription.expiresAt.toISOString()} by ${interaction.user.tag} (status buttons)`);
+  },
+
+  async handleStatusRemove(interaction, targetUser, t) {
+    await interaction.deferUpdate();
+
+    await SubscriptionService.revokeSubscription(interaction.guild, targetUser, {
+      executor: interaction.user,
+      source: 'button'
+    });
+
+    await this.refreshStatus(interaction, targetUser, t);
+    await interaction.followUp({ content: `✅ ${t('status.controls.removed', { user: targetUser.tag })}`, ephemeral: true });
+
+    logger.info(`Subscription removed for ${targetUser.tag} (${targetUser.id}) by ${interaction.user.tag} (status buttons)`);
+  },
+
+  async handleStatusRemind(interaction, targetUser, t) {
+    const enabled = !(await PreferenceService.wantsExpiryReminders(targetUser.id));
+
+    await interaction.deferUpdate();
+    await PreferenceService.setExpiryReminders(targetUser.id, enabled);
+
+    await this.refreshStatus(interaction, targetUser, t);
+    await interaction.followUp({ content: `${enabled ? '🔔' : '🔕'} ${t(enabled ? 'status.controls.remindersOn' : 'status.controls.remindersOff')}`, ephemeral: true });
+  },
+
+  // Show the current status again on the message the control belongs to
+  async refreshStatus(interaction, targetUser, t) {
+    const timezone = await PreferenceService.getInteractionTimezone(interaction);
+    await interaction.editReply(await this.createStatusMessage(interaction.guildId, targetUser, interaction.user, interaction.memberPermissions, t, timezone));
+  },
+
+  // Build the status embed shared by the slash and message commands, with dates in the requester's timezone
+  async createStatusEmbed(guildId, targetUser, subscription, requester, t, timezone) {
+    if (!subscription) {
+      return new EmbedBuilder()
+        .setColor(0x808080)
+        .setTitle(t('status.notFoundTitle'))
+        .setDescription(t('status.notFound', { user: targetUser.tag }))
+        .setFooter({ 
+          text: `${t('footer.checkedBy', { tag: requester.tag })} • by roster`, 
+          iconURL: GuildConfigService.getBrandingIconUrl(guildId) 
+        })
+        .setTimestamp();
+    }
+
+    // Create Discord timestamps
+    const startTimestamp = this.createDiscordTimestamp(subscription.startAt);
+    const expiresTimestamp = this.createDiscordTimestamp(subscription.expiresAt);
+    const expiresRelative = this.createDiscordTimestamp(subscription.expiresAt, 'R');
+
+    // Calculate time remaining
+    const timeRemaining = getTimeRemaining(subscription.expiresAt);
+    
+    // Determine status
+    const isPaused = subscription.isPaused;
+    const isInGrace = SubscriptionService.isInGracePeriod(subscription);
+    const isActive = !isPaused && !timeRemaining.expired;
+    let status = isActive ? 'active' : 'expired';
+    let statusEmoji = isActive ? '✅' : '❌';
+    let color = isActive ? null : 0xFF0000;
+
+    if (isPaused) {
+      status = 'paused';
+      statusEmoji = '⏸️';
+      color = 0x5DADE2;
+    } else if (isInGrace) {
+      status = 'grace';
+      statusEmoji = '⌛';
+      color = 0xFF9500;
+    }
+    
+    const plan = await PlanService.getPlan(subscription.guildId, subscription.tier);
+    if (color === null) {
+      color = plan ? plan.color : 0x00FF00;
+    }
+
+    let expiryLine = `- **${t('status.expires')}:** ${expiresTimestamp} (${expiresRelative})\n- **${t('status.localTime')}:** ${formatLocalDate(subscription.expiresAt, timezone, t.language)}`;
+    if (isPaused) {
+      const since = this.createDiscordTimestamp(subscription.pausedAt);
+      const remaining = formatTimeRemaining(getTimeRemaining(new Date(Date.now() + subscription.pausedRemainingMs)), t.language);
+      expiryLine = `- **${t('status.paused')}:** ${t('status.pausedSince', { since, remaining })}`;
+      if (subscription.pauseReason === 'left-guild') {
+        expiryLine += `\n- **${t('status.frozen')}:** ${t('status.frozenLeft')}`;
+      }
+    } else if (isInGrace) {
+      expiryLine += `\n- **${t('status.graceEnds')}:** ${this.createDiscordTimestamp(SubscriptionService.getGraceEndsAt(subscription), 'R')}`;
+    }
+    
+    // Create the markdown status block with Discord timestamps
+    const statusBlock = `**${t('status.heading', { username: targetUser.username })}**
+- **${t('status.status')}:** ${t(`status.states.${status}`)}
+- **${t('status.tier')}:** ${plan ? plan.name : t('common.default')}
+- **${t('status.tenure')}:** ${t('units.days', { count: subscription.totalTenureDays })}${subscription.duration && subscription.duration.amount ? `
+- **${t('status.lastTerm')}:** ${formatDuration(subscription.duration, t.language)}` : ''}
+- **${t('status.started')}:** ${startTimestamp}
+${expiryLine}`;
+
+    return new EmbedBuilder()
+      .setColor(color)
+      .setTitle(`${statusEmoji} ${t('status.title')}`)
+      .setDescription(statusBlock)
+      .setThumbnail(targetUser.displayAvatarURL())
+      .setFooter({ 
+        text: `${t('footer.checkedBy', { tag: requester.tag })} • by roster`, 
+        iconURL: GuildConfigService.getBrandingIconUrl(guildId) 
+      })
+      .setTimestamp();
+  },
+
+  async handleHistory(interaction, targetUser, t) {
+    await interaction.deferReply();
+
+    try {
+      const events = await SubscriptionService.getSubscriptionHistory(interaction.guild.id, targetUser.id, 15);
+
+      const embed = new EmbedBuilder()
+        .setColor(0x5865F2)
+        .setTitle(t('history.title'))
+        .setThumbnail(targetUser.displayAvatarURL())
+        .setFooter({ 
+          text: `${t('footer.checkedBy', { tag: interaction.user.tag })} • by roster`, 
+          iconURL: GuildConfigService.getBrandingIconUrl(interaction.guildId) 
+        })
+        .setTimestamp();
+
+      if (events.length === 0) {
+        embed.setDescription(t('history.empty', { user: targetUser.tag }));
+      } else {
+        embed.setDescription([
+          t('history.heading', { username: targetUser.username, count: events.length }),
+          '',
+          ...events.map(event => this.formatHistoryEvent(event, t))
+        ].join('\n'));
+      }
+
+      await interaction.editReply({ embeds: [embed] });
+
+      logger.debug(`Subscription history checked for ${targetUser.tag} by ${interaction.user.tag}`);
+    } catch (error) {
+      logger.error(`Failed to get subscription history for ${targetUser.tag}`, error.stack);
+      throw error;
+    }
+  },
+
+  async handleList(interaction, t) {
+    const tierName = interaction.options.getString('tier');
+    const startedAfterInput = interaction.options.getString('started_after');
+    const [sort, order] = (interaction.options.getString('sort') || 'expiresAt:asc').split(':');
+
+    // Dates are read and shown in the staff member's own timezone
+    const timezone = await PreferenceService.getInteractionTimezone(interaction);
+    const plan = tierName ? await PlanService.requirePlan(interaction.guild.id, tierName) : null;
+    const query = {
+      guildId: interaction.guild.id,
+      status: interaction.options.getString('status') || 'current',
+      tier: plan ? plan.key : null,
+      expiresWithinDays: interaction.options.getInteger('expiring_within'),
+      startedAfter: startedAfterInput ? parseDate(startedAfterInput, timezone) : null,
+      sort,
+      order
+    };
+
+    await interaction.deferReply();
+
+    const filterText = [
+      query.status !== 'current' && t('list.filters.status', { status: t(`list.statuses.${query.status}`) }),
+      plan && t('list.filters.tier', { tier: plan.name }),
+      query.expiresWithinDays && t('list.filters.expiringWithin', { count: query.expiresWithinDays }),
+      startedAfterInput && t('list.filters.startedAfter', { date: startedAfterInput })
+    ].filter(Boolean).join(' • ');
+
+    const render = async (page) => {
+      const result = await this.loadListPage(interaction.guild, query, page);
+      return { result, message: this.createListMessage(interaction, result, filterText, timezone, t) };
+    };
+
+    let { result, message } = await render(1);
+    const reply = await interaction.editReply(message);
+    if (result.total === 0) {
+      return;
+    }
+
+    // Keep the session open until the list hasn't been used for a while
+    const collector = reply.createMessageComponentCollector({ idle: 5 * 60 * 1000 });
+
+    collector.on('collect', async (component) => {
+      try {
+        if (component.user.id !== interaction.user.id) {
+          return await component.reply({ content: `❌ ${t('list.ownerOnly')}`, ephemeral: true });
+        }
+
+        if (component.customId === 'list-member') {
+          const targetUser = await interaction.client.users.fetch(component.values[0]);
+          const status = await this.createStatusMessage(interaction.guildId, targetUser, component.user, component.memberPermissions, t, timezone);
+          return await component.reply({ ...status, ephemeral: true });
+        }
+
+        if (component.customId === 'list-jump') {
+          return await this.handleListJump(component, interaction, result.pageCount, async (page) => {
+            ({ result, message } = await render(page));
+            return message;
+          }, t);
+        }
+
+        const page = component.customId === 'list-next' ? result.page + 1 : result.page - 1;
+        ({ result, message } = await render(page));
+        await component.update(message);
+      } catch (error) {
+        logger.warn(`Failed to handle subscription list interaction: ${error.message}`);
+      }
+    });
+
+    collector.on('end', () => {
+      interaction.editReply({ components: [] }).catch(() => null);
+    });
+  },
+
+  // Ask for a page number in a modal and show that page of the list
+  async handleListJump(button, interaction, pageCount, renderPage, t) {
+    const modalId = `list-jump-${interaction.id}`;
+    const modal = new ModalBuilder()
+      .setCustomId(modalId)
+      .setTitle(t('list.jump'))
+      .addComponents(
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder()
+            .setCustomId('page')
+            .setLabel(t('list.pageLabel', { pageCount }))
+            .setStyle(TextInputStyle.Short)
+            .setRequired(true)
+            .setMaxLength(6)
+        )
+      );
+
+    await button.showModal(modal);
+
+    const submission = await button.awaitModalSubmit({
+      filter: submitted => submitted.customId === modalId && submitted.user.id === interaction.user.id,
+      time: 60 * 1000
+    }).catch(() => null);
+    if (!submission) {
+      return;
+    }
+
+    const page = Number(submission.fields.getTextInputValue('page').trim());
+    if (!Number.isInteger(page) || page < 1 || page > pageCount) {
+      return await submission.reply({ content: `❌ ${t('list.pageRange', { pageCount })}`, ephemeral: true });
+    }
+
+    await submission.update(await renderPage(page));
+  },
+
+  // Load one page of the subscription list with the members' tiers and profiles
+  async loadListPage(guild, query, page) {
+    const { subscriptions, total } = await SubscriptionService.querySubscriptions({
+      ...query,
+      skip: (page - 1) * LIST_PAGE_SIZE,
+      limit: LIST_PAGE_SIZE
+    });
+
+    // The list may have shrunk since the last page was shown
+    const pageCount = Math.max(1, Math.ceil(total / LIST_PAGE_SIZE));
+    if (page > pageCount) {
+      return this.loadListPage(guild, query, pageCount);
+    }
+
+    const [plans, profiles] = await Promise.all([
+      PlanService.getPlanMap(guild.id),
+      ProfileService.resolveProfiles(guild, subscriptions.map(subscription => subscription.discordId))
+    ]);
+
+    return { subscriptions, plans, profiles, total, page, pageCount };
+  },
+
+  // Build one page of the subscription list with its navigation and member select
+  createListMessage(interaction, { subscriptions, plans, profiles, total, page, pageCount }, filterText, timezone, t) {
+    const embed = new EmbedBuilder()
+      .setColor(0x5865F2)
+      .setTitle(t('list.title'))
+      .setFooter({ 
+        text: `${t('pagination.page', { page, pageCount })} • ${t('list.subscriptions', { count: total })} • by roster`, 
+        iconURL: GuildConfigService.getBrandingIconUrl(interaction.guildId) 
+      })
+      .setTimestamp();
+
+    const offset = (page - 1) * LIST_PAGE_SIZE;
+    const lines = subscriptions.map((subscription, index) => {
+      const profile = profiles.get(subscription.discordId);
+      const plan = plans.get(subscription.tier);
+      const parts = [
+        `**${offset + index + 1}.** <@${subscription.discordId}>${profile ? ` (${profile.username})` : ''}`,
+        plan ? plan.name : t('common.default')
+      ];
+
+      if (subscription.isPaused) {
+        parts.push(`⏸️ ${t('list.paused')}`);
+      } else if (SubscriptionService.isInGracePeriod(subscription)) {
+        parts.push(`⌛ ${t('list.graceEnds', { date: this.createDiscordTimestamp(SubscriptionService.getGraceEndsAt(subscription), 'R') })}`);
+      } else {
+        parts.push(t('list.expires', { date: this.createDiscordTimestamp(subscription.expiresAt, 'R') }));
+      }
+      parts.push(t('list.tenure', { count: subscription.totalTenureDays }));
+
+      return parts.join(' • ');
+    });
+    if (filterText) {
+      lines.unshift(`*${filterText}*`, '');
+    }
+    embed.setDescription(subscriptions.length > 0 ? lines.join('\n') : `${filterText ? `*${filterText}*\n\n` : ''}${t('list.empty')}`);
+
+    if (subscriptions.length === 0) {
+      return { embeds: [embed], components: [] };
+    }
+
+    const select = new StringSelectMenuBuilder()
+      .setCustomId('list-member')
+      .setPlaceholder(t('list.selectPlaceholder'))
+      .addOptions(subscriptions.map((subscription, index) => {
+        const profile = profiles.get(subscription.discordId);
+        return {
+          label: `${offset + index + 1}. ${profile ? profile.displayName : t('list.unknownUser')}`.slice(0, 100),
+          description: `${profile ? `@${profile.username} • ` : ''}${subscription.isPaused ? t('list.paused') : t('list.expires', { date: formatDateInTimezone(subscription.expiresAt, timezone, t.language) })}`.slice(0, 100),
+          value: subscription.discordId
+        };
+      }));
+
+    const buttons = new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId('list-previous')
+        .setLabel(t('pagination.previous'))
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(page <= 1),
+      new ButtonBuilder()
+        .setCustomId('list-jump')
+        .setLabel(t('list.jump'))
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(pageCount <= 1),
+      new ButtonBuilder()
+        .setCustomId('list-next')
+        .setLabel(t('pagination.next'))
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(page >= pageCount)
+    );
+
+    return { embeds: [embed], components: [new ActionRowBuilder().addComponents(select), buttons] };
+  },
+
+  async handleAudit(interaction, t) {
+    const mode = interaction.options.getString('fix');
+    const amount = interaction.options.getInteger('duration');
+    const duration = amount ? { amount, unit: interaction.options.getString('unit') || 'months' } : null;
+
+    if (mode === 'import-holders' && !duration) {
+      return await interaction.reply({
+        content: `❌ ${t('roleAudit.needsDuration')}`,
+        ephemeral: true
+      });
+    }
+    if (duration) {
+      normalizeDuration(duration);
+    }
+
+    await interaction.deferReply({ ephemeral: true });
+
+    const report = await ReconciliationService.audit(interaction.guild);
+    const embed = ReconciliationService.createReportEmbed(report, t.language);
+
+    if (!mode) {
+      return await interaction.editReply({ embeds: [embed] });
+    }
+
+    const targets = ReconciliationService.getFixTargets(report, mode);
+    if (targets.length === 0) {
+      return await interaction.editReply({
+        content: `ℹ️ ${t('roleAudit.nothingToFix')}`,
+        embeds: [embed]
+      });
+    }
+
+    // Nothing is changed until the staff member confirms
+    const summary = `**${t(`roleAudit.modes.${mode}`)}**: ${t('roleAudit.members', { count: targets.length })}` +
+      (duration ? `, ${t('roleAudit.eachGetting', { duration: formatDuration(duration, t.language) })}` : '') + '.';
+    const row = new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId('audit-confirm')
+        .setLabel(t('roleAudit.apply'))
+        .setStyle(ButtonStyle.Danger),
+      new ButtonBuilder()
+        .setCustomId('audit-cancel')
+        .setLabel(t('status.controls.cancel'))
+        .setStyle(ButtonStyle.Secondary)
+    );
+
+    const reply = await interaction.editReply({
+      content: `⚠️ ${summary}\n${t('roleAudit.confirm')}`,
+      embeds: [embed],
+      components: [row]
+    });
+
+    const confirmation = await reply.awaitMessageComponent({
+      componentType: ComponentType.Button,
+      filter: button => button.user.id === interaction.user.id,
+      time: 60 * 1000
+    }).catch(() => null);
+
+    if (!confirmation || confirmation.customId !== 'audit-confirm') {
+      return await interaction.editReply({
+        content: confirmation ? `❌ ${t('roleAudit.cancelled')}` : `⌛ ${t('roleAudit.timedOut')}`,
+        components: []
+      });
+    }
+
+    await confirmation.update({ content: `⏳ ${t('roleAudit.applying')}`, components: [] });
+
+    const result = await ReconciliationService.applyFix(interaction.guild, mode, {
+      userIds: targets.map(entry => entry.userId),
+      duration,
+      executor: interaction.user,
+      source: 'slash'
+    });
+
+    const lines = [`✅ ${summary}`, t('roleAudit.fixed', { count: result.fixed })];
+    if (result.failed.length > 0) {
+      lines.push(t('roleAudit.failed', { count: result.failed.length }));
+      lines.push(...result.failed.slice(0, 10).map(failure => `• <@${failure.userId}>: ${failure.reason}`));
+    }
+
+    await interaction.editReply({ content: lines.join('\n').slice(0, 2000), embeds: [] });
+  },
+
+  async handleAuditLog(interaction, t) {
+    const staff = interaction.options.getUser('staff');
+    const target = interaction.options.getUser('target');
+    const fromInput = interaction.options.getString('from');
+    const toInput = interaction.options.getString('to');
+
+    // Dates are read in the staff member's own timezone
+    const timezone = await PreferenceService.getInteractionTimezone(interaction);
+    const filters = {
+      executorId: staff ? staff.id : null,
+      targetId: target ? target.id : null,
+      from: fromInput ? parseDate(fromInput, timezone) : null,
+      to: toInput ? parseDate(toInput, timezone, { endOfDay: true }) : null
+    };
+    if (filters.from && filters.to && filters.from > filters.to) {
+      return await interaction.reply({
+        content: `❌ ${t('auditLog.dateOrder')}`,
+        ephemeral: true
+      });
+    }
+
+    await interaction.deferReply({ ephemeral: true });
+
+    const filterText = [
+      staff && t('auditLog.filters.staff', { tag: staff.tag }),
+      target && t('auditLog.filters.target', { tag: target.tag }),
+      fromInput && t('auditLog.filters.from', { date: fromInput }),
+      toInput && t('auditLog.filters.to', { date: toInput })
+    ].filter(Boolean).join(' • ');
+
+    const render = async (page) => {
+      const result = await AuditLogService.search(interaction.guild.id, filters, page);
+      return { result, message: this.createAuditLogMessage(interaction, result, filterText, t) };
+    };
+
+    let { result, message } = await render(1);
+    const reply = await interaction.editReply(message);
+    if (result.pageCount <= 1) {
+      return;
+    }
+
+    // Page through the log until the buttons haven't been used for a while
+    const collector = reply.createMessageComponentCollector({
+      componentType: ComponentType.Button,
+      idle: 5 * 60 * 1000
+    });
+
+    collector.on('collect', async (button) => {
+      try {
+        if (button.user.id !== interaction.user.id) {
+          return await button.reply({ content: `❌ ${t('auditLog.ownerOnly')}`, ephemeral: true });
+        }
+
+        const page = button.customId === 'audit-log-next' ? result.page + 1 : result.page - 1;
+        ({ result, message } = await render(page));
+        await button.update(message);
+      } catch (error) {
+        logger.warn(`Failed to change audit log page: ${error.message}`);
+      }
+    });
+
+    collector.on('end', () => {
+      interaction.editReply({ components: [] }).catch(() => null);
+    });
+  },
+
+  // Build one page of the audit log with its navigation buttons
+  createAuditLogMessage(interaction, { entries, total, page, pageCount }, filterText, t) {
+    const embed = new EmbedBuilder()
+      .setColor(0x5865F2)
+      .setTitle(t('auditLog.title'))
+      .setFooter({ 
+        text: `${t('pagination.page', { page, pageCount })} • ${t('auditLog.changes', { count: total })} • by roster`, 
+        iconURL: GuildConfigService.getBrandingIconUrl(interaction.guildId) 
+      })
+      .setTimestamp();
+
+    const lines = entries.map(entry => this.formatAuditEntry(entry, t));
+    if (filterText) {
+      lines.unshift(`*${filterText}*`, '');
+    }
+    embed.setDescription(entries.length > 0 ? lines.join('\n') : `${filterText ? `*${filterText}*\n\n` : ''}${t('auditLog.empty')}`);
+
+    const row = new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId('audit-log-previous')
+        .setLabel(t('pagination.previous'))
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(page <= 1),
+      new ButtonBuilder()
+        .setCustomId('audit-log-next')
+        .setLabel(t('pagination.next'))
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(page >= pageCount)
+    );
+
+    return { embeds: [embed], components: pageCount > 1 ? [row] : [] };
+  },
+
+  // Format a single audit log entry as one line of the audit log embed
+  formatAuditEntry(entry, t) {
+    const label = t(`history.events.${entry.action}`);
+    const parts = [
+      `${this.createDiscordTimestamp(entry.createdAt, 'f')} • **${label === `history.events.${entry.action}` ? entry.action : label}** <@${entry.targetId}>`
+    ];
+
+    if (entry.duration && entry.duration.amount) {
+      parts.push(`+${formatDuration(entry.duration, t.language)}`);
+    }
+    if (entry.previousExpiresAt && entry.expiresAt) {
+      parts.push(`${this.createDiscordTimestamp(entry.previousExpiresAt, 'd')} → ${this.createDiscordTimestamp(entry.expiresAt, 'd')}`);
+    } else if (entry.expiresAt && ['created', 'extended', 'expiry-set', 'resumed'].includes(entry.action)) {
+      parts.push(t('history.expires', { date: this.createDiscordTimestamp(entry.expiresAt, 'd') }));
+    }
+
+    let executor = entry.executorTag ? t('history.by', { tag: entry.executorTag }) : t('history.automatic');
+    if (entry.source !== 'automatic') {
+      const sourceKey = `auditLog.sources.${entry.source}`;
+      const source = t(sourceKey);
+      executor += ` ${t('auditLog.via', { source: source === sourceKey ? entry.source : source })}`;
+    }
+    parts.push(executor);
+
+    let line = parts.join(' • ');
+    if (entry.reason) {
+      // Long reasons are cut so a full page still fits in the embed
+      line += `\n> ${entry.reason.replace(/\n/g, ' ').slice(0, 200)}`;
+    }
+    return line;
+  },
+
+  // Format a single ledger event as one line of the history embed
+  formatHistoryEvent(event, t) {
+    const label = t(`history.events.${event.type}`);
+    const parts = [`${this.createDiscordTimestamp(event.createdAt, 'f')} • **${label === `history.events.${event.type}` ? event.type : label}**`];
+
+    if (event.duration && event.duration.amount) {
+      parts.push(`+${formatDuration(event.duration, t.language)}`);
+    } else if (event.months) {
+      parts.push(`+${formatDuration(event.months, t.language)}`);
+    }
+    if (event.tier) {
+      parts.push(t('history.tier', { tier: event.tier }));
+    }
+    if (event.details && event.details.reason === 'left-guild') {
+      parts.push(t('history.leftServer'));
+    }
+    if (event.details && event.details.offsetMinutes) {
+      parts.push(t('history.beforeExpiry', { span: formatTimeSpan(event.details.offsetMinutes, t.language) }));
+    } else if (event.details && event.details.warning) {
+      parts.push(event.details.warning);
+    }
+    if (event.details && event.details.deliveredVia === 'channel') {
+      parts.push(t('history.viaChannel'));
+    } else if (event.details && event.details.deliveredVia === 'thread') {
+      parts.push(t('history.viaThread'));
+    }
+    if (event.details && event.details.code) {
+      parts.push(t('history.code', { code: event.details.code }));
+    }
+    if (event.details && event.details.orderId) {
+      parts.push(t('history.order', { orderId: event.details.orderId }));
+    }
+    if (event.expiresAt && ['created', 'extended', 'expiry-set', 'tier-changed'].includes(event.type)) {
+      parts.push(t('history.expires', { date: this.createDiscordTimestamp(event.expiresAt, 'd') }));
+    }
+    parts.push(event.executorTag ? t('history.by', { tag: event.executorTag }) : t('history.automatic'));
+
+    return parts.join(' • ');
+  },
+
+  // Handle status check for message commands
+  async handleStatusForMessage(message, targetUser, t) {
+    try {
+      const timezone = await PreferenceService.getTimezone(message.author.id, message.guild.preferredLocale);
+      const permissions = message.member ? message.member.permissions : null;
+
+      await message.reply(await this.createStatusMessage(message.guild.id, targetUser, message.author, permissions, t, timezone));
+      
+      logger.debug(`Subscription status checked for ${targetUser.tag} by ${message.author.tag} (message command)`);
+    } catch (error) {
+      logger.error(`Failed to get subscription status for ${targetUser.tag} (message command)`, error.stack);
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,136 @@
+const { SlashCommandBuilder } = require('discord.js');
+const PreferenceService = require('../services/preferenceService');
+const { SubscriptionError } = require('../utils/errors');
+const { DEFAULT_LANGUAGE, getTranslator } = require('../utils/i18n');
+const {
+  getTimezoneNames,
+  normalizeTimezone,
+  formatDateInTimezone,
+  getTimezoneAbbreviation
+} = require('../utils/timeUtils');
+const logger = require('../utils/logger');
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('timezone')
+    .setDescription('Choose the timezone of dates in bot messages and the dashboard')
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('set')
+        .setDescription('Set your timezone')
+        .addStringOption(option =>
+          option
+            .setName('zone')
+            .setDescription('Timezone name, e.g. Europe/Berlin or America/Chicago')
+            .setRequired(true)
+            .setAutocomplete(true)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('reset')
+        .setDescription('Guess your timezone from your Discord language again')
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('show')
+        .setDescription('Show the timezone used for your dates')
+    ),
+
+  // Message command aliases
+  aliases: ['timezone'],
+
+  async execute(interaction) {
+    let t = getTranslator(DEFAULT_LANGUAGE);
+
+    try {
+      t = getTranslator(await PreferenceService.getInteractionLanguage(interaction));
+      const subcommand = interaction.options.getSubcommand();
+
+      if (subcommand === 'set') {
+        const timezone = normalizeTimezone(interaction.options.getString('zone'));
+        if (!timezone) {
+          return await interaction.reply({
+            content: `❌ ${t('timezone.invalid', { timezone: interaction.options.getString('zone') })}`,
+            ephemeral: true
+          });
+        }
+
+        await PreferenceService.setTimezone(interaction.user.id, timezone);
+        return await interaction.reply({ content: this.describeTimezone(t, 'timezone.set', timezone), ephemeral: true });
+      }
+
+      if (subcommand === 'reset') {
+        await PreferenceService.setTimezone(interaction.user.id, null);
+      }
+
+      const preferences = await PreferenceService.getPreferences(interaction.user.id);
+      const timezone = await PreferenceService.getInteractionTimezone(interaction);
+      const key = subcommand === 'reset' ? 'timezone.reset' : (preferences && preferences.timezone ? 'timezone.current' : 'timezone.guessed');
+
+      await interaction.reply({ content: this.describeTimezone(t, key, timezone), ephemeral: true });
+    } catch (error) {
+      if (!(error instanceof SubscriptionError)) {
+        logger.error(`Error executing timezone command: ${error.message}`, error.stack);
+      }
+
+      await interaction.reply({
+        content: error instanceof SubscriptionError ? `❌ ${error.localize(t)}` : `❌ ${t('errors.generic')}`,
+        ephemeral: true
+      });
+    }
+  },
+
+  // Autocomplete handler for IANA timezone names
+  async autocomplete(interaction) {
+    const query = interaction.options.getFocused().toLowerCase().replace(/ /g, '_');
+
+    await interaction.respond(
+      getTimezoneNames()
+        .filter(timezone => timezone.toLowerCase().includes(query))
+        .slice(0, 25)
+        .map(timezone => ({ name: `${timezone} (${getTimezoneAbbreviation(timezone)})`, value: timezone }))
+    );
+  },
+
+  // Message command handler for !v timezone [zone|reset]
+  async handleMessageCommand(message, args) {
+    const input = args.slice(1).join('_');
+    let t = getTranslator(DEFAULT_LANGUAGE);
+
+    try {
+      t = getTranslator(await PreferenceService.getMemberLanguage(message.guild, message.author.id));
+      const locale = message.guild ? message.guild.preferredLocale : null;
+
+      if (!input) {
+        const preferences = await PreferenceService.getPreferences(message.author.id);
+        const timezone = await PreferenceService.getTimezone(message.author.id, locale);
+        return await message.reply(this.describeTimezone(t, preferences && preferences.timezone ? 'timezone.current' : 'timezone.guessed', timezone));
+      }
+
+      if (input.toLowerCase() === 'reset') {
+        await PreferenceService.setTimezone(message.author.id, null);
+        return await message.reply(this.describeTimezone(t, 'timezone.reset', await PreferenceService.getTimezone(message.author.id, locale)));
+      }
+
+      const timezone = normalizeTimezone(input);
+      if (!timezone) {
+        return await message.reply(`❌ ${t('timezone.invalid', { timezone: input })}`);
+      }
+
+      await PreferenceService.setTimezone(message.author.id, timezone);
+      await message.reply(this.describeTimezone(t, 'timezone.set', timezone));
+    } catch (error) {
+      logger.error(`Error executing message timezone command: ${error.message}`, error.stack);
+      await message.reply(`❌ ${t('errors.generic')}`);
+    }
+  },
+
+  // Describe a timezone with the current time there
+  describeTimezone(t, key, timezone) {
+    return t(key, {
+      timezone,
+      time: `${formatDateInTimezone(new Date(), timezone, t.language)} ${getTimezoneAbbreviation(timezone)}`
+    });
+  }
+};
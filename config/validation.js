@@ -1,58 +1,81 @@
-require('dotenv').config();
-
-const requiredEnvVars = [
-  'BOT_TOKEN',
-  'CLIENT_ID',
-  'GUILD_ID',
-  'DEFAULT_ROLE_ID',
-  'MONGO_URI',
-  'LOG_WEBHOOK_URL',
-  'NOTIFICATION_CHANNEL_ID'  // Added notification channel requirement
-];
-
-const optionalEnvVars = [
-  'PORT',  // Port for web dashboard (defaults to 3000)
-  'WEB_DASHBOARD_ENABLED'  // Enable/disable web dashboard (defaults to true)
-];
-
-function validateEnvironment() {
-  const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
-  
-  if (missingVars.length > 0) {
-    console.error('❌ Missing required environment variables:');
-    missingVars.forEach(varName => console.error(`  - ${varName}`));
-    console.error('\nPlease check your .env file and ensure all required variables are set.');
-    process.exit(1);
-  }
-  
-  console.log('✅ Environment variables validated successfully');
-  
-  // Log optional variables
-  optionalEnvVars.forEach(varName => {
-    if (process.env[varName]) {
-      console.log(`✓ Optional variable ${varName} is set`);
-    }
-  });
-}
-
-function getConfig() {
-  return {
-    BOT_TOKEN: process.env.BOT_TOKEN,
-    CLIENT_ID: process.env.CLIENT_ID,
-    GUILD_ID: process.env.GUILD_ID,
-    DEFAULT_ROLE_ID: process.env.DEFAULT_ROLE_ID,
-    MONGO_URI: process.env.MONGO_URI,
-    LOG_WEBHOOK_URL: process.env.LOG_WEBHOOK_URL,
-    NOTIFICATION_CHANNEL_ID: process.env.NOTIFICATION_CHANNEL_ID,
-    NODE_ENV: process.env.NODE_ENV || 'development',
-    
-    // Web dashboard configuration
-    PORT: process.env.PORT || 3000,
-    WEB_DASHBOARD_ENABLED: process.env.WEB_DASHBOARD_ENABLED !== 'false'  // Enabled by default
-  };
-}
-
-module.exports = {
-  validateEnvironment,
-  getConfig
-};
\ No newline at end of file
+require('dotenv').config();
+
+const requiredEnvVars = [
+  'BOT_TOKEN',
+  'CLIENT_ID',
+  'GUILD_ID',  // Primary guild: dashboard default, purchase webhooks and records from before multi-guild support
+  'MONGO_URI',
+  'LOG_WEBHOOK_URL'
+];
+
+const optionalEnvVars = [
+  // Per-guild settings live in the database (/subscription-config); these only seed the primary guild on first start
+  'DEFAULT_ROLE_ID',  // Role granted by subscriptions without a tier
+  'NOTIFICATION_CHANNEL_ID',  // Channel for subscription notifications
+  'GRACE_PERIOD_HOURS',  // Hours an expired subscription keeps its role before removal (defaults to 0)
+  'MEMBER_LEAVE_MODE',  // What happens to the remaining time when a subscriber leaves: keep (default) or freeze
+  'PORT',  // Port for web dashboard (defaults to 3000)
+  'WEB_DASHBOARD_ENABLED',  // Enable/disable web dashboard (defaults to true)
+  'PURCHASE_WEBHOOK_SECRET',  // Shared secret for signed store webhooks (webhook disabled when unset)
+  'PURCHASE_WEBHOOK_TOLERANCE_SECONDS',  // Maximum age of a signed webhook request (defaults to 300)
+  'DISCORD_CLIENT_SECRET',  // OAuth2 client secret for dashboard login (login disabled when unset)
+  'SESSION_SECRET',  // Secret used to sign dashboard session cookies (login disabled when unset)
+  'DASHBOARD_URL'  // Public URL of the dashboard, used for the OAuth2 redirect (defaults to http://localhost:PORT)
+];
+
+function validateEnvironment() {
+  const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
+  
+  if (missingVars.length > 0) {
+    console.error('❌ Missing required environment variables:');
+    missingVars.forEach(varName => console.error(`  - ${varName}`));
+    console.error('\nPlease check your .env file and ensure all required variables are set.');
+    process.exit(1);
+  }
+  
+  console.log('✅ Environment variables validated successfully');
+  
+  // Log optional variables
+  optionalEnvVars.forEach(varName => {
+    if (process.env[varName]) {
+      console.log(`✓ Optional variable ${varName} is set`);
+    }
+  });
+}
+
+function getConfig() {
+  return {
+    BOT_TOKEN: process.env.BOT_TOKEN,
+    CLIENT_ID: process.env.CLIENT_ID,
+    GUILD_ID: process.env.GUILD_ID,
+    DEFAULT_ROLE_ID: process.env.DEFAULT_ROLE_ID,
+    MONGO_URI: process.env.MONGO_URI,
+    LOG_WEBHOOK_URL: process.env.LOG_WEBHOOK_URL,
+    NOTIFICATION_CHANNEL_ID: process.env.NOTIFICATION_CHANNEL_ID,
+    NODE_ENV: process.env.NODE_ENV || 'development',
+    
+    // Web dashboard configuration
+    PORT: process.env.PORT || 3000,
+    WEB_DASHBOARD_ENABLED: process.env.WEB_DASHBOARD_ENABLED !== 'false',  // Enabled by default
+
+    // Expiration behaviour
+    GRACE_PERIOD_HOURS: Math.max(0, parseFloat(process.env.GRACE_PERIOD_HOURS) || 0),
+
+    // Store purchase webhook
+    PURCHASE_WEBHOOK_SECRET: process.env.PURCHASE_WEBHOOK_SECRET || null,
+    PURCHASE_WEBHOOK_TOLERANCE_SECONDS: parseInt(process.env.PURCHASE_WEBHOOK_TOLERANCE_SECONDS, 10) || 300,
+
+    // Dashboard login
+    DISCORD_CLIENT_SECRET: process.env.DISCORD_CLIENT_SECRET || null,
+    SESSION_SECRET: process.env.SESSION_SECRET || null,
+    DASHBOARD_URL: (process.env.DASHBOARD_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/+$/, ''),
+
+    // Leaving the guild either keeps the subscription running or freezes it until the member returns
+    MEMBER_LEAVE_MODE: process.env.MEMBER_LEAVE_MODE === 'freeze' ? 'freeze' : 'keep'
+  };
+}
+
+module.exports = {
+  validateEnvironment,
+  getConfig
+};
@@ -1,301 +1,458 @@
-const { Client, GatewayIntentBits, Collection, ActivityType } = require('discord.js');
-const mongoose = require('mongoose');
-const cron = require('node-cron');
-const fs = require('fs');
-const path = require('path');
-
-// Import utilities and services
-const { validateEnvironment, getConfig } = require('./config/validation');
-const logger = require('./utils/logger');
-const SubscriptionService = require('./services/subscriptionService');
-const WebDashboard = require('./web/dashboard');
-
-// Validate environment and get config
-validateEnvironment();
-const config = getConfig();
-
-// Create Discord client with necessary intents
-const client = new Client({
-  intents: [
-    GatewayIntentBits.Guilds,
-    GatewayIntentBits.GuildMessages,
-    GatewayIntentBits.MessageContent  // Required for message commands
-  ]
-});
-
-// Create commands collection
-client.commands = new Collection();
-
-// Load commands
-const commandsPath = path.join(__dirname, 'commands');
-if (fs.existsSync(commandsPath)) {
-  const commandFiles = fs.readdirSync(commandsPath).filter(file => file.endsWith('.js'));
-  
-  for (const file of commandFiles) {
-    const filePath = path.join(commandsPath, file);
-    const command = require(filePath);
-    
-    if ('data' in command && 'execute' in command) {
-      client.commands.set(command.data.name, command);
-      logger.debug(`Loaded command: ${command.data.name}`);
-    } else {
-      logger.warn(`Command at ${filePath} is missing required "data" or "execute" property`);
-    }
-  }
-}
-
-// Connect to MongoDB
-async function connectToDatabase() {
-  try {
-    await mongoose.connect(config.MONGO_URI);
-    logger.info('Successfully connected to MongoDB');
-  } catch (error) {
-    logger.error('Failed to connect to MongoDB', error.stack);
-    process.exit(1);
-  }
-}
-
-// Setup cron job for expired subscription cleanup and expiration warnings
-function setupExpirationChecks() {
-  // Run expired subscription cleanup every hour at minute 0
-  cron.schedule('0 * * * *', async () => {
-    logger.debug('Running expired subscription check...');
-    
-    try {
-      const guild = client.guilds.cache.get(config.GUILD_ID);
-      if (!guild) {
-        logger.warn('Guild not found for expired subscription check');
-        return;
-      }
-
-      // Pass client to processExpiredSubscriptions for notifications
-      const processedUsers = await SubscriptionService.processExpiredSubscriptions(guild, client);
-      
-      if (processedUsers.length > 0) {
-        logger.info(`Processed ${processedUsers.length} expired subscriptions`);
-      } else {
-        logger.debug('No expired subscriptions to process');
-      }
-    } catch (error) {
-      logger.error('Error during expired subscription check', error.stack);
-    }
-  });
-
-  // Run expiration warnings every 5 minutes
-  cron.schedule('*/5 * * * *', async () => {
-    logger.debug('Running expiration warning check...');
-    
-    try {
-      const warningResults = await SubscriptionService.processExpirationWarnings(client);
-      
-      if (warningResults.oneDayWarnings > 0 || warningResults.thirtyMinuteWarnings > 0) {
-        logger.debug(`Sent ${warningResults.oneDayWarnings} 1-day warnings and ${warningResults.thirtyMinuteWarnings} 30-minute warnings`);
-      }
-    } catch (error) {
-      logger.error('Error during expiration warning check', error.stack);
-    }
-  });
-  
-  logger.info('Scheduled expired subscription cleanup (hourly) and expiration warnings (every 5 minutes)');
-}
-
-// Update bot activity with dashboard URL
-async function updateBotActivity() {
-  try {
-    const stats = await SubscriptionService.getSubscriptionStats();
-    client.user.setActivity(`${stats.active} active subs | Subscription: virelia.live/shop`, { 
-      type: ActivityType.Watching 
-    });
-  } catch (error) {
-    client.user.setActivity('Dashboard: subscriptionstatus.virelia.live', { 
-      type: ActivityType.Watching 
-    });
-  }
-}
-
-// Bot event handlers
-client.once('ready', async () => {
-  logger.info(`Bot logged in as ${client.user.tag}`);
-  logger.info(`Bot is in ${client.guilds.cache.size} guild(s)`);
-  logger.info('Message commands (!v) are now enabled');
-  
-  // Set initial bot status
-  await updateBotActivity();
-  
-  // Update activity every 5 minutes
-  setInterval(updateBotActivity, 5 * 60 * 1000);
-  
-  // Setup cron jobs
-  setupExpirationChecks();
-  
-  // Start web dashboard
-  const dashboard = new WebDashboard(client);
-  await dashboard.start();
-  
-  // Log startup to Discord
-  logger.botStarted();
-  
-  // Log subscription statistics
-  try {
-    const stats = await SubscriptionService.getSubscriptionStats();
-    logger.info(`Subscription stats: ${stats.active} active, ${stats.expired} expired, ${stats.total} total`);
-  } catch (error) {
-    logger.warn('Failed to load subscription statistics on startup');
-  }
-  
-  // Validate notification channel exists
-  if (config.NOTIFICATION_CHANNEL_ID) {
-    const notificationChannel = client.channels.cache.get(config.NOTIFICATION_CHANNEL_ID);
-    if (notificationChannel) {
-      logger.info(`Notification channel configured: #${notificationChannel.name}`);
-    } else {
-      logger.warn(`Notification channel ${config.NOTIFICATION_CHANNEL_ID} not found`);
-    }
-  } else {
-    logger.warn('No notification channel configured');
-  }
-});
-
-// Handle slash commands
-client.on('interactionCreate', async (interaction) => {
-  if (interaction.isChatInputCommand()) {
-    const command = client.commands.get(interaction.commandName);
-    
-    if (!command) {
-      logger.warn(`No command matching ${interaction.commandName} was found`);
-      return;
-    }
-
-    try {
-      logger.debug(`Executing slash command: ${interaction.commandName} by ${interaction.user.tag}`);
-      await command.execute(interaction);
-      
-      // Update activity after subscription commands
-      if (interaction.commandName === 'subscription') {
-        setTimeout(updateBotActivity, 1000);
-      }
-    } catch (error) {
-      logger.error(`Error executing command ${interaction.commandName}`, error.stack);
-      
-      const errorMessage = 'There was an error while executing this command!';
-      
-      if (interaction.replied || interaction.deferred) {
-        await interaction.editReply({ content: errorMessage, ephemeral: true });
-      } else {
-        await interaction.reply({ content: errorMessage, ephemeral: true });
-      }
-    }
-  }
-});
-
-// Handle message commands (!v)
-client.on('messageCreate', async (message) => {
-  // Ignore bot messages
-  if (message.author.bot) return;
-  
-  // Check if message starts with !v
-  if (!message.content.toLowerCase().startsWith('!v ')) return;
-  
-  // Parse command and arguments
-  const args = message.content.slice(3).trim().split(/ +/);
-  const commandName = args[0]?.toLowerCase();
-  
-  if (!commandName) return;
-  
-  try {
-    // Handle subscription command aliases
-    if (['subscription', 'subscriptionstatus', 'ss'].includes(commandName)) {
-      const subscriptionCommand = client.commands.get('subscription');
-      if (subscriptionCommand && subscriptionCommand.handleMessageCommand) {
-        logger.debug(`Executing message command: !v ${commandName} by ${message.author.tag}`);
-        await subscriptionCommand.handleMessageCommand(message, args, client);
-      }
-    }
-  } catch (error) {
-    logger.error(`Error executing message command !v ${commandName}`, error.stack);
-    await message.reply('⚠️ An error occurred while processing your command. Please try again later.');
-  }
-});
-
-// Handle guild member updates (role changes)
-client.on('guildMemberUpdate', async (oldMember, newMember) => {
-  try {
-    const subscriptionRole = config.DEFAULT_ROLE_ID;
-    const hadRole = oldMember.roles.cache.has(subscriptionRole);
-    const hasRole = newMember.roles.cache.has(subscriptionRole);
-    
-    // If role was removed manually, clean up database
-    if (hadRole && !hasRole) {
-      const subscription = await SubscriptionService.getSubscriptionStatus(newMember.id);
-      if (subscription) {
-        await SubscriptionService.removeSubscription(newMember.id);
-        logger.info(`Cleaned up subscription for ${newMember.user.tag} after manual role removal`);
-        setTimeout(updateBotActivity, 1000);
-      }
-    }
-  } catch (error) {
-    logger.warn(`Error handling member update for ${newMember.user.tag}: ${error.message}`);
-  }
-});
-
-// Error handling
-client.on('error', (error) => {
-  logger.botError(error);
-});
-
-client.on('warn', (warning) => {
-  logger.warn(`Discord.js warning: ${warning}`);
-});
-
-process.on('unhandledRejection', (error) => {
-  logger.error('Unhandled promise rejection', error.stack);
-});
-
-process.on('uncaughtException', (error) => {
-  logger.error('Uncaught exception', error.stack);
-  process.exit(1);
-});
-
-// Graceful shutdown
-process.on('SIGINT', async () => {
-  logger.info('Received SIGINT, shutting down gracefully...');
-  
-  try {
-    await mongoose.connection.close();
-    logger.info('MongoDB connection closed');
-  } catch (error) {
-    logger.error('Error closing MongoDB connection', error.stack);
-  }
-  
-  client.destroy();
-  process.exit(0);
-});
-
-process.on('SIGTERM', async () => {
-  logger.info('Received SIGTERM, shutting down gracefully...');
-  
-  try {
-    await mongoose.connection.close();
-    logger.info('MongoDB connection closed');
-  } catch (error) {
-    logger.error('Error closing MongoDB connection', error.stack);
-  }
-  
-  client.destroy();
-  process.exit(0);
-});
-
-// Start the bot
-async function startBot() {
-  try {
-    await connectToDatabase();
-    logger.info('Attempting to login to Discord...');
-    await client.login(config.BOT_TOKEN);
-  } catch (error) {
-    logger.error('Failed to start bot', error.stack);
-    console.error('Detailed error:', error); // Additional console logging for debugging
-    process.exit(1);
-  }
-}
-
-startBot();
\ No newline at end of file
+const { Client, GatewayIntentBits, Collection, ActivityType } = require('discord.js');
+const mongoose = require('mongoose');
+const fs = require('fs');
+const path = require('path');
+
+// Import utilities and services
+const { validateEnvironment, getConfig } = require('./config/validation');
+const logger = require('./utils/logger');
+const SubscriptionService = require('./services/subscriptionService');
+const GuildConfigService = require('./services/guildConfigService');
+const ReconciliationService = require('./services/reconciliationService');
+const SchedulerService = require('./services/schedulerService');
+const NotificationService = require('./services/notificationService');
+const WebDashboard = require('./web/dashboard');
+
+// Validate environment and get config
+validateEnvironment();
+const config = getConfig();
+
+// Create Discord client with necessary intents
+const client = new Client({
+  intents: [
+    GatewayIntentBits.Guilds,
+    GatewayIntentBits.GuildMembers,  // Required for role audits and member join/leave events
+    GatewayIntentBits.GuildMessages,
+    GatewayIntentBits.MessageContent  // Required for message commands
+  ]
+});
+
+// Create commands collection
+client.commands = new Collection();
+
+// Load commands
+const commandsPath = path.join(__dirname, 'commands');
+if (fs.existsSync(commandsPath)) {
+  const commandFiles = fs.readdirSync(commandsPath).filter(file => file.endsWith('.js'));
+  
+  for (const file of commandFiles) {
+    const filePath = path.join(commandsPath, file);
+    const command = require(filePath);
+    
+    if ('data' in command && 'execute' in command) {
+      client.commands.set(command.data.name, command);
+      logger.debug(`Loaded command: ${command.data.name}`);
+    } else {
+      logger.warn(`Command at ${filePath} is missing required "data" or "execute" property`);
+    }
+  }
+}
+
+// Connect to MongoDB
+async function connectToDatabase() {
+  try {
+    await mongoose.connect(config.MONGO_URI);
+    logger.info('Successfully connected to MongoDB');
+
+    // Records from before multi-guild support belong to the primary guild
+    await GuildConfigService.migrateLegacyRecords();
+    await SubscriptionService.migrateLegacyReminderFlags();
+  } catch (error) {
+    logger.error('Failed to connect to MongoDB', error.stack);
+    process.exit(1);
+  }
+}
+
+// Run a task for every guild the bot is in. A failing guild doesn't stop the others,
+// but the run counts as failed so the scheduler retries it.
+async function runForEachGuild(description, task) {
+  const failedGuildIds = [];
+
+  for (const guild of client.guilds.cache.values()) {
+    try {
+      // Settings may have been changed on another instance
+      await GuildConfigService.getGuildConfig(guild.id);
+      await task(guild);
+    } catch (error) {
+      logger.error(`Error during ${description} for guild ${guild.id}`, error.stack);
+      failedGuildIds.push(guild.id);
+    }
+  }
+
+  if (failedGuildIds.length > 0) {
+    throw new Error(`${description} failed for guild(s) ${failedGuildIds.join(', ')}`);
+  }
+}
+
+// Earliest next run time over all guilds, null if no guild has anything coming up
+async function getEarliestGuildRunAt(getNextRunAt) {
+  const times = [];
+
+  for (const guildId of client.guilds.cache.keys()) {
+    await GuildConfigService.getGuildConfig(guildId);
+    const nextRunAt = await getNextRunAt(guildId);
+    if (nextRunAt) {
+      times.push(nextRunAt);
+    }
+  }
+
+  return times.length > 0 ? new Date(Math.min(...times)) : null;
+}
+
+// Next occurrence of a time of day in server time
+function getNextTimeOfDay(hours, minutes) {
+  const next = new Date();
+  next.setHours(hours, minutes, 0, 0);
+  if (next <= new Date()) {
+    next.setDate(next.getDate() + 1);
+  }
+  return next;
+}
+
+// Set up the scheduled jobs. Expirations and reminders run at the moment they are due,
+// their state is kept in the database so missed runs are caught up after a restart.
+async function setupScheduledJobs() {
+  SchedulerService.register({
+    name: 'expirations',
+    description: 'expired subscription check',
+    run: () => runForEachGuild('expired subscription check', async (guild) => {
+      const processedUsers = await SubscriptionService.processExpiredSubscriptions(guild);
+
+      if (processedUsers.length > 0) {
+        logger.info(`Processed ${processedUsers.length} expired subscriptions in ${guild.name}`);
+        setTimeout(updateBotActivity, 1000);
+      }
+    }),
+    getNextRunAt: () => getEarliestGuildRunAt(guildId => SubscriptionService.getNextExpirationRunAt(guildId))
+  });
+
+  SchedulerService.register({
+    name: 'reminders',
+    description: 'expiration reminder check',
+    run: () => runForEachGuild('expiration reminder check', async (guild) => {
+      const warningResults = await SubscriptionService.processExpirationWarnings(guild);
+
+      if (warningResults.sent > 0) {
+        logger.debug(`Sent ${warningResults.sent} expiration reminders in ${guild.name}`);
+      }
+    }),
+    getNextRunAt: () => getEarliestGuildRunAt(guildId => SubscriptionService.getNextReminderAt(guildId))
+  });
+
+  // Retry notifications whose delivery failed, with a growing delay between attempts
+  SchedulerService.register({
+    name: 'notifications',
+    description: 'notification delivery',
+    run: () => runForEachGuild('notification delivery', guild => NotificationService.processDue(guild)),
+    getNextRunAt: () => getEarliestGuildRunAt(guildId => NotificationService.getNextAttemptAt(guildId))
+  });
+
+  // Compare subscriber roles with the database once a day at 04:30
+  SchedulerService.register({
+    name: 'role-audit',
+    description: 'scheduled role audit',
+    run: () => runForEachGuild('scheduled role audit', guild => ReconciliationService.runScheduledAudit(guild)),
+    getNextRunAt: async () => getNextTimeOfDay(4, 30)
+  });
+
+  await SchedulerService.start();
+}
+
+// Update bot activity with dashboard URL
+async function updateBotActivity() {
+  try {
+    const stats = await SubscriptionService.getSubscriptionStats();
+    client.user.setActivity(`${stats.active} active subs | Subscription: virelia.live/shop`, { 
+      type: ActivityType.Watching 
+    });
+  } catch (error) {
+    client.user.setActivity('Dashboard: subscriptionstatus.virelia.live', { 
+      type: ActivityType.Watching 
+    });
+  }
+}
+
+// Bot event handlers
+client.once('ready', async () => {
+  logger.info(`Bot logged in as ${client.user.tag}`);
+  logger.info(`Bot is in ${client.guilds.cache.size} guild(s)`);
+  logger.info('Message commands (!v) are now enabled');
+
+  // Load (or create) the configuration of every guild before the jobs start
+  try {
+    await GuildConfigService.loadGuildConfigs([...client.guilds.cache.keys()]);
+  } catch (error) {
+    logger.error('Failed to load guild configurations', error.stack);
+  }
+  
+  // Set initial bot status
+  await updateBotActivity();
+  
+  // Update activity every 5 minutes
+  setInterval(updateBotActivity, 5 * 60 * 1000);
+  
+  // Start the scheduled jobs, catching up on anything missed while offline
+  try {
+    await setupScheduledJobs();
+  } catch (error) {
+    logger.error('Failed to start scheduled jobs', error.stack);
+  }
+  
+  // Start web dashboard
+  const dashboard = new WebDashboard(client);
+  await dashboard.start();
+  
+  // Log startup to Discord
+  logger.botStarted();
+  
+  // Log subscription statistics
+  try {
+    const stats = await SubscriptionService.getSubscriptionStats();
+    logger.info(`Subscription stats: ${stats.active} active, ${stats.expired} expired, ${stats.total} total`);
+  } catch (error) {
+    logger.warn('Failed to load subscription statistics on startup');
+  }
+  
+  // Validate the notification channel of every guild
+  for (const guild of client.guilds.cache.values()) {
+    const { notificationChannelId } = GuildConfigService.getCachedGuildConfig(guild.id);
+    if (notificationChannelId) {
+      const notificationChannel = guild.channels.cache.get(notificationChannelId);
+      if (notificationChannel) {
+        logger.info(`Notification channel for ${guild.name}: #${notificationChannel.name}`);
+      } else {
+        logger.warn(`Notification channel ${notificationChannelId} of ${guild.name} not found`);
+      }
+    } else {
+      logger.warn(`No notification channel configured for ${guild.name}`);
+    }
+  }
+});
+
+// Set up the configuration of guilds the bot is added to
+client.on('guildCreate', async (guild) => {
+  try {
+    await GuildConfigService.getGuildConfig(guild.id);
+    logger.info(`Joined guild ${guild.name} (${guild.id})`);
+  } catch (error) {
+    logger.warn(`Error setting up configuration for guild ${guild.id}: ${error.message}`);
+  }
+});
+
+// Handle slash commands, autocomplete and persistent components
+client.on('interactionCreate', async (interaction) => {
+  if (interaction.isAutocomplete()) {
+    const command = client.commands.get(interaction.commandName);
+    if (!command || !command.autocomplete) return;
+
+    try {
+      await command.autocomplete(interaction);
+    } catch (error) {
+      logger.warn(`Error handling autocomplete for ${interaction.commandName}: ${error.message}`);
+    }
+    return;
+  }
+
+  // Buttons and modals that outlive a reply carry their command in the custom ID
+  // (command:...). Components without one are handled by collectors of their reply.
+  if (interaction.isMessageComponent() || interaction.isModalSubmit()) {
+    if (!interaction.customId.includes(':')) return;
+
+    const command = client.commands.get(interaction.customId.split(':')[0]);
+    if (!command || !command.handleComponent) return;
+
+    try {
+      await command.handleComponent(interaction);
+
+      // Update activity after subscription changes
+      if (command.data.name === 'subscription') {
+        setTimeout(updateBotActivity, 1000);
+      }
+    } catch (error) {
+      logger.error(`Error handling component ${interaction.customId}`, error.stack);
+    }
+    return;
+  }
+
+  if (interaction.isChatInputCommand()) {
+    const command = client.commands.get(interaction.commandName);
+    
+    if (!command) {
+      logger.warn(`No command matching ${interaction.commandName} was found`);
+      return;
+    }
+
+    try {
+      logger.debug(`Executing slash command: ${interaction.commandName} by ${interaction.user.tag}`);
+      await command.execute(interaction);
+      
+      // Update activity after subscription commands
+      if (interaction.commandName === 'subscription') {
+        setTimeout(updateBotActivity, 1000);
+      }
+    } catch (error) {
+      logger.error(`Error executing command ${interaction.commandName}`, error.stack);
+      
+      const errorMessage = 'There was an error while executing this command!';
+      
+      if (interaction.replied || interaction.deferred) {
+        await interaction.editReply({ content: errorMessage, ephemeral: true });
+      } else {
+        await interaction.reply({ content: errorMessage, ephemeral: true });
+      }
+    }
+  }
+});
+
+// Handle message commands (!v)
+client.on('messageCreate', async (message) => {
+  // Ignore bot messages
+  if (message.author.bot) return;
+  
+  // Check if message starts with !v
+  if (!message.content.toLowerCase().startsWith('!v ')) return;
+  
+  // Parse command and arguments
+  const args = message.content.slice(3).trim().split(/ +/);
+  const commandName = args[0]?.toLowerCase();
+  
+  if (!commandName) return;
+  
+  try {
+    // Handle subscription command aliases
+    if (['subscription', 'subscriptionstatus', 'ss', 'tiers'].includes(commandName)) {
+      const subscriptionCommand = client.commands.get('subscription');
+      if (subscriptionCommand && subscriptionCommand.handleMessageCommand) {
+        logger.debug(`Executing message command: !v ${commandName} by ${message.author.tag}`);
+        await subscriptionCommand.handleMessageCommand(message, args, client);
+      }
+    } else if (commandName === 'redeem') {
+      const redeemCommand = client.commands.get('redeem');
+      if (redeemCommand && redeemCommand.handleMessageCommand) {
+        logger.debug(`Executing message command: !v redeem by ${message.author.tag}`);
+        await redeemCommand.handleMessageCommand(message, args, client);
+      }
+    } else if (commandName === 'timezone') {
+      const timezoneCommand = client.commands.get('timezone');
+      if (timezoneCommand && timezoneCommand.handleMessageCommand) {
+        logger.debug(`Executing message command: !v timezone by ${message.author.tag}`);
+        await timezoneCommand.handleMessageCommand(message, args, client);
+      }
+    }
+  } catch (error) {
+    logger.error(`Error executing message command !v ${commandName}`, error.stack);
+    await message.reply('⚠️ An error occurred while processing your command. Please try again later.');
+  }
+});
+
+// Handle guild member updates (role changes)
+client.on('guildMemberUpdate', async (oldMember, newMember) => {
+  try {
+    // Only roles that were taken away can affect a subscription
+    const removedRoleIds = oldMember.roles.cache
+      .filter(role => !newMember.roles.cache.has(role.id))
+      .map(role => role.id);
+    if (removedRoleIds.length === 0) return;
+    
+    // If the subscription's primary role was removed manually, clean up database
+    // (paused subscriptions lose their role on purpose)
+    const subscription = await SubscriptionService.getSubscriptionStatus(newMember.guild.id, newMember.id);
+    if (subscription && !subscription.isPaused && removedRoleIds.includes(subscription.roleId)) {
+      await SubscriptionService.removeSubscription(newMember.guild.id, newMember.id, { eventType: 'role-removed' });
+      logger.info(`Cleaned up subscription for ${newMember.user.tag} after manual role removal`);
+      setTimeout(updateBotActivity, 1000);
+    }
+  } catch (error) {
+    logger.warn(`Error handling member update for ${newMember.user.tag}: ${error.message}`);
+  }
+});
+
+// Give returning subscribers their roles back
+client.on('guildMemberAdd', async (member) => {
+  try {
+    const result = await SubscriptionService.restoreMemberRoles(member);
+    if (result) {
+      logger.info(`Restored subscription for ${member.user.tag} after rejoining${result.resumed ? ' (resumed frozen time)' : ''}`);
+      setTimeout(updateBotActivity, 1000);
+    }
+  } catch (error) {
+    logger.warn(`Error restoring subscription for ${member.user.tag}: ${error.message}`);
+  }
+});
+
+// Freeze subscriptions of members who leave (guilds with memberLeaveMode 'freeze')
+client.on('guildMemberRemove', async (member) => {
+  try {
+    const subscription = await SubscriptionService.handleMemberLeave(member);
+    if (subscription) {
+      logger.info(`Froze subscription for ${member.user.tag} after leaving the server`);
+      setTimeout(updateBotActivity, 1000);
+    }
+  } catch (error) {
+    logger.warn(`Error handling member leave for ${member.user.tag}: ${error.message}`);
+  }
+});
+
+// Error handling
+client.on('error', (error) => {
+  logger.botError(error);
+});
+
+client.on('warn', (warning) => {
+  logger.warn(`Discord.js warning: ${warning}`);
+});
+
+process.on('unhandledRejection', (error) => {
+  logger.error('Unhandled promise rejection', error.stack);
+});
+
+process.on('uncaughtException', (error) => {
+  logger.error('Uncaught exception', error.stack);
+  process.exit(1);
+});
+
+// Graceful shutdown
+process.on('SIGINT', async () => {
+  logger.info('Received SIGINT, shutting down gracefully...');
+  
+  try {
+    await SchedulerService.stop();
+    await mongoose.connection.close();
+    logger.info('MongoDB connection closed');
+  } catch (error) {
+    logger.error('Error closing MongoDB connection', error.stack);
+  }
+  
+  client.destroy();
+  process.exit(0);
+});
+
+process.on('SIGTERM', async () => {
+  logger.info('Received SIGTERM, shutting down gracefully...');
+  
+  try {
+    await SchedulerService.stop();
+    await mongoose.connection.close();
+    logger.info('MongoDB connection closed');
+  } catch (error) {
+    logger.error('Error closing MongoDB connection', error.stack);
+  }
+  
+  client.destroy();
+  process.exit(0);
+});
+
+// Start the bot
+async function startBot() {
+  try {
+    await connectToDatabase();
+    logger.info('Attempting to login to Discord...');
+    await client.login(config.BOT_TOKEN);
+  } catch (error) {
+    logger.error('Failed to start bot', error.stack);
+    console.error('Detailed error:', error); // Additional console logging for debugging
+    process.exit(1);
+  }
+}
+
+startBot();
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+const API_SCOPES = [
+  'subscriptions:read',
+  'subscriptions:write'
+];
+
+const apiKeySchema = new mongoose.Schema({
+  // Guild whose subscriptions the key manages
+  guildId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 64
+  },
+  // Public part of the key, used to look it up and shown in listings
+  prefix: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  // SHA-256 hash of the full key, the key itself is never stored
+  keyHash: {
+    type: String,
+    required: true
+  },
+  scopes: {
+    type: [String],
+    enum: API_SCOPES,
+    default: ['subscriptions:read']
+  },
+  createdById: {
+    type: String,
+    default: null
+  },
+  createdByTag: {
+    type: String,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Instance method to check whether the key grants a scope
+apiKeySchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+apiKeySchema.statics.API_SCOPES = API_SCOPES;
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+// Where a change was made
+const AUDIT_SOURCES = ['slash', 'message', 'button', 'dashboard', 'api', 'automatic'];
+
+const auditLogSchema = new mongoose.Schema({
+  guildId: {
+    type: String,
+    required: true
+  },
+  // Subscription event type of the change, e.g. 'created' or 'removed'
+  action: {
+    type: String,
+    required: true
+  },
+  // Who made the change, null for automatic changes
+  executorId: {
+    type: String,
+    default: null
+  },
+  executorTag: {
+    type: String,
+    default: null
+  },
+  // Member whose subscription changed
+  targetId: {
+    type: String,
+    required: true
+  },
+  source: {
+    type: String,
+    enum: AUDIT_SOURCES,
+    default: 'automatic'
+  },
+  // Why the change was made, as given by the executor
+  reason: {
+    type: String,
+    default: null,
+    maxlength: 500
+  },
+  previousExpiresAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  // Term granted by the change (created/extended)
+  duration: {
+    amount: Number,
+    unit: String
+  },
+  tier: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for the guild log and the staff and target filters (newest first)
+auditLogSchema.index({ guildId: 1, createdAt: -1 });
+auditLogSchema.index({ guildId: 1, executorId: 1, createdAt: -1 });
+auditLogSchema.index({ guildId: 1, targetId: 1, createdAt: -1 });
+
+// The audit log is append-only, block every update and delete
+const blockMutation = function(next) {
+  next(new Error('Audit log entries are append-only'));
+};
+
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  blockMutation
+);
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Audit log entries are append-only'));
+  }
+  next();
+});
+
+// Static method to append an entry to the log
+auditLogSchema.statics.record = function(entry) {
+  return this.create(entry);
+};
+
+auditLogSchema.statics.AUDIT_SOURCES = AUDIT_SOURCES;
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+const guildConfigSchema = new mongoose.Schema({
+  guildId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  // Role granted by subscriptions without a tier
+  defaultRoleId: {
+    type: String,
+    default: null
+  },
+  // Channel for subscription notifications
+  notificationChannelId: {
+    type: String,
+    default: null
+  },
+  // Channel for configuration changes, undeliverable DMs and role audit reports
+  logChannelId: {
+    type: String,
+    default: null
+  },
+  // Hours an expired subscription keeps its role before removal
+  gracePeriodHours: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // What happens to the remaining time when a subscriber leaves the guild
+  memberLeaveMode: {
+    type: String,
+    enum: ['keep', 'freeze'],
+    default: 'keep'
+  },
+  // Icon shown in embed footers (the default icon when not set)
+  brandingIconUrl: {
+    type: String,
+    default: null
+  },
+  // Shop page behind the Renew button of a member's own status (no button when not set)
+  shopUrl: {
+    type: String,
+    default: null
+  },
+  // Reminder stages, each sent offsetMinutes before expiry (the default stages when not set)
+  reminders: {
+    type: [{
+      _id: false,
+      offsetMinutes: {
+        type: Number,
+        required: true,
+        min: 1
+      },
+      message: {
+        type: String,
+        required: true
+      }
+    }],
+    default: undefined
+  },
+  // Direct messages to members before their subscription expires
+  dmExpiryWarnings: {
+    type: Boolean,
+    default: true
+  },
+  // Direct message to members when their subscription lapses into the grace period
+  dmGraceNotice: {
+    type: Boolean,
+    default: true
+  },
+  // Where warnings go when a member's DMs are closed: nowhere, a ping in the
+  // reminders channel or a private thread per member in it
+  reminderFallback: {
+    type: String,
+    enum: ['none', 'channel', 'thread'],
+    default: 'none'
+  },
+  // Channel used by the reminder fallback
+  reminderChannelId: {
+    type: String,
+    default: null
+  },
+  // Language of bot messages in the guild, null to use the guild's Discord locale.
+  // Members can still choose their own language.
+  language: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to find the configuration of a guild
+guildConfigSchema.statics.findByGuild = function(guildId) {
+  return this.findOne({ guildId });
+};
+
+module.exports = mongoose.model('GuildConfig', guildConfigSchema);
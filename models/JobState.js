@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// Persisted state of a scheduled job (see SchedulerService), so runs missed while the bot was down
+// can be caught up and several bot instances take turns instead of running a job twice
+const jobStateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  // Start of the most recent run, successful or not
+  lastRunAt: {
+    type: Date,
+    default: null
+  },
+  lastSuccessAt: {
+    type: Date,
+    default: null
+  },
+  lastFailureAt: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  lastDurationMs: {
+    type: Number,
+    default: null
+  },
+  // When the job will run next, null while there is nothing to do
+  nextRunAt: {
+    type: Date,
+    default: null
+  },
+  runCount: {
+    type: Number,
+    default: 0
+  },
+  failureCount: {
+    type: Number,
+    default: 0
+  },
+  // Failures since the last successful run, used for the retry backoff
+  consecutiveFailures: {
+    type: Number,
+    default: 0
+  },
+  // Bot instance running the job right now, so several instances don't run it twice
+  leaseOwner: {
+    type: String,
+    default: null
+  },
+  // When the lease runs out unless renewed, after that another instance may take over
+  leaseExpiresAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('JobState', jobStateSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// How direct notifications last reached a member of a guild, so the next ones go straight there
+const memberDeliverySchema = new mongoose.Schema({
+  guildId: {
+    type: String,
+    required: true
+  },
+  discordId: {
+    type: String,
+    required: true
+  },
+  // Route that worked last: direct message, ping in the reminders channel or private thread
+  method: {
+    type: String,
+    enum: ['dm', 'channel', 'thread'],
+    required: true
+  },
+  // Private reminder thread of the member, reused as long as it exists
+  threadId: {
+    type: String,
+    default: null
+  },
+  lastDeliveredAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+memberDeliverySchema.index({ guildId: 1, discordId: 1 }, { unique: true });
+
+// Static method to find how a member was reached last
+memberDeliverySchema.statics.findByMember = function(guildId, discordId) {
+  return this.findOne({ guildId, discordId });
+};
+
+module.exports = mongoose.model('MemberDelivery', memberDeliverySchema);
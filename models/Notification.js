@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+// How long delivered notifications are kept before MongoDB removes them
+const SENT_RETENTION_SECONDS = 30 * 24 * 60 * 60;
+
+// Outbox of channel posts and direct messages, worked off by NotificationService
+const notificationSchema = new mongoose.Schema({
+  guildId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Where the message goes: a channel of the guild or a user's direct messages
+  kind: {
+    type: String,
+    enum: ['channel', 'dm'],
+    required: true
+  },
+  // Channel ID or user ID, depending on kind
+  targetId: {
+    type: String,
+    required: true
+  },
+  // Notification type, e.g. 'expired' or a reminder key
+  type: {
+    type: String,
+    required: true
+  },
+  // Member the notification is about
+  discordId: {
+    type: String,
+    default: null
+  },
+  // Readable description for staff, e.g. "1 day expiry reminder"
+  summary: {
+    type: String,
+    required: true
+  },
+  // Message options passed to send() (content, embeds as JSON)
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // Subscription history event recorded once the message is delivered (optional)
+  ledgerEvent: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // pending: waiting for (another) attempt, sending: claimed by an instance,
+  // sent: delivered, failed: gave up (dead letter), can be re-sent by staff
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // A claim of an instance that died while sending runs out at this time
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  },
+  // Route a direct notification was delivered by: 'dm', or 'channel'/'thread' of the reminder fallback
+  deliveredVia: {
+    type: String,
+    default: null
+  },
+  failedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for the delivery queue
+notificationSchema.index({ guildId: 1, status: 1, nextAttemptAt: 1 });
+
+// Delivered notifications are only kept for a while
+notificationSchema.index({ sentAt: 1 }, { expireAfterSeconds: SENT_RETENTION_SECONDS });
+
+// Static method to find the failed notifications of a guild, newest first
+notificationSchema.statics.findFailed = function(guildId, limit = 25) {
+  return this.find({ guildId, status: 'failed' }).sort({ failedAt: -1 }).limit(limit);
+};
+
+module.exports = mongoose.model('Notification', notificationSchema);
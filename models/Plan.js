@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+const planSchema = new mongoose.Schema({
+  guildId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Lowercased lookup key derived from the tier name, unique per guild
+  key: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 32
+  },
+  roleIds: {
+    type: [String],
+    required: true,
+    validate: {
+      validator: (roleIds) => roleIds.length > 0,
+      message: 'A tier needs at least one role'
+    }
+  },
+  color: {
+    type: Number,
+    default: 0x5865F2
+  },
+  // Maximum time a subscription on this tier may run ahead, in months
+  maxMonths: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  perks: {
+    type: [String],
+    default: []
+  },
+  // Higher rank means a better tier, used to tell upgrades from downgrades
+  rank: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+planSchema.index({ guildId: 1, key: 1 }, { unique: true });
+
+// Hex representation of the tier colour for embeds and the dashboard
+planSchema.virtual('hexColor').get(function() {
+  return `#${this.color.toString(16).padStart(6, '0')}`;
+});
+
+// Static method to find a guild's tier by its (case-insensitive) name
+planSchema.statics.findByName = function(guildId, name) {
+  return this.findOne({ guildId, key: name.trim().toLowerCase() });
+};
+
+module.exports = mongoose.model('Plan', planSchema);
@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+const { DURATION_UNITS } = require('../utils/timeUtils');
+
+const redeemCodeSchema = new mongoose.Schema({
+  // Guild the code can be redeemed in
+  guildId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    index: true
+  },
+  // Codes generated together share a batch ID so they can be exported together
+  batch: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Key of the tier (Plan) granted by the code
+  tier: {
+    type: String,
+    default: null
+  },
+  duration: {
+    amount: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    unit: {
+      type: String,
+      required: true,
+      enum: Object.keys(DURATION_UNITS)
+    }
+  },
+  maxUses: {
+    type: Number,
+    required: true,
+    min: 1,
+    default: 1
+  },
+  uses: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  redemptions: [{
+    _id: false,
+    discordId: String,
+    redeemedAt: Date
+  }],
+  // Optional date after which the code can no longer be redeemed
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  createdById: {
+    type: String,
+    default: null
+  },
+  createdByTag: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Virtual property describing the current state of the code
+redeemCodeSchema.virtual('status').get(function() {
+  if (this.revokedAt) return 'revoked';
+  if (this.uses >= this.maxUses) return 'used';
+  if (this.expiresAt && this.expiresAt <= new Date()) return 'expired';
+  return 'active';
+});
+
+// Static method to build a query filter for a status
+redeemCodeSchema.statics.statusFilter = function(status) {
+  const now = new Date();
+
+  switch (status) {
+    case 'active':
+      return {
+        revokedAt: null,
+        $expr: { $lt: ['$uses', '$maxUses'] },
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+      };
+    case 'used':
+      return { revokedAt: null, $expr: { $gte: ['$uses', '$maxUses'] } };
+    case 'expired':
+      return { revokedAt: null, expiresAt: { $lte: now }, $expr: { $lt: ['$uses', '$maxUses'] } };
+    case 'revoked':
+      return { revokedAt: { $ne: null } };
+    default:
+      return {};
+  }
+};
+
+module.exports = mongoose.model('RedeemCode', redeemCodeSchema);
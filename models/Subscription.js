@@ -1,77 +1,216 @@
-const mongoose = require('mongoose');
-
-const subscriptionSchema = new mongoose.Schema({
-  discordId: {
-    type: String,
-    required: true,
-    unique: true,
-    index: true
-  },
-  roleId: {
-    type: String,
-    required: true
-  },
-  months: {
-    type: Number,
-    required: true,
-    min: 1,
-    max: 10
-  },
-  startAt: {
-    type: Date,
-    required: true,
-    default: Date.now
-  },
-  expiresAt: {
-    type: Date,
-    required: true
-  },
-  // Notification tracking fields
-  notified1Day: {
-    type: Boolean,
-    default: false
-  },
-  notified30Minutes: {
-    type: Boolean,
-    default: false
-  }
-}, {
-  timestamps: true
-});
-
-// Index for expired subscriptions cleanup
-subscriptionSchema.index({ expiresAt: 1 });
-
-// Indexes for notification queries
-subscriptionSchema.index({ expiresAt: 1, notified1Day: 1 });
-subscriptionSchema.index({ expiresAt: 1, notified30Minutes: 1 });
-
-// Virtual property to check if subscription is active
-subscriptionSchema.virtual('isActive').get(function() {
-  return this.expiresAt > new Date();
-});
-
-// Instance method to extend subscription
-subscriptionSchema.methods.extend = function(additionalMonths) {
-  const daysToAdd = additionalMonths * 30;
-  this.expiresAt = new Date(this.expiresAt.getTime() + (daysToAdd * 24 * 60 * 60 * 1000));
-  this.months += additionalMonths;
-  
-  // Reset notification flags when extending subscription
-  this.notified1Day = false;
-  this.notified30Minutes = false;
-  
-  return this.save();
-};
-
-// Static method to find expired subscriptions
-subscriptionSchema.statics.findExpired = function() {
-  return this.find({ expiresAt: { $lte: new Date() } });
-};
-
-// Static method to find active subscriptions
-subscriptionSchema.statics.findActive = function() {
-  return this.find({ expiresAt: { $gt: new Date() } });
-};
-
-module.exports = mongoose.model('Subscription', subscriptionSchema);
\ No newline at end of file
+const mongoose = require('mongoose');
+const { addDuration, normalizeDuration, daysBetween, DURATION_UNITS } = require('../utils/timeUtils');
+
+const subscriptionSchema = new mongoose.Schema({
+  guildId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  discordId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  roleId: {
+    type: String,
+    required: true
+  },
+  // All roles granted by the subscription (roleId is the primary one)
+  roleIds: {
+    type: [String],
+    default: undefined
+  },
+  // Key of the tier (Plan) this subscription belongs to, null for the default role
+  tier: {
+    type: String,
+    default: null,
+    index: true
+  },
+  // Legacy month counter from before flexible durations, no longer updated
+  months: {
+    type: Number,
+    min: 0
+  },
+  // Most recently granted term
+  duration: {
+    amount: {
+      type: Number,
+      min: 1
+    },
+    unit: {
+      type: String,
+      enum: Object.keys(DURATION_UNITS)
+    }
+  },
+  // Cumulative days granted over the lifetime of the subscription (uncapped)
+  tenureDays: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  startAt: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Reminder tracking: keys of the reminders handled since remindersFrom (see SubscriptionService.getReminderKey)
+  remindersSent: {
+    type: [String],
+    default: []
+  },
+  // When the expiry last changed, only reminders falling due after this are sent
+  remindersFrom: {
+    type: Date,
+    default: Date.now
+  },
+  // Pause tracking, expiresAt is frozen while pausedAt is set
+  pausedAt: {
+    type: Date,
+    default: null
+  },
+  pausedRemainingMs: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  // Why the subscription is paused: by staff or because the member left the guild
+  pauseReason: {
+    type: String,
+    enum: ['manual', 'left-guild', null],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// A user has at most one subscription per guild
+subscriptionSchema.index({ guildId: 1, discordId: 1 }, { unique: true });
+
+// Index for expired subscriptions cleanup
+subscriptionSchema.index({ expiresAt: 1 });
+subscriptionSchema.index({ guildId: 1, expiresAt: 1 });
+
+// Virtual property to check if subscription is active
+subscriptionSchema.virtual('isActive').get(function() {
+  return !this.pausedAt && this.expiresAt > new Date();
+});
+
+// Virtual property to check if subscription is paused
+subscriptionSchema.virtual('isPaused').get(function() {
+  return Boolean(this.pausedAt);
+});
+
+// Virtual property for the time left, frozen while paused
+subscriptionSchema.virtual('remainingMs').get(function() {
+  if (this.pausedAt) return this.pausedRemainingMs;
+  return Math.max(0, this.expiresAt.getTime() - Date.now());
+});
+
+// Virtual property for the total tenure, falling back to the subscribed period for legacy records
+subscriptionSchema.virtual('totalTenureDays').get(function() {
+  return this.tenureDays > 0 ? this.tenureDays : daysBetween(this.startAt, this.expiresAt);
+});
+
+// Instance method to get every role granted by the subscription
+subscriptionSchema.methods.getRoleIds = function() {
+  return this.roleIds && this.roleIds.length > 0 ? this.roleIds : [this.roleId];
+};
+
+// Instance method to move the subscription to another set of roles
+subscriptionSchema.methods.setRoles = function(roleIds, tier = null) {
+  this.roleIds = roleIds;
+  this.roleId = roleIds[0];
+  this.tier = tier;
+};
+
+// Instance method to extend subscription
+subscriptionSchema.methods.extend = function(duration) {
+  const term = normalizeDuration(duration);
+  const previousExpiry = this.expiresAt;
+
+  this.expiresAt = addDuration(previousExpiry, term);
+  this.duration = term;
+  this.tenureDays = this.totalTenureDays + daysBetween(previousExpiry, this.expiresAt);
+
+  // A paused subscription keeps its frozen time, so grow that by the same amount
+  if (this.pausedAt) {
+    this.pausedRemainingMs += this.expiresAt.getTime() - previousExpiry.getTime();
+  }
+
+  this.resetReminders();
+
+  return this.save();
+};
+
+// Instance method to move the expiry to an exact date, e.g. to correct or shorten a subscription
+subscriptionSchema.methods.setExpiry = function(expiresAt) {
+  const previousExpiry = this.expiresAt;
+
+  this.expiresAt = expiresAt;
+  this.tenureDays = Math.max(0, this.totalTenureDays + daysBetween(previousExpiry, expiresAt));
+
+  this.resetReminders();
+
+  return this.save();
+};
+
+// Instance method to start reminders over for a new expiry. Reminders that fell due
+// before now are not sent late, so a fresh 1-day term does not trigger the 1-day reminder.
+subscriptionSchema.methods.resetReminders = function() {
+  this.remindersSent = [];
+  this.remindersFrom = new Date();
+};
+
+// Instance method to freeze the remaining time
+subscriptionSchema.methods.pause = function(reason = 'manual') {
+  this.pausedRemainingMs = this.remainingMs;
+  this.pausedAt = new Date();
+  this.pauseReason = reason;
+  return this.save();
+};
+
+// Instance method to unfreeze the subscription, pushing expiry forward by the paused time
+subscriptionSchema.methods.resume = function() {
+  this.expiresAt = new Date(Date.now() + this.pausedRemainingMs);
+  this.pausedAt = null;
+  this.pausedRemainingMs = null;
+  this.pauseReason = null;
+  return this.save();
+};
+
+// Static method to find a user's subscription in a guild
+subscriptionSchema.statics.findForMember = function(guildId, discordId) {
+  return this.findOne({ guildId, discordId });
+};
+
+// Static method to find expired subscriptions of a guild (paused subscriptions never expire)
+subscriptionSchema.statics.findExpired = function(guildId) {
+  return this.find({ guildId, expiresAt: { $lte: new Date() }, pausedAt: null });
+};
+
+// Static method to find lapsed subscriptions of a guild that are still within the grace period
+subscriptionSchema.statics.findInGrace = function(guildId, gracePeriodMs) {
+  const now = new Date();
+  return this.find({
+    guildId,
+    expiresAt: { $lte: now, $gt: new Date(now.getTime() - gracePeriodMs) },
+    pausedAt: null
+  });
+};
+
+// Static method to find active subscriptions of a guild
+subscriptionSchema.statics.findActive = function(guildId) {
+  return this.find({ guildId, expiresAt: { $gt: new Date() }, pausedAt: null });
+};
+
+// Static method to find paused subscriptions of a guild
+subscriptionSchema.statics.findPaused = function(guildId) {
+  return this.find({ guildId, pausedAt: { $ne: null } });
+};
+
+module.exports = mongoose.model('Subscription', subscriptionSchema);
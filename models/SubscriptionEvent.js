@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+const EVENT_TYPES = [
+  'created',
+  'extended',
+  'expiry-set',
+  'tier-changed',
+  'paused',
+  'resumed',
+  'removed',
+  'expired',
+  'role-removed',
+  'restored',
+  'warning-sent'
+];
+
+const subscriptionEventSchema = new mongoose.Schema({
+  guildId: {
+    type: String,
+    required: true
+  },
+  discordId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: EVENT_TYPES
+  },
+  // Who caused the event, null for automatic events
+  executorId: {
+    type: String,
+    default: null
+  },
+  executorTag: {
+    type: String,
+    default: null
+  },
+  // Term granted by the event (created/extended)
+  duration: {
+    amount: Number,
+    unit: String
+  },
+  // Months granted, only present on events recorded before flexible durations
+  months: {
+    type: Number,
+    default: undefined
+  },
+  tier: {
+    type: String,
+    default: null
+  },
+  previousExpiresAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  // Event specific extras such as the warning type or previous tier
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for per-user history lookups (newest first)
+subscriptionEventSchema.index({ guildId: 1, discordId: 1, createdAt: -1 });
+
+// The ledger is append-only, block every update and delete
+const blockMutation = function(next) {
+  next(new Error('Subscription events are append-only'));
+};
+
+subscriptionEventSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  blockMutation
+);
+
+subscriptionEventSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Subscription events are append-only'));
+  }
+  next();
+});
+
+// Static method to append an event to the ledger
+subscriptionEventSchema.statics.record = function(event) {
+  return this.create(event);
+};
+
+// Static method to get a user's history in a guild, newest first
+subscriptionEventSchema.statics.findForUser = function(guildId, discordId, limit = 50) {
+  return this.find({ guildId, discordId }).sort({ createdAt: -1 }).limit(limit);
+};
+
+subscriptionEventSchema.statics.EVENT_TYPES = EVENT_TYPES;
+
+module.exports = mongoose.model('SubscriptionEvent', subscriptionEventSchema);
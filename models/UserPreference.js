@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// Personal settings of a Discord user, shared by every guild the bot is in
+const userPreferenceSchema = new mongoose.Schema({
+  discordId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  // Language of bot messages, null to follow the guild and the Discord client
+  language: {
+    type: String,
+    default: null
+  },
+  // IANA timezone of dates in bot messages and the dashboard, null to guess it from the locale
+  timezone: {
+    type: String,
+    default: null
+  },
+  // Reminder DMs before a subscription expires, turned off with the Remind me button
+  expiryReminders: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to find the preferences of a user
+userPreferenceSchema.statics.findByUser = function(discordId) {
+  return this.findOne({ discordId });
+};
+
+module.exports = mongoose.model('UserPreference', userPreferenceSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// How long delivery IDs are remembered for idempotency
+const DELIVERY_RETENTION_SECONDS = 90 * 24 * 60 * 60;
+
+const webhookDeliverySchema = new mongoose.Schema({
+  // ID sent by the store with every delivery, identical across retries
+  deliveryId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  source: {
+    type: String,
+    required: true,
+    default: 'purchase'
+  },
+  status: {
+    type: String,
+    required: true,
+    enum: ['processing', 'succeeded', 'failed'],
+    default: 'processing'
+  },
+  attempts: {
+    type: Number,
+    default: 1
+  },
+  guildId: {
+    type: String,
+    default: null
+  },
+  discordId: {
+    type: String,
+    default: null
+  },
+  orderId: {
+    type: String,
+    default: null
+  },
+  // Response returned to the store, replayed for duplicate deliveries
+  response: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: DELIVERY_RETENTION_SECONDS });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,73 @@
+// Local stand-in for the store: sends a signed purchase webhook to the dashboard server.
+//
+// Usage:
+//   node scripts/send-purchase-webhook.js --user <discordId> [--tier Plus] [--amount 1] [--unit months]
+//     [--order <orderId>] [--delivery <deliveryId>] [--guild <guildId>] [--url http://localhost:3000/webhooks/purchase]
+//
+// Re-send with the same --delivery to check that retries are idempotent.
+require('dotenv').config();
+const crypto = require('crypto');
+const { createSignature } = require('../utils/webhookSignature');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+}
+
+async function sendPurchaseWebhook() {
+  const args = parseArgs(process.argv.slice(2));
+  const secret = process.env.PURCHASE_WEBHOOK_SECRET;
+
+  if (!secret) {
+    console.error('❌ PURCHASE_WEBHOOK_SECRET is not set.');
+    process.exit(1);
+  }
+
+  if (!args.user) {
+    console.error('❌ Please pass the Discord user ID with --user <discordId>.');
+    process.exit(1);
+  }
+
+  const url = args.url || `http://localhost:${process.env.PORT || 3000}/webhooks/purchase`;
+  const deliveryId = args.delivery || crypto.randomUUID();
+  const body = JSON.stringify({
+    guildId: args.guild || undefined,
+    discordId: args.user,
+    tier: args.tier || null,
+    duration: {
+      amount: parseInt(args.amount, 10) || 1,
+      unit: args.unit || 'months'
+    },
+    orderId: args.order || `test-${Date.now()}`
+  });
+
+  const timestamp = Math.floor(Date.now() / 1000);
+  const signature = createSignature(secret, timestamp, deliveryId, body);
+
+  console.log(`📤 Sending delivery ${deliveryId} to ${url}`);
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Webhook-Delivery': deliveryId,
+      'X-Webhook-Timestamp': `${timestamp}`,
+      'X-Webhook-Signature': `sha256=${signature}`
+    },
+    body
+  });
+
+  console.log(`${response.ok ? '✅' : '❌'} ${response.status} ${response.statusText}`);
+  console.log(await response.text());
+}
+
+sendPurchaseWebhook().catch(error => {
+  console.error('❌ Failed to send webhook:', error.message);
+  process.exit(1);
+});
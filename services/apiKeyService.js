@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// Keys look like "vk_<prefix>_<secret>"
+const KEY_PATTERN = /^vk_([0-9a-f]{12})_([A-Za-z0-9_-]{43})$/;
+
+class ApiKeyService {
+  /**
+   * Create an API key for a guild. The full key is only returned here and cannot be recovered later.
+   * @param {Object} options - Key options
+   * @param {string} options.guildId - Discord guild the key can manage
+   * @param {string} options.name - Name describing who uses the key
+   * @param {string[]} options.scopes - Scopes granted to the key
+   * @param {Object} options.executor - User who created the key (optional)
+   * @returns {Promise<Object>} Stored key object and the full key
+   */
+  static async createKey({ guildId, name, scopes, executor = null }) {
+    const invalidScope = scopes.find(scope => !ApiKey.API_SCOPES.includes(scope));
+    if (invalidScope) {
+      throw new ValidationError(`Unknown scope "${invalidScope}".`);
+    }
+
+    const prefix = crypto.randomBytes(6).toString('hex');
+    const key = `vk_${prefix}_${crypto.randomBytes(32).toString('base64url')}`;
+
+    const apiKey = await ApiKey.create({
+      guildId,
+      name,
+      prefix,
+      keyHash: this.hashKey(key),
+      scopes,
+      createdById: executor ? executor.id : null,
+      createdByTag: executor ? executor.tag : null
+    });
+
+    logger.info(`Created API key ${prefix} (${name}) with scopes ${scopes.join(', ')}${executor ? ` by ${executor.tag}` : ''}`);
+
+    return { apiKey, key };
+  }
+
+  /**
+   * Look up the API key matching a presented key
+   * @param {string} key - Full key sent by the client
+   * @returns {Promise<Object|null>} Key object or null if the key is unknown or revoked
+   */
+  static async authenticate(key) {
+    const match = KEY_PATTERN.exec(key || '');
+    if (!match) {
+      return null;
+    }
+
+    const apiKey = await ApiKey.findOne({ prefix: match[1], revokedAt: null });
+    if (!apiKey) {
+      return null;
+    }
+
+    const expected = Buffer.from(apiKey.keyHash, 'hex');
+    const received = Buffer.from(this.hashKey(key), 'hex');
+    if (!crypto.timingSafeEqual(expected, received)) {
+      return null;
+    }
+
+    apiKey.lastUsedAt = new Date();
+    await apiKey.save();
+
+    return apiKey;
+  }
+
+  /**
+   * Get all API keys of a guild that have not been revoked
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<Array>} Array of key objects
+   */
+  static async listKeys(guildId) {
+    return ApiKey.find({ guildId, revokedAt: null }).sort({ createdAt: -1 });
+  }
+
+  /**
+   * Revoke an API key of a guild
+   * @param {string} guildId - Discord guild ID
+   * @param {string} prefix - Public prefix of the key
+   * @returns {Promise<Object>} The revoked key
+   */
+  static async revokeKey(guildId, prefix) {
+    const apiKey = await ApiKey.findOne({ guildId, prefix: prefix.trim().toLowerCase(), revokedAt: null });
+    if (!apiKey) {
+      throw new NotFoundError(`No active API key with prefix ${prefix}.`, { key: 'errors.apiKeys.notFound', variables: { prefix } });
+    }
+
+    apiKey.revokedAt = new Date();
+    await apiKey.save();
+    logger.info(`Revoked API key ${apiKey.prefix} (${apiKey.name})`);
+
+    return apiKey;
+  }
+
+  /**
+   * Describe an API key as the executor of subscription changes
+   * @param {Object} apiKey - Key object
+   * @returns {Object} Executor with an id and tag like a Discord user
+   */
+  static toExecutor(apiKey) {
+    return {
+      id: `api:${apiKey.prefix}`,
+      tag: `API (${apiKey.name})`
+    };
+  }
+
+  /**
+   * Hash a key for storage
+   * @param {string} key - Full key
+   * @returns {string} Hex encoded SHA-256 hash
+   */
+  static hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+}
+
+module.exports = ApiKeyService;
@@ -0,0 +1,80 @@
+const AuditLog = require('../models/AuditLog');
+const logger = require('../utils/logger');
+
+// Entries per page of the audit log
+const PAGE_SIZE = 10;
+
+// Longest reason stored with a change
+const MAX_REASON_LENGTH = 500;
+
+class AuditLogService {
+  /**
+   * Store a subscription change in the audit log
+   * @param {string} action - Subscription event type of the change
+   * @param {Object} subscription - Subscription after the change
+   * @param {Object} options - Change data
+   * @param {Object} options.executor - User who made the change (optional, null for automatic changes)
+   * @param {string} options.source - Where the change was made (see AuditLog.AUDIT_SOURCES, automatic by default)
+   * @param {string} options.reason - Why the change was made (optional)
+   * @param {Object} options.duration - Term granted (optional)
+   * @param {Date} options.previousExpiresAt - Expiry before the change (optional)
+   */
+  static async record(action, subscription, { executor = null, source = 'automatic', reason = null, duration, previousExpiresAt = null } = {}) {
+    try {
+      await AuditLog.record({
+        guildId: subscription.guildId,
+        action,
+        executorId: executor ? executor.id : null,
+        executorTag: executor ? executor.tag : null,
+        targetId: subscription.discordId,
+        source,
+        reason: reason ? String(reason).slice(0, MAX_REASON_LENGTH) : null,
+        previousExpiresAt,
+        expiresAt: subscription.expiresAt,
+        duration,
+        tier: subscription.tier || null
+      });
+    } catch (error) {
+      // The audit log must never break the change it records
+      logger.error(`Failed to record ${action} audit entry for user ${subscription.discordId}`, error.stack);
+    }
+  }
+
+  /**
+   * Get a page of a guild's audit log, newest first
+   * @param {string} guildId - Discord guild ID
+   * @param {Object} filters - Filters (all optional)
+   * @param {string} filters.executorId - Only changes made by this user
+   * @param {string} filters.targetId - Only changes to this member's subscription
+   * @param {Date} filters.from - Only changes made at or after this time
+   * @param {Date} filters.to - Only changes made at or before this time
+   * @param {number} page - Page number, starting at 1 (clamped to the last page)
+   * @returns {Promise<Object>} Entries of the page, total count, page and page count
+   */
+  static async search(guildId, { executorId = null, targetId = null, from = null, to = null } = {}, page = 1) {
+    const query = { guildId };
+    if (executorId) query.executorId = executorId;
+    if (targetId) query.targetId = targetId;
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = from;
+      if (to) query.createdAt.$lte = to;
+    }
+
+    const total = await AuditLog.countDocuments(query);
+    const pageCount = Math.max(1, Math.ceil(total / PAGE_SIZE));
+    const currentPage = Math.min(Math.max(1, page), pageCount);
+
+    const entries = await AuditLog.find(query)
+      .sort({ createdAt: -1 })
+      .skip((currentPage - 1) * PAGE_SIZE)
+      .limit(PAGE_SIZE)
+      .lean();
+
+    return { entries, total, page: currentPage, pageCount };
+  }
+}
+
+AuditLogService.PAGE_SIZE = PAGE_SIZE;
+
+module.exports = AuditLogService;
@@ -0,0 +1,93 @@
+const { PermissionFlagsBits } = require('discord.js');
+const { getConfig } = require('../config/validation');
+const { SubscriptionError } = require('../utils/errors');
+
+const config = getConfig();
+
+const DISCORD_API_URL = 'https://discord.com/api/v10';
+const OAUTH_SCOPES = ['identify'];
+
+class AuthService {
+  /**
+   * Whether dashboard login is configured
+   * @returns {boolean} True if the OAuth2 client secret and session secret are set
+   */
+  static isEnabled() {
+    return Boolean(config.DISCORD_CLIENT_SECRET && config.SESSION_SECRET);
+  }
+
+  /**
+   * Get the OAuth2 redirect URI registered in the Discord developer portal
+   * @returns {string} Redirect URI
+   */
+  static getRedirectUri() {
+    return `${config.DASHBOARD_URL}/auth/callback`;
+  }
+
+  /**
+   * Build the Discord authorization URL
+   * @param {string} state - Random state stored in the session to prevent login CSRF
+   * @returns {string} Authorization URL
+   */
+  static getAuthorizeUrl(state) {
+    const params = new URLSearchParams({
+      client_id: config.CLIENT_ID,
+      redirect_uri: this.getRedirectUri(),
+      response_type: 'code',
+      scope: OAUTH_SCOPES.join(' '),
+      state,
+      prompt: 'none'
+    });
+    return `https://discord.com/oauth2/authorize?${params}`;
+  }
+
+  /**
+   * Exchange an authorization code for the Discord user who logged in
+   * @param {string} code - Authorization code from the callback
+   * @returns {Promise<Object>} Discord user object
+   */
+  static async getUserFromCode(code) {
+    const tokenResponse = await fetch(`${DISCORD_API_URL}/oauth2/token`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        client_id: config.CLIENT_ID,
+        client_secret: config.DISCORD_CLIENT_SECRET,
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: this.getRedirectUri()
+      })
+    });
+
+    if (!tokenResponse.ok) {
+      throw new SubscriptionError(`Discord rejected the login (${tokenResponse.status}). Please try again.`, 'OAUTH_FAILED');
+    }
+
+    const { access_token: accessToken } = await tokenResponse.json();
+
+    const userResponse = await fetch(`${DISCORD_API_URL}/users/@me`, {
+      headers: { Authorization: `Bearer ${accessToken}` }
+    });
+
+    if (!userResponse.ok) {
+      throw new SubscriptionError(`Could not load your Discord profile (${userResponse.status}). Please try again.`, 'OAUTH_FAILED');
+    }
+
+    return userResponse.json();
+  }
+
+  /**
+   * Check whether a user may see the full dashboard
+   * @param {Object} guild - Discord guild object
+   * @param {string} userId - Discord user ID
+   * @returns {Promise<boolean>} True if the user has Manage Roles in the guild
+   */
+  static async isStaff(guild, userId) {
+    if (!guild) return false;
+
+    const member = await guild.members.fetch(userId).catch(() => null);
+    return Boolean(member && member.permissions.has(PermissionFlagsBits.ManageRoles));
+  }
+}
+
+module.exports = AuthService;
@@ -0,0 +1,308 @@
+const crypto = require('crypto');
+const RedeemCode = require('../models/RedeemCode');
+const PlanService = require('./planService');
+const SubscriptionService = require('./subscriptionService');
+const { SubscriptionError, ValidationError, NotFoundError, RateLimitError } = require('../utils/errors');
+const { normalizeDuration, formatDuration } = require('../utils/timeUtils');
+const logger = require('../utils/logger');
+
+// Characters used in generated codes (no 0/O or 1/I/L to avoid typos)
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_GROUPS = 3;
+const CODE_GROUP_LENGTH = 4;
+
+// Brute-force protection for redemptions
+const MAX_FAILED_ATTEMPTS = 5;
+const FAILED_ATTEMPT_WINDOW_MS = 15 * 60 * 1000;
+
+// Failed redemption timestamps per user ID
+const failedAttempts = new Map();
+
+class CodeService {
+  /**
+   * Generate a batch of redeemable codes
+   * @param {Object} options - Generation options
+   * @param {string} options.guildId - Discord guild the codes are redeemable in
+   * @param {Object} options.plan - Tier granted by the codes
+   * @param {Object|number} options.duration - Duration granted ({ amount, unit }) or a number of months
+   * @param {number} options.count - Number of codes to generate
+   * @param {number} options.maxUses - How many times each code can be redeemed
+   * @param {Date|null} options.expiresAt - When the codes stop working (optional)
+   * @param {Object} options.executor - User who generated the codes (optional)
+   * @returns {Promise<Object>} Batch ID and the generated code objects
+   */
+  static async generateCodes({ guildId, plan, duration, count, maxUses = 1, expiresAt = null, executor = null }) {
+    try {
+      const term = normalizeDuration(duration);
+
+      if (!Number.isInteger(count) || count < 1 || count > 100) {
+        throw new ValidationError('You can generate between 1 and 100 codes at a time.', { key: 'errors.codes.countRange' });
+      }
+
+      const batch = crypto.randomBytes(4).toString('hex');
+      const codes = await RedeemCode.insertMany(
+        Array.from({ length: count }, () => ({
+          guildId,
+          code: this.createCode(),
+          batch,
+          tier: plan ? plan.key : null,
+          duration: term,
+          maxUses,
+          expiresAt,
+          createdById: executor ? executor.id : null,
+          createdByTag: executor ? executor.tag : null
+        }))
+      );
+
+      logger.info(`Generated ${count} code(s) in batch ${batch} for ${formatDuration(term)}${plan ? ` of tier ${plan.name}` : ''}${executor ? ` by ${executor.tag}` : ''}`);
+
+      return { batch, codes };
+    } catch (error) {
+      if (!(error instanceof ValidationError)) {
+        logger.error('Failed to generate redeem codes', error.stack);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Create a random code such as "K7QM-2XWD-9PRT"
+   * @returns {string} Random code
+   */
+  static createCode() {
+    const bytes = crypto.randomBytes(CODE_GROUPS * CODE_GROUP_LENGTH);
+    const characters = Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]);
+
+    const groups = [];
+    for (let i = 0; i < CODE_GROUPS; i++) {
+      groups.push(characters.slice(i * CODE_GROUP_LENGTH, (i + 1) * CODE_GROUP_LENGTH).join(''));
+    }
+    return groups.join('-');
+  }
+
+  /**
+   * Normalize user input to the stored code format
+   * @param {string} input - Code as typed by the user
+   * @returns {string} Uppercase code with dashes between groups
+   */
+  static normalizeCode(input) {
+    const characters = input.toUpperCase().replace(/[^A-Z0-9]/g, '');
+    return characters.match(new RegExp(`.{1,${CODE_GROUP_LENGTH}}`, 'g'))?.join('-') || '';
+  }
+
+  /**
+   * Redeem a code for a user, granting the subscription through SubscriptionService
+   * @param {Object} guild - Discord guild object
+   * @param {Object} user - Discord user redeeming the code
+   * @param {string} input - Code as typed by the user
+   * @param {Object} options - Additional options
+   * @param {string} options.source - Command the code was redeemed with, for the audit log ('slash' or 'message')
+   * @returns {Promise<Object>} Grant result plus the redeemed code
+   */
+  static async redeemCode(guild, user, input, { source = 'slash' } = {}) {
+    this.assertNotRateLimited(user.id);
+
+    const code = this.normalizeCode(input);
+    const now = new Date();
+
+    // Claim a use atomically so a code can't be redeemed more often than allowed
+    const redeemCode = await RedeemCode.findOneAndUpdate(
+      {
+        guildId: guild.id,
+        code,
+        revokedAt: null,
+        $expr: { $lt: ['$uses', '$maxUses'] },
+        'redemptions.discordId': { $ne: user.id },
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+      },
+      {
+        $inc: { uses: 1 },
+        $push: { redemptions: { discordId: user.id, redeemedAt: now } }
+      },
+      { new: true }
+    );
+
+    if (!redeemCode) {
+      await this.throwRedeemFailure(guild.id, user.id, code);
+    }
+
+    try {
+      const plan = redeemCode.tier ? await PlanService.requirePlan(guild.id, redeemCode.tier) : null;
+
+      const duration = { amount: redeemCode.duration.amount, unit: redeemCode.duration.unit };
+      const result = await SubscriptionService.grantSubscription(guild, user, duration, {
+        plan,
+        executor: user,
+        source,
+        details: { code: redeemCode.code }
+      });
+
+      logger.info(`Code ${redeemCode.code} redeemed by ${user.tag} (${user.id})`);
+
+      return { ...result, redeemCode };
+    } catch (error) {
+      // Subscription errors are raised before anything is granted, so give the use back
+      if (error instanceof SubscriptionError) {
+        await RedeemCode.updateOne(
+          { _id: redeemCode._id },
+          { $inc: { uses: -1 }, $pull: { redemptions: { discordId: user.id } } }
+        );
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Work out why a redemption failed, count the failure and throw a matching error
+   * @param {string} guildId - Discord guild ID
+   * @param {string} userId - Discord user ID
+   * @param {string} code - Normalized code
+   */
+  static async throwRedeemFailure(guildId, userId, code) {
+    const redeemCode = code ? await RedeemCode.findOne({ guildId, code }) : null;
+
+    if (!redeemCode) {
+      this.recordFailedAttempt(userId);
+      throw new NotFoundError('That code is not valid.', { key: 'errors.codes.invalid' });
+    }
+
+    if (redeemCode.redemptions.some(redemption => redemption.discordId === userId)) {
+      throw new ValidationError('You have already redeemed this code.', { key: 'errors.codes.alreadyRedeemed' });
+    }
+
+    this.recordFailedAttempt(userId);
+
+    switch (redeemCode.status) {
+      case 'revoked':
+        throw new ValidationError('This code has been revoked.', { key: 'errors.codes.revoked' });
+      case 'expired':
+        throw new ValidationError('This code has expired.', { key: 'errors.codes.expired' });
+      default:
+        throw new ValidationError('This code has already been used.', { key: 'errors.codes.used' });
+    }
+  }
+
+  /**
+   * Throw if a user has too many recent failed redemptions
+   * @param {string} userId - Discord user ID
+   */
+  static assertNotRateLimited(userId) {
+    const attempts = this.getRecentFailedAttempts(userId);
+
+    if (attempts.length >= MAX_FAILED_ATTEMPTS) {
+      const retryAfterMs = attempts[0] + FAILED_ATTEMPT_WINDOW_MS - Date.now();
+      const minutes = Math.ceil(retryAfterMs / 60000);
+      throw new RateLimitError(
+        `Too many invalid codes. Please try again in ${minutes} minute(s).`,
+        retryAfterMs,
+        { key: 'errors.codes.rateLimited', variables: { count: minutes } }
+      );
+    }
+  }
+
+  /**
+   * Remember a failed redemption attempt
+   * @param {string} userId - Discord user ID
+   */
+  static recordFailedAttempt(userId) {
+    const attempts = this.getRecentFailedAttempts(userId);
+    attempts.push(Date.now());
+    failedAttempts.set(userId, attempts);
+
+    if (attempts.length >= MAX_FAILED_ATTEMPTS) {
+      logger.warn(`User ${userId} hit the redeem code attempt limit`);
+    }
+  }
+
+  /**
+   * Get a user's failed attempts within the current window, oldest first
+   * @param {string} userId - Discord user ID
+   * @returns {number[]} Attempt timestamps
+   */
+  static getRecentFailedAttempts(userId) {
+    const cutoff = Date.now() - FAILED_ATTEMPT_WINDOW_MS;
+    const attempts = (failedAttempts.get(userId) || []).filter(timestamp => timestamp > cutoff);
+
+    if (attempts.length === 0) {
+      failedAttempts.delete(userId);
+    }
+    return attempts;
+  }
+
+  /**
+   * List codes of a guild by status, newest first
+   * @param {string} guildId - Discord guild ID
+   * @param {string} status - 'active', 'used', 'expired', 'revoked' or 'all'
+   * @param {number} limit - Maximum number of codes to return
+   * @returns {Promise<Array>} Array of code objects
+   */
+  static async listCodes(guildId, status = 'active', limit = 25) {
+    return RedeemCode.find({ ...RedeemCode.statusFilter(status), guildId }).sort({ createdAt: -1 }).limit(limit);
+  }
+
+  /**
+   * Revoke a code so it can no longer be redeemed
+   * @param {string} guildId - Discord guild ID
+   * @param {string} input - Code to revoke
+   * @returns {Promise<Object>} The revoked code
+   */
+  static async revokeCode(guildId, input) {
+    const code = this.normalizeCode(input);
+    const redeemCode = await RedeemCode.findOne({ guildId, code });
+
+    if (!redeemCode) {
+      throw new NotFoundError(`Code ${code || input} does not exist.`, { key: 'errors.codes.notFound', variables: { code: code || input } });
+    }
+
+    if (redeemCode.revokedAt) {
+      throw new ValidationError(`Code ${code} has already been revoked.`, { key: 'errors.codes.alreadyRevoked', variables: { code } });
+    }
+
+    redeemCode.revokedAt = new Date();
+    await redeemCode.save();
+    logger.info(`Revoked code ${code}`);
+
+    return redeemCode;
+  }
+
+  /**
+   * Export codes of a guild as CSV
+   * @param {Object} options - Export options
+   * @param {string} options.guildId - Discord guild ID
+   * @param {string} options.batch - Only export this batch (optional)
+   * @param {string} options.status - Only export codes with this status (defaults to 'all')
+   * @returns {Promise<Object>} CSV content and number of exported codes
+   */
+  static async exportCodes({ guildId, batch = null, status = 'all' } = {}) {
+    const filter = { ...RedeemCode.statusFilter(status), guildId };
+    if (batch) {
+      filter.batch = batch;
+    }
+
+    const codes = await RedeemCode.find(filter).sort({ createdAt: 1 });
+
+    const rows = [
+      ['code', 'batch', 'tier', 'duration', 'uses', 'max_uses', 'status', 'expires_at', 'created_at', 'created_by'],
+      ...codes.map(redeemCode => [
+        redeemCode.code,
+        redeemCode.batch,
+        redeemCode.tier || '',
+        formatDuration(redeemCode.duration),
+        redeemCode.uses,
+        redeemCode.maxUses,
+        redeemCode.status,
+        redeemCode.expiresAt ? redeemCode.expiresAt.toISOString() : '',
+        redeemCode.createdAt.toISOString(),
+        redeemCode.createdByTag || ''
+      ])
+    ];
+
+    const csv = rows
+      .map(row => row.map(value => `"${String(value).replace(/"/g, '""')}"`).join(','))
+      .join('\n');
+
+    return { csv, count: codes.length };
+  }
+}
+
+module.exports = CodeService;
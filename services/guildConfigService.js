@@ -0,0 +1,346 @@
+const GuildConfig = require('../models/GuildConfig');
+const Subscription = require('../models/Subscription');
+const SubscriptionEvent = require('../models/SubscriptionEvent');
+const Plan = require('../models/Plan');
+const RedeemCode = require('../models/RedeemCode');
+const ApiKey = require('../models/ApiKey');
+const SchedulerService = require('./schedulerService');
+const { getConfig } = require('../config/validation');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+const { formatTimeSpan } = require('../utils/timeUtils');
+const { SUPPORTED_LANGUAGES } = require('../utils/i18n');
+const logger = require('../utils/logger');
+
+const config = getConfig();
+
+// How long a loaded configuration is used before it is read from the database again
+const CONFIG_REFRESH_MS = 60 * 1000;
+
+// Footer icon of embeds in guilds without their own branding icon
+const DEFAULT_BRANDING_ICON_URL = 'https://images-ext-1.discordapp.net/external/l8Krh2eV-xUmk8rQPbEMOb3lpziicXkX_W9lv_wgZ9w/https/cdn.discordapp.com/avatars/507962222132068362/2fbd6c97875b678ce087ede0a82a05bb.webp';
+
+// Settings administrators can change with /subscription-config
+const SETTING_KEYS = [
+  'defaultRoleId',
+  'notificationChannelId',
+  'logChannelId',
+  'gracePeriodHours',
+  'memberLeaveMode',
+  'brandingIconUrl',
+  'shopUrl',
+  'reminders',
+  'dmExpiryWarnings',
+  'dmGraceNotice',
+  'reminderFallback',
+  'reminderChannelId',
+  'language'
+];
+
+// Longest grace period that can be configured (30 days)
+const MAX_GRACE_PERIOD_HOURS = 720;
+
+// Reminder stages of guilds that did not configure their own. Messages may use
+// {user}, {server}, {expires} and {remaining}.
+const DEFAULT_REMINDERS = [
+  { offsetMinutes: 24 * 60, message: 'Your subscription will expire in approximately 24 hours!' },
+  { offsetMinutes: 30, message: 'Your subscription will expire in approximately 30 minutes!' }
+];
+
+// Limits of the reminder stages of a guild
+const MAX_REMINDERS = 10;
+const MAX_REMINDER_OFFSET_MINUTES = 90 * 24 * 60;
+const MAX_REMINDER_MESSAGE_LENGTH = 500;
+
+// Loaded configurations keyed by guild ID
+const configCache = new Map();
+
+class GuildConfigService {
+  /**
+   * Get the configuration of a guild, creating it on first use. The primary guild
+   * (GUILD_ID) starts with the values from the environment, other guilds start empty.
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<Object>} Guild configuration
+   */
+  static async getGuildConfig(guildId) {
+    const cached = configCache.get(guildId);
+    if (cached && Date.now() - cached.loadedAt < CONFIG_REFRESH_MS) {
+      return cached.config;
+    }
+
+    let guildConfig = await GuildConfig.findByGuild(guildId);
+    if (!guildConfig) {
+      guildConfig = await GuildConfig.findOneAndUpdate(
+        { guildId },
+        { $setOnInsert: { guildId, ...this.getDefaults(guildId) } },
+        { upsert: true, new: true }
+      );
+      logger.info(`Created configuration for guild ${guildId}`);
+    }
+
+    return this.cache(guildConfig);
+  }
+
+  /**
+   * Get the last loaded configuration of a guild without waiting for the database.
+   * Used where a synchronous answer is needed, e.g. grace period checks. Once the
+   * configuration is older than CONFIG_REFRESH_MS it is reloaded in the background,
+   * so changes made on another instance are picked up.
+   * @param {string} guildId - Discord guild ID
+   * @returns {Object} Guild configuration (defaults if it was never loaded)
+   */
+  static getCachedGuildConfig(guildId) {
+    const cached = configCache.get(guildId);
+    if (!cached) {
+      return { guildId, ...this.getDefaults(guildId) };
+    }
+
+    if (Date.now() - cached.loadedAt >= CONFIG_REFRESH_MS && !cached.refreshing) {
+      cached.refreshing = true;
+      this.getGuildConfig(guildId).catch(error => {
+        cached.refreshing = false;
+        logger.warn(`Failed to refresh configuration of guild ${guildId}: ${error.message}`);
+      });
+    }
+
+    return cached.config;
+  }
+
+  /**
+   * Change settings of a guild. The new values are used right away.
+   * @param {string} guildId - Discord guild ID
+   * @param {Object} changes - Settings to change (see SETTING_KEYS)
+   * @returns {Promise<Object>} Updated guild configuration
+   */
+  static async updateGuildConfig(guildId, changes) {
+    this.validateSettings(changes);
+    const current = await this.getGuildConfig(guildId);
+
+    const { reminderFallback, reminderChannelId } = { ...current, ...changes };
+    if (reminderFallback !== 'none' && !reminderChannelId) {
+      throw new ValidationError('The reminder fallback needs a reminders channel. Please set one or turn the fallback off.');
+    }
+
+    const guildConfig = await GuildConfig.findOneAndUpdate({ guildId }, { $set: changes }, { new: true, runValidators: true });
+    logger.info(`Updated configuration for guild ${guildId}: ${Object.keys(changes).join(', ')}`);
+
+    // Reminder and grace period changes move the run times of the expiration jobs
+    if (changes.reminders !== undefined || changes.gracePeriodHours !== undefined) {
+      SchedulerService.requestReschedule();
+    }
+
+    return this.cache(guildConfig);
+  }
+
+  /**
+   * Put settings of a guild back to their defaults
+   * @param {string} guildId - Discord guild ID
+   * @param {string[]} keys - Settings to reset (see SETTING_KEYS)
+   * @returns {Promise<Object>} Updated guild configuration
+   */
+  static async resetGuildConfig(guildId, keys) {
+    const defaults = this.getDefaults(guildId);
+    const changes = Object.fromEntries(keys.map(key => [key, defaults[key]]));
+
+    return this.updateGuildConfig(guildId, changes);
+  }
+
+  /**
+   * Check settings before they are stored
+   * @param {Object} changes - Settings to change
+   */
+  static validateSettings(changes) {
+    const unknownKey = Object.keys(changes).find(key => !SETTING_KEYS.includes(key));
+    if (unknownKey) {
+      throw new ValidationError(`Unknown setting "${unknownKey}".`);
+    }
+
+    const { gracePeriodHours, brandingIconUrl, shopUrl, reminders, language } = changes;
+    if (gracePeriodHours !== undefined && !(gracePeriodHours >= 0 && gracePeriodHours <= MAX_GRACE_PERIOD_HOURS)) {
+      throw new ValidationError(`The grace period must be between 0 and ${MAX_GRACE_PERIOD_HOURS} hours.`);
+    }
+    if (brandingIconUrl && !/^https:\/\/\S+$/.test(brandingIconUrl)) {
+      throw new ValidationError('The branding icon must be an https:// image URL.');
+    }
+    if (shopUrl && !/^https:\/\/\S+$/.test(shopUrl)) {
+      throw new ValidationError('The shop link must be an https:// URL.');
+    }
+    if (reminders) {
+      this.validateReminders(reminders);
+    }
+    if (language && !SUPPORTED_LANGUAGES[language]) {
+      throw new ValidationError(`Unknown language "${language}". Use one of: ${Object.keys(SUPPORTED_LANGUAGES).join(', ')}.`);
+    }
+  }
+
+  /**
+   * Check a list of reminder stages before it is stored
+   * @param {Array} reminders - Reminder stages ({ offsetMinutes, message })
+   */
+  static validateReminders(reminders) {
+    if (reminders.length > MAX_REMINDERS) {
+      throw new ValidationError(`A server can have at most ${MAX_REMINDERS} reminders.`);
+    }
+
+    const offsets = new Set();
+    for (const { offsetMinutes, message } of reminders) {
+      if (!Number.isInteger(offsetMinutes) || offsetMinutes < 1 || offsetMinutes > MAX_REMINDER_OFFSET_MINUTES) {
+        throw new ValidationError(`Reminders must be sent between 1 minute and ${formatTimeSpan(MAX_REMINDER_OFFSET_MINUTES)} before expiry.`);
+      }
+      if (offsets.has(offsetMinutes)) {
+        throw new ValidationError(`There is already a reminder ${formatTimeSpan(offsetMinutes)} before expiry.`);
+      }
+      if (typeof message !== 'string' || !message.trim() || message.length > MAX_REMINDER_MESSAGE_LENGTH) {
+        throw new ValidationError(`Reminder messages must be between 1 and ${MAX_REMINDER_MESSAGE_LENGTH} characters long.`);
+      }
+      offsets.add(offsetMinutes);
+    }
+  }
+
+  /**
+   * Get the reminder stages of a guild, earliest first
+   * @param {string} guildId - Discord guild ID
+   * @returns {Array} Reminder stages ({ offsetMinutes, message })
+   */
+  static getReminders(guildId) {
+    const reminders = this.getCachedGuildConfig(guildId).reminders || DEFAULT_REMINDERS;
+    return [...reminders].sort((a, b) => b.offsetMinutes - a.offsetMinutes);
+  }
+
+  /**
+   * Add a reminder stage to a guild, replacing the message of an existing stage with the same offset
+   * @param {string} guildId - Discord guild ID
+   * @param {number} offsetMinutes - Minutes before expiry the reminder is sent
+   * @param {string} message - Message template
+   * @returns {Promise<Object>} Updated guild configuration
+   */
+  static async addReminder(guildId, offsetMinutes, message) {
+    await this.getGuildConfig(guildId);
+    const reminders = this.getReminders(guildId).filter(reminder => reminder.offsetMinutes !== offsetMinutes);
+
+    return this.updateGuildConfig(guildId, { reminders: [...reminders, { offsetMinutes, message }] });
+  }
+
+  /**
+   * Remove a reminder stage from a guild
+   * @param {string} guildId - Discord guild ID
+   * @param {number} offsetMinutes - Minutes before expiry of the reminder to remove
+   * @returns {Promise<Object>} Updated guild configuration
+   */
+  static async removeReminder(guildId, offsetMinutes) {
+    await this.getGuildConfig(guildId);
+    const reminders = this.getReminders(guildId);
+    const remaining = reminders.filter(reminder => reminder.offsetMinutes !== offsetMinutes);
+
+    if (remaining.length === reminders.length) {
+      throw new NotFoundError(`There is no reminder ${formatTimeSpan(offsetMinutes)} before expiry.`);
+    }
+
+    return this.updateGuildConfig(guildId, { reminders: remaining });
+  }
+
+  /**
+   * Get the footer icon of a guild's embeds
+   * @param {string} guildId - Discord guild ID
+   * @returns {string} Icon URL
+   */
+  static getBrandingIconUrl(guildId) {
+    return (guildId && this.getCachedGuildConfig(guildId).brandingIconUrl) || DEFAULT_BRANDING_ICON_URL;
+  }
+
+  /**
+   * Get the shop page members renew their subscription at
+   * @param {string} guildId - Discord guild ID
+   * @returns {string|null} Shop URL, null if the guild has none
+   */
+  static getShopUrl(guildId) {
+    return this.getCachedGuildConfig(guildId).shopUrl || null;
+  }
+
+  /**
+   * Load the configuration of every guild the bot is in
+   * @param {string[]} guildIds - Discord guild IDs
+   */
+  static async loadGuildConfigs(guildIds) {
+    for (const guildId of guildIds) {
+      await this.getGuildConfig(guildId);
+    }
+  }
+
+  /**
+   * Settings a new guild starts with. Environment variables only seed the primary
+   * guild; once stored, the database is the only source of a guild's settings.
+   * @param {string} guildId - Discord guild ID
+   * @returns {Object} Default settings
+   */
+  static getDefaults(guildId) {
+    const defaults = {
+      defaultRoleId: null,
+      notificationChannelId: null,
+      logChannelId: null,
+      gracePeriodHours: 0,
+      memberLeaveMode: 'keep',
+      brandingIconUrl: null,
+      shopUrl: null,
+      reminders: null,
+      dmExpiryWarnings: true,
+      dmGraceNotice: true,
+      reminderFallback: 'none',
+      reminderChannelId: null,
+      language: null
+    };
+
+    if (guildId !== config.GUILD_ID) {
+      return defaults;
+    }
+
+    return {
+      ...defaults,
+      defaultRoleId: config.DEFAULT_ROLE_ID || null,
+      notificationChannelId: config.NOTIFICATION_CHANNEL_ID || null,
+      gracePeriodHours: config.GRACE_PERIOD_HOURS,
+      memberLeaveMode: config.MEMBER_LEAVE_MODE
+    };
+  }
+
+  /**
+   * Store a configuration in the cache
+   * @param {Object} guildConfig - GuildConfig document
+   * @returns {Object} Plain configuration object
+   */
+  static cache(guildConfig) {
+    const plain = guildConfig.toObject();
+    configCache.set(plain.guildId, { config: plain, loadedAt: Date.now() });
+    return plain;
+  }
+
+  /**
+   * Assign records from before multi-guild support to the primary guild (GUILD_ID)
+   * and replace the old single-guild unique indexes. Safe to run on every start.
+   */
+  static async migrateLegacyRecords() {
+    const models = [Subscription, SubscriptionEvent, Plan, RedeemCode, ApiKey];
+    const legacyFilter = { guildId: { $exists: false } };
+
+    for (const model of models) {
+      // The native collection skips the append-only hooks of the event ledger
+      const result = await model.collection.updateMany(legacyFilter, { $set: { guildId: config.GUILD_ID } });
+      if (result.modifiedCount > 0) {
+        logger.info(`Assigned ${result.modifiedCount} ${model.collection.collectionName} record(s) to guild ${config.GUILD_ID}`);
+      }
+    }
+
+    // Subscriptions and tiers used to be unique per user / name across all guilds
+    for (const model of [Subscription, Plan, SubscriptionEvent]) {
+      const dropped = await model.syncIndexes();
+      if (dropped.length > 0) {
+        logger.info(`Replaced ${model.collection.collectionName} indexes: ${dropped.join(', ')}`);
+      }
+    }
+  }
+}
+
+GuildConfigService.SETTING_KEYS = SETTING_KEYS;
+GuildConfigService.DEFAULT_BRANDING_ICON_URL = DEFAULT_BRANDING_ICON_URL;
+GuildConfigService.DEFAULT_REMINDERS = DEFAULT_REMINDERS;
+
+module.exports = GuildConfigService;
@@ -0,0 +1,440 @@
+const mongoose = require('mongoose');
+const { RESTJSONErrorCodes, ChannelType, ThreadAutoArchiveDuration } = require('discord.js');
+const Notification = require('../models/Notification');
+const MemberDelivery = require('../models/MemberDelivery');
+const SubscriptionEvent = require('../models/SubscriptionEvent');
+const GuildConfigService = require('./guildConfigService');
+const PreferenceService = require('./preferenceService');
+const SchedulerService = require('./schedulerService');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+const { t } = require('../utils/i18n');
+const logger = require('../utils/logger');
+
+// Attempts before a notification is given up (dead letter). The delay before a retry
+// starts at RETRY_BASE_DELAY_MS and doubles every attempt: 30s, 1m, 2m, 4m, 8m.
+const MAX_ATTEMPTS = 6;
+const RETRY_BASE_DELAY_MS = 30 * 1000;
+
+// How long an instance may take to send a claimed notification before others may retry it
+const SEND_LOCK_MS = 60 * 1000;
+
+// Notifications handled per guild and run, the rest follows in the next run
+const BATCH_SIZE = 100;
+
+// Discord errors that won't go away by retrying; staff can re-send once they are fixed
+const PERMANENT_ERROR_CODES = [
+  RESTJSONErrorCodes.CannotSendMessagesToThisUser,
+  RESTJSONErrorCodes.UnknownChannel,
+  RESTJSONErrorCodes.UnknownUser,
+  RESTJSONErrorCodes.UnknownMember,
+  RESTJSONErrorCodes.MissingAccess,
+  RESTJSONErrorCodes.MissingPermissions
+];
+
+// Errors after which a direct notification tries the member's next route
+const ROUTE_ERROR_CODES = [
+  RESTJSONErrorCodes.CannotSendMessagesToThisUser,
+  RESTJSONErrorCodes.UnknownChannel,
+  RESTJSONErrorCodes.MissingAccess,
+  RESTJSONErrorCodes.MissingPermissions
+];
+
+class NotificationService {
+  /**
+   * Queue a channel post or direct message and try to deliver it right away.
+   * Failed deliveries are retried by the notifications job.
+   * @param {Object} guild - Discord guild the notification belongs to
+   * @param {Object} notification - Notification data
+   * @param {string} notification.kind - 'channel' or 'dm'
+   * @param {string} notification.targetId - Channel ID or user ID
+   * @param {string} notification.type - Notification type
+   * @param {string} notification.discordId - Member the notification is about (optional)
+   * @param {string} notification.summary - Readable description for staff
+   * @param {Object} notification.payload - Message options (content, embeds as JSON)
+   * @param {Object} notification.ledgerEvent - Subscription event recorded on delivery (optional)
+   * @returns {Promise<Object>} Notification document
+   */
+  static async enqueue(guild, { kind, targetId, type, discordId = null, summary, payload, ledgerEvent = null }) {
+    const notification = await Notification.create({
+      guildId: guild.id,
+      kind,
+      targetId,
+      type,
+      discordId,
+      summary,
+      payload,
+      ledgerEvent
+    });
+
+    await this.deliver(guild, notification);
+    return notification;
+  }
+
+  /**
+   * Claim a notification for sending, so of several bot instances only one sends it
+   * @param {Object} notification - Notification document
+   * @returns {Promise<Object|null>} Claimed notification, null if it is not due or claimed elsewhere
+   */
+  static async claim(notification) {
+    const now = new Date();
+
+    return Notification.findOneAndUpdate(
+      {
+        _id: notification._id,
+        $or: [
+          { status: 'pending', nextAttemptAt: { $lte: now } },
+          { status: 'sending', lockedUntil: { $lte: now } }
+        ]
+      },
+      {
+        $set: { status: 'sending', lockedUntil: new Date(now.getTime() + SEND_LOCK_MS) },
+        $inc: { attempts: 1 }
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Send a queued notification to Discord and record the outcome. Direct notifications
+   * ('dm') reach the member through sendToMember, which may fall back to the reminders channel.
+   * @param {Object} guild - Discord guild the notification belongs to
+   * @param {Object} notification - Notification document
+   * @returns {Promise<boolean>} Whether the notification was delivered
+   */
+  static async deliver(guild, notification) {
+    const claimed = await this.claim(notification);
+    if (!claimed) {
+      return false;
+    }
+
+    let deliveredVia = 'channel';
+    try {
+      if (claimed.kind === 'channel') {
+        const channel = guild.channels.cache.get(claimed.targetId) || await guild.channels.fetch(claimed.targetId);
+        await channel.send(claimed.payload);
+      } else {
+        deliveredVia = await this.sendToMember(guild, claimed);
+      }
+    } catch (error) {
+      await this.handleFailure(guild, claimed, error);
+      return false;
+    }
+
+    await Notification.updateOne(
+      { _id: claimed._id },
+      { $set: { status: 'sent', sentAt: new Date(), deliveredVia, lockedUntil: null, lastError: null } }
+    );
+    logger.debug(`Delivered ${claimed.summary} in guild ${guild.id} via ${deliveredVia} (attempt ${claimed.attempts})`);
+
+    if (claimed.ledgerEvent) {
+      try {
+        const { details } = claimed.ledgerEvent;
+        await SubscriptionEvent.record(claimed.kind === 'dm'
+          ? { ...claimed.ledgerEvent, details: { ...details, deliveredVia } }
+          : claimed.ledgerEvent);
+      } catch (error) {
+        // The ledger must never break the action it records
+        logger.error(`Failed to record ${claimed.ledgerEvent.type} event for user ${claimed.ledgerEvent.discordId}`, error.stack);
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Send a direct notification to a member. Members with closed DMs are reached through the
+   * guild's reminder fallback, and the route that worked is remembered so the next
+   * notification goes straight there.
+   * @param {Object} guild - Discord guild the notification belongs to
+   * @param {Object} notification - Claimed notification document (targetId is the user ID)
+   * @returns {Promise<string>} Route the notification was delivered by ('dm', 'channel' or 'thread')
+   */
+  static async sendToMember(guild, notification) {
+    const userId = notification.targetId;
+    const [guildConfig, delivery] = await Promise.all([
+      GuildConfigService.getGuildConfig(guild.id),
+      MemberDelivery.findByMember(guild.id, userId)
+    ]);
+
+    const fallback = guildConfig.reminderFallback !== 'none' && guildConfig.reminderChannelId
+      ? guildConfig.reminderFallback
+      : null;
+    let methods = ['dm'];
+    if (fallback) {
+      methods = delivery && delivery.method === fallback ? [fallback, 'dm'] : ['dm', fallback];
+    }
+
+    let lastError;
+    for (const method of methods) {
+      try {
+        const thread = await this.sendByMethod(guild, guildConfig, notification, method, delivery);
+
+        await MemberDelivery.updateOne(
+          { guildId: guild.id, discordId: userId },
+          { $set: { method, lastDeliveredAt: new Date(), ...(thread ? { threadId: thread.id } : {}) } },
+          { upsert: true }
+        );
+        return method;
+      } catch (error) {
+        if (!ROUTE_ERROR_CODES.includes(error.code)) {
+          throw error;
+        }
+        logger.debug(`Could not reach user ${userId} in guild ${guild.id} by ${method}: ${error.message}`);
+        lastError = error;
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Send a direct notification by one route
+   * @param {Object} guild - Discord guild the notification belongs to
+   * @param {Object} guildConfig - Guild configuration
+   * @param {Object} notification - Claimed notification document
+   * @param {string} method - 'dm', 'channel' or 'thread'
+   * @param {Object} delivery - How the member was reached last (optional)
+   * @returns {Promise<Object|null>} Thread the notification was posted in, for 'thread'
+   */
+  static async sendByMethod(guild, guildConfig, notification, method, delivery) {
+    const userId = notification.targetId;
+
+    if (method === 'dm') {
+      const user = await guild.client.users.fetch(userId);
+      await user.send(notification.payload);
+      return null;
+    }
+
+    // Outside of DMs the member is pinged, and only them
+    const message = {
+      ...notification.payload,
+      content: `<@${userId}>`,
+      allowedMentions: { users: [userId] }
+    };
+
+    if (method === 'channel') {
+      const channel = await guild.channels.fetch(guildConfig.reminderChannelId);
+      await channel.send(message);
+      return null;
+    }
+
+    const thread = await this.getReminderThread(guild, guildConfig, userId, delivery);
+    await thread.send(message);
+    return thread;
+  }
+
+  /**
+   * Get the private reminder thread of a member, creating it in the reminders channel when needed
+   * @param {Object} guild - Discord guild object
+   * @param {Object} guildConfig - Guild configuration
+   * @param {string} userId - Discord user ID
+   * @param {Object} delivery - How the member was reached last (optional)
+   * @returns {Promise<Object>} Thread channel
+   */
+  static async getReminderThread(guild, guildConfig, userId, delivery) {
+    if (delivery && delivery.threadId) {
+      const thread = await guild.channels.fetch(delivery.threadId).catch(() => null);
+      // Archived threads are reopened by posting, threads of an old reminders channel are not reused
+      if (thread && thread.parentId === guildConfig.reminderChannelId) {
+        return thread;
+      }
+    }
+
+    const [channel, member] = await Promise.all([
+      guild.channels.fetch(guildConfig.reminderChannelId),
+      guild.members.fetch(userId)
+    ]);
+
+    const thread = await channel.threads.create({
+      name: `Reminders for ${member.displayName}`.slice(0, 100),
+      type: ChannelType.PrivateThread,
+      invitable: false,
+      autoArchiveDuration: ThreadAutoArchiveDuration.OneWeek,
+      reason: 'Subscription reminders for a member who does not accept direct messages'
+    });
+    await thread.members.add(userId);
+    logger.info(`Created reminder thread ${thread.id} for user ${userId} in guild ${guild.id}`);
+
+    return thread;
+  }
+
+  /**
+   * Schedule a retry of a failed delivery, or give up on it once retrying is pointless
+   * @param {Object} guild - Discord guild the notification belongs to
+   * @param {Object} notification - Claimed notification document
+   * @param {Error} error - Error of the delivery attempt
+   */
+  static async handleFailure(guild, notification, error) {
+    const permanent = PERMANENT_ERROR_CODES.includes(error.code);
+
+    if (permanent || notification.attempts >= MAX_ATTEMPTS) {
+      await Notification.updateOne(
+        { _id: notification._id },
+        { $set: { status: 'failed', failedAt: new Date(), lockedUntil: null, lastError: error.message } }
+      );
+      logger.warn(`Gave up on ${notification.summary} in guild ${guild.id} after ${notification.attempts} attempt(s): ${error.message}`);
+
+      // Members with closed DMs won't receive a retry either, so tell staff once
+      if (error.code === RESTJSONErrorCodes.CannotSendMessagesToThisUser) {
+        const { reminderFallback } = GuildConfigService.getCachedGuildConfig(guild.id);
+        const language = PreferenceService.getGuildLanguage(guild);
+        await this.sendLogToChannel(guild, {
+          content: `📭 ${t(language, 'failedNotifications.dmClosed', { summary: notification.summary, user: `<@${notification.targetId}>` })}` +
+            (reminderFallback === 'none' ? ` ${t(language, 'failedNotifications.dmClosedHint')}` : '')
+        });
+      }
+      return;
+    }
+
+    const nextAttemptAt = new Date(Date.now() + RETRY_BASE_DELAY_MS * 2 ** (notification.attempts - 1));
+    await Notification.updateOne(
+      { _id: notification._id },
+      { $set: { status: 'pending', nextAttemptAt, lockedUntil: null, lastError: error.message } }
+    );
+    logger.warn(`Failed to deliver ${notification.summary} in guild ${guild.id} (attempt ${notification.attempts}), retrying at ${nextAttemptAt.toISOString()}: ${error.message}`);
+
+    SchedulerService.requestReschedule();
+  }
+
+  /**
+   * Deliver the notifications of a guild that are due for an attempt
+   * @param {Object} guild - Discord guild object
+   * @returns {Promise<Object>} Counts of delivered and not delivered notifications
+   */
+  static async processDue(guild) {
+    const now = new Date();
+    const due = await Notification.find({
+      guildId: guild.id,
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedUntil: { $lte: now } }
+      ]
+    }).sort({ nextAttemptAt: 1 }).limit(BATCH_SIZE);
+
+    let delivered = 0;
+    for (const notification of due) {
+      if (await this.deliver(guild, notification)) {
+        delivered++;
+      }
+    }
+
+    if (due.length > 0) {
+      logger.info(`Retried ${due.length} notification(s) in guild ${guild.id}: ${delivered} delivered`);
+    }
+
+    return { delivered, notDelivered: due.length - delivered };
+  }
+
+  /**
+   * Get the next time a notification of a guild is due for an attempt
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<Date|null>} Next attempt time, null if nothing is queued
+   */
+  static async getNextAttemptAt(guildId) {
+    const [pending, sending] = await Promise.all([
+      Notification.findOne({ guildId, status: 'pending' }).sort({ nextAttemptAt: 1 }),
+      Notification.findOne({ guildId, status: 'sending' }).sort({ lockedUntil: 1 })
+    ]);
+
+    const times = [pending && pending.nextAttemptAt, sending && sending.lockedUntil].filter(Boolean);
+    return times.length > 0 ? new Date(Math.min(...times)) : null;
+  }
+
+  /**
+   * Get the notifications of a guild that were given up
+   * @param {string} guildId - Discord guild ID
+   * @param {number} limit - Maximum number of notifications to return
+   * @returns {Promise<Array>} Failed notifications, newest first
+   */
+  static async listFailed(guildId, limit = 25) {
+    return Notification.findFailed(guildId, limit);
+  }
+
+  /**
+   * Count the notifications of a guild that were given up
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<number>} Number of failed notifications
+   */
+  static async countFailed(guildId) {
+    return Notification.countDocuments({ guildId, status: 'failed' });
+  }
+
+  /**
+   * Queue a failed notification again and try to deliver it right away
+   * @param {Object} guild - Discord guild object
+   * @param {string} notificationId - ID of the notification
+   * @returns {Promise<Object>} Notification after the attempt, its status is 'sent', 'failed' or 'pending' (retried later)
+   */
+  static async resend(guild, notificationId) {
+    if (!mongoose.isValidObjectId(notificationId)) {
+      throw new ValidationError('Please enter the ID of a failed notification.', { key: 'errors.notifications.missingId' });
+    }
+
+    const notification = await Notification.findOneAndUpdate(
+      { _id: notificationId, guildId: guild.id, status: 'failed' },
+      { $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date(), failedAt: null, lastError: null } },
+      { new: true }
+    );
+    if (!notification) {
+      throw new NotFoundError(`There is no failed notification with ID ${notificationId}.`, { key: 'errors.notifications.notFound', variables: { id: notificationId } });
+    }
+
+    logger.info(`Re-sending ${notification.summary} in guild ${guild.id}`);
+    await this.deliver(guild, notification);
+
+    return Notification.findById(notification._id);
+  }
+
+  /**
+   * Queue every failed notification of a guild again
+   * @param {Object} guild - Discord guild object
+   * @returns {Promise<Object>} Counts of delivered, again failed and retried notifications
+   */
+  static async resendAll(guild) {
+    const failed = await Notification.find({ guildId: guild.id, status: 'failed' }).sort({ failedAt: 1 }).limit(BATCH_SIZE);
+    const counts = { delivered: 0, failed: 0, retrying: 0 };
+
+    for (const { _id } of failed) {
+      // Another staff member may have re-sent it in the meantime
+      const notification = await this.resend(guild, _id.toString()).catch(() => null);
+      if (!notification) {
+        continue;
+      }
+
+      if (notification.status === 'sent') {
+        counts.delivered++;
+      } else if (notification.status === 'failed') {
+        counts.failed++;
+      } else {
+        counts.retrying++;
+      }
+    }
+
+    return counts;
+  }
+
+  /**
+   * Post a message to the guild's log channel, if one is configured. Log posts are
+   * for staff only and are not queued.
+   * @param {Object} guild - Discord guild object
+   * @param {Object} message - Message options (content, embeds)
+   * @returns {Promise<boolean>} Whether the message was posted
+   */
+  static async sendLogToChannel(guild, message) {
+    try {
+      const { logChannelId } = await GuildConfigService.getGuildConfig(guild.id);
+      const channel = logChannelId && guild.channels.cache.get(logChannelId);
+      if (!channel) {
+        return false;
+      }
+
+      await channel.send({ allowedMentions: { parse: [] }, ...message });
+      return true;
+    } catch (error) {
+      logger.warn(`Failed to post to the log channel of guild ${guild.id}: ${error.message}`);
+      return false;
+    }
+  }
+}
+
+module.exports = NotificationService;
@@ -0,0 +1,129 @@
+const Plan = require('../models/Plan');
+const Subscription = require('../models/Subscription');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+class PlanService {
+  /**
+   * Create a tier or update an existing tier with the same name
+   * @param {string} guildId - Discord guild ID
+   * @param {Object} data - Tier data
+   * @param {string} data.name - Tier name
+   * @param {string[]} data.roleIds - Role IDs granted by the tier
+   * @param {number} data.color - Embed colour
+   * @param {number|null} data.maxMonths - Maximum months a subscription may run ahead
+   * @param {string[]} data.perks - Perk descriptions
+   * @param {number} data.rank - Tier rank (higher is better)
+   * @returns {Promise<Object>} Plan object and whether it was created
+   */
+  static async savePlan(guildId, { name, roleIds, color, maxMonths, perks, rank }) {
+    try {
+      const key = name.trim().toLowerCase();
+      const existingPlan = await Plan.findOne({ guildId, key });
+
+      const update = { name: name.trim(), roleIds: [...new Set(roleIds)] };
+      if (color !== undefined && color !== null) update.color = color;
+      if (maxMonths !== undefined) update.maxMonths = maxMonths;
+      if (perks !== undefined && perks !== null) update.perks = perks;
+      if (rank !== undefined && rank !== null) update.rank = rank;
+
+      if (existingPlan) {
+        existingPlan.set(update);
+        await existingPlan.save();
+        logger.info(`Updated tier ${existingPlan.name}`);
+        return { plan: existingPlan, isNew: false };
+      }
+
+      const plan = new Plan({ guildId, key, ...update });
+      await plan.save();
+      logger.info(`Created tier ${plan.name}`);
+
+      return { plan, isNew: true };
+    } catch (error) {
+      logger.error(`Failed to save tier ${name}`, error.stack);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a tier that no subscription uses anymore
+   * @param {string} guildId - Discord guild ID
+   * @param {string} name - Tier name
+   * @returns {Promise<Object>} The deleted plan
+   */
+  static async deletePlan(guildId, name) {
+    const plan = await this.requirePlan(guildId, name);
+
+    const subscriberCount = await Subscription.countDocuments({ guildId, tier: plan.key });
+    if (subscriberCount > 0) {
+      throw new ValidationError(`Tier ${plan.name} still has ${subscriberCount} subscriber(s). Move them to another tier first.`, {
+        key: 'errors.tiers.hasSubscribers',
+        variables: { tier: plan.name, count: subscriberCount }
+      });
+    }
+
+    await Plan.deleteOne({ _id: plan._id });
+    logger.info(`Deleted tier ${plan.name}`);
+
+    return plan;
+  }
+
+  /**
+   * Get a tier by name
+   * @param {string} guildId - Discord guild ID
+   * @param {string} name - Tier name (case-insensitive)
+   * @returns {Promise<Object|null>} Plan object or null if not found
+   */
+  static async getPlan(guildId, name) {
+    if (!name) return null;
+    return Plan.findByName(guildId, name);
+  }
+
+  /**
+   * Get a tier by name or throw if it does not exist
+   * @param {string} guildId - Discord guild ID
+   * @param {string} name - Tier name (case-insensitive)
+   * @returns {Promise<Object>} Plan object
+   */
+  static async requirePlan(guildId, name) {
+    const plan = await this.getPlan(guildId, name);
+    if (!plan) {
+      throw new NotFoundError(`Tier "${name}" does not exist.`, { key: 'errors.tiers.notFound', variables: { tier: name } });
+    }
+    return plan;
+  }
+
+  /**
+   * Get all tiers of a guild, best tier first
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<Array>} Array of plan objects
+   */
+  static async getPlans(guildId) {
+    return Plan.find({ guildId }).sort({ rank: -1, name: 1 });
+  }
+
+  /**
+   * Get all tiers of a guild keyed by their lookup key
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<Map<string, Object>>} Map of tier key to plan object
+   */
+  static async getPlanMap(guildId) {
+    const plans = await this.getPlans(guildId);
+    return new Map(plans.map(plan => [plan.key, plan]));
+  }
+
+  /**
+   * Parse a hex colour such as "#ff8800" or "ff8800"
+   * @param {string} value - Colour string
+   * @returns {number} Colour as integer
+   */
+  static parseColor(value) {
+    const match = /^#?([0-9a-f]{6})$/i.exec(value.trim());
+    if (!match) {
+      throw new ValidationError(`"${value}" is not a valid hex colour. Use a format like #FF8800.`, { key: 'errors.tiers.invalidColor', variables: { value } });
+    }
+    return parseInt(match[1], 16);
+  }
+}
+
+module.exports = PlanService;
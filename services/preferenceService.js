@@ -0,0 +1,163 @@
+const UserPreference = require('../models/UserPreference');
+const GuildConfigService = require('./guildConfigService');
+const TtlCache = require('../utils/ttlCache');
+const { SUPPORTED_LANGUAGES, resolveLanguage } = require('../utils/i18n');
+const { getTimezoneFromLocale, normalizeTimezone, getUserTimezone } = require('../utils/timeUtils');
+const { ValidationError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// How long loaded preferences are reused before they are read from the database again
+const PREFERENCE_TTL_MS = 5 * 60 * 1000;
+
+// Preferences keyed by user ID, null for users who never set any
+const preferenceCache = new TtlCache({ ttlMs: PREFERENCE_TTL_MS, maxSize: 20000 });
+
+class PreferenceService {
+  /**
+   * Get the personal preferences of a user
+   * @param {string} userId - Discord user ID
+   * @returns {Promise<Object|null>} Preferences, null if the user never set any
+   */
+  static async getPreferences(userId) {
+    if (preferenceCache.has(userId)) {
+      return preferenceCache.get(userId);
+    }
+
+    const preferences = await UserPreference.findByUser(userId).lean();
+    preferenceCache.set(userId, preferences);
+    return preferences;
+  }
+
+  /**
+   * Change the personal preferences of a user
+   * @param {string} userId - Discord user ID
+   * @param {Object} changes - Preferences to change
+   * @returns {Promise<Object>} Updated preferences
+   */
+  static async updatePreferences(userId, changes) {
+    const preferences = await UserPreference.findOneAndUpdate(
+      { discordId: userId },
+      { $set: changes },
+      { upsert: true, new: true, lean: true }
+    );
+
+    preferenceCache.set(userId, preferences);
+    logger.info(`Updated preferences of user ${userId}: ${Object.keys(changes).join(', ')}`);
+    return preferences;
+  }
+
+  /**
+   * Set the language a user gets bot messages in
+   * @param {string} userId - Discord user ID
+   * @param {string|null} language - Supported language code, null to follow the guild and Discord client
+   * @returns {Promise<Object>} Updated preferences
+   */
+  static async setLanguage(userId, language) {
+    if (language !== null && !SUPPORTED_LANGUAGES[language]) {
+      throw new ValidationError(`Unknown language "${language}". Use one of: ${Object.keys(SUPPORTED_LANGUAGES).join(', ')}.`, {
+        key: 'errors.unknownLanguage',
+        variables: { language, languages: Object.keys(SUPPORTED_LANGUAGES).join(', ') }
+      });
+    }
+
+    return this.updatePreferences(userId, { language });
+  }
+
+  /**
+   * Set the timezone of dates shown to a user
+   * @param {string} userId - Discord user ID
+   * @param {string|null} timezone - IANA timezone, null to guess it from the user's locale
+   * @returns {Promise<Object>} Updated preferences
+   */
+  static async setTimezone(userId, timezone) {
+    const normalized = timezone === null ? null : normalizeTimezone(timezone);
+    if (timezone !== null && !normalized) {
+      throw new ValidationError(`Unknown timezone "${timezone}". Use a name like Europe/Berlin or America/Chicago.`, { key: 'timezone.invalid', variables: { timezone } });
+    }
+
+    return this.updatePreferences(userId, { timezone: normalized });
+  }
+
+  /**
+   * Turn the reminder DMs before a subscription expires on or off for a user
+   * @param {string} userId - Discord user ID
+   * @param {boolean} enabled - Whether the user gets the reminders
+   * @returns {Promise<Object>} Updated preferences
+   */
+  static async setExpiryReminders(userId, enabled) {
+    return this.updatePreferences(userId, { expiryReminders: Boolean(enabled) });
+  }
+
+  /**
+   * Check whether a user wants reminder DMs before a subscription expires
+   * @param {string} userId - Discord user ID
+   * @returns {Promise<boolean>} True unless the user turned them off
+   */
+  static async wantsExpiryReminders(userId) {
+    const preferences = await this.getPreferences(userId);
+    return !preferences || preferences.expiryReminders !== false;
+  }
+
+  /**
+   * Get the timezone of dates shown to a user outside of an interaction, like warning DMs
+   * and the dashboard: their own choice, else a guess from a locale
+   * @param {string} userId - Discord user ID
+   * @param {string} locale - Locale to guess from, like the guild's or the user's Discord locale (optional)
+   * @returns {Promise<string>} Timezone identifier
+   */
+  static async getTimezone(userId, locale = null) {
+    const preferences = await this.getPreferences(userId);
+    return (preferences && preferences.timezone) || getTimezoneFromLocale(locale);
+  }
+
+  /**
+   * Get the timezone of dates in replies to an interaction: the user's own choice, else
+   * a guess from the user's Discord locale
+   * @param {Object} interaction - Discord interaction
+   * @returns {Promise<string>} Timezone identifier
+   */
+  static async getInteractionTimezone(interaction) {
+    const preferences = await this.getPreferences(interaction.user.id);
+    return getUserTimezone(interaction, preferences && preferences.timezone);
+  }
+
+  /**
+   * Get the language of messages posted for everyone in a guild, like channel notifications
+   * @param {Object} guild - Discord guild object
+   * @returns {string} Supported language code
+   */
+  static getGuildLanguage(guild) {
+    return resolveLanguage(GuildConfigService.getCachedGuildConfig(guild.id).language, guild.preferredLocale);
+  }
+
+  /**
+   * Get the language of messages for a member outside of an interaction, like warning DMs
+   * and message command replies: their own choice, else the guild's language
+   * @param {Object|null} guild - Discord guild object, null for direct messages
+   * @param {string} userId - Discord user ID
+   * @returns {Promise<string>} Supported language code
+   */
+  static async getMemberLanguage(guild, userId) {
+    const preferences = await this.getPreferences(userId);
+    if (!guild) {
+      return resolveLanguage(preferences && preferences.language);
+    }
+
+    return resolveLanguage(preferences && preferences.language, GuildConfigService.getCachedGuildConfig(guild.id).language, guild.preferredLocale);
+  }
+
+  /**
+   * Get the language of replies to an interaction: the user's own choice, the guild's
+   * language, then the language of the user's Discord client
+   * @param {Object} interaction - Discord interaction
+   * @returns {Promise<string>} Supported language code
+   */
+  static async getInteractionLanguage(interaction) {
+    const preferences = await this.getPreferences(interaction.user.id);
+    const guildLanguage = interaction.guildId ? GuildConfigService.getCachedGuildConfig(interaction.guildId).language : null;
+
+    return resolveLanguage(preferences && preferences.language, guildLanguage, interaction.locale, interaction.guildLocale);
+  }
+}
+
+module.exports = PreferenceService;
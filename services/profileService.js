@@ -0,0 +1,100 @@
+const TtlCache = require('../utils/ttlCache');
+const logger = require('../utils/logger');
+
+// How long resolved Discord profiles are reused
+const PROFILE_TTL_MS = 10 * 60 * 1000;
+
+// Maximum user IDs per guild member request
+const MEMBER_FETCH_BATCH_SIZE = 100;
+
+// Profiles keyed by guild and user ID, null for users that no longer exist
+const profileCache = new TtlCache({ ttlMs: PROFILE_TTL_MS, maxSize: 20000 });
+
+class ProfileService {
+  /**
+   * Resolve display profiles for many users at once. Guild members are fetched in batches,
+   * users who left the guild are fetched individually, and all results are cached.
+   * @param {Object} guild - Discord guild object
+   * @param {string[]} userIds - Discord user IDs
+   * @returns {Promise<Map<string, Object|null>>} Map of user ID to profile (null if the user does not exist)
+   */
+  static async resolveProfiles(guild, userIds) {
+    const profiles = new Map();
+    const missing = [];
+
+    for (const userId of new Set(userIds)) {
+      const key = this.cacheKey(guild.id, userId);
+      if (profileCache.has(key)) {
+        profiles.set(userId, profileCache.get(key));
+      } else {
+        missing.push(userId);
+      }
+    }
+
+    // Members still in the guild, in batches
+    for (let i = 0; i < missing.length; i += MEMBER_FETCH_BATCH_SIZE) {
+      const batch = missing.slice(i, i + MEMBER_FETCH_BATCH_SIZE);
+
+      try {
+        const members = await guild.members.fetch({ user: batch });
+        members.forEach(member => {
+          const profile = this.toProfile(member.user, member);
+          profileCache.set(this.cacheKey(guild.id, member.id), profile);
+          profiles.set(member.id, profile);
+        });
+      } catch (error) {
+        logger.warn(`Failed to fetch a batch of ${batch.length} guild members: ${error.message}`);
+      }
+    }
+
+    // Users who are not in the guild anymore
+    for (const userId of missing.filter(id => !profiles.has(id))) {
+      const user = await guild.client.users.fetch(userId).catch(() => null);
+      const profile = user ? this.toProfile(user, null) : null;
+
+      profileCache.set(this.cacheKey(guild.id, userId), profile);
+      profiles.set(userId, profile);
+    }
+
+    return profiles;
+  }
+
+  /**
+   * Build a profile from a Discord user and (optional) guild member
+   * @param {Object} user - Discord user
+   * @param {Object|null} member - Guild member
+   * @returns {Object} Profile used by the dashboard
+   */
+  static toProfile(user, member) {
+    return {
+      id: user.id,
+      username: user.username,
+      displayName: member ? member.displayName : (user.globalName || user.username),
+      tag: user.tag,
+      avatarURL: user.displayAvatarURL({ size: 128 }),
+      joinedAt: member ? member.joinedAt : null,
+      inGuild: Boolean(member)
+    };
+  }
+
+  /**
+   * Build the cache key of a profile; display names and membership differ per guild
+   * @param {string} guildId - Discord guild ID
+   * @param {string} userId - Discord user ID
+   * @returns {string} Cache key
+   */
+  static cacheKey(guildId, userId) {
+    return `${guildId}:${userId}`;
+  }
+
+  /**
+   * Drop a cached profile, e.g. after a member update
+   * @param {string} guildId - Discord guild ID
+   * @param {string} userId - Discord user ID
+   */
+  static invalidate(guildId, userId) {
+    profileCache.delete(this.cacheKey(guildId, userId));
+  }
+}
+
+module.exports = ProfileService;
@@ -0,0 +1,281 @@
+const { EmbedBuilder } = require('discord.js');
+const Subscription = require('../models/Subscription');
+const SubscriptionService = require('./subscriptionService');
+const PlanService = require('./planService');
+const GuildConfigService = require('./guildConfigService');
+const PreferenceService = require('./preferenceService');
+const { normalizeDuration, formatDuration } = require('../utils/timeUtils');
+const { ValidationError } = require('../utils/errors');
+const { t } = require('../utils/i18n');
+const logger = require('../utils/logger');
+
+// Fix modes offered for an audit report
+const FIX_MODES = {
+  'grant-missing': 'Grant missing roles to paying members',
+  'remove-unpaid': 'Remove subscriber roles from members without a subscription',
+  'import-holders': 'Create subscriptions for role holders without a record'
+};
+
+// Entries listed per embed field before the rest is summarized
+const REPORT_LIST_LIMIT = 10;
+
+class ReconciliationService {
+  /**
+   * Compare the holders of subscriber roles with the Subscription collection
+   * @param {Object} guild - Discord guild object
+   * @returns {Promise<Object>} Report with missingRoles, unpaidRoles and notInGuild entries
+   */
+  static async audit(guild) {
+    const [members, subscriptions, plans, guildConfig] = await Promise.all([
+      guild.members.fetch(),
+      Subscription.find({ guildId: guild.id }),
+      PlanService.getPlans(guild.id),
+      GuildConfigService.getGuildConfig(guild.id)
+    ]);
+
+    // Every role a subscription can grant
+    const subscriberRoleIds = new Set([guildConfig.defaultRoleId, ...plans.flatMap(plan => plan.roleIds)].filter(Boolean));
+    const subscriptionsByUser = new Map(subscriptions.map(subscription => [subscription.discordId, subscription]));
+
+    const report = {
+      guildId: guild.id,
+      checkedAt: new Date(),
+      subscriptionCount: subscriptions.length,
+      missingRoles: [],
+      unpaidRoles: [],
+      notInGuild: []
+    };
+
+    // Paying members that lack one of their roles
+    for (const subscription of subscriptions) {
+      if (!this.isEntitled(subscription)) continue;
+
+      const member = members.get(subscription.discordId);
+      if (!member) {
+        report.notInGuild.push({ userId: subscription.discordId, subscription });
+        continue;
+      }
+
+      const roleIds = subscription.getRoleIds().filter(roleId => !member.roles.cache.has(roleId));
+      if (roleIds.length > 0) {
+        report.missingRoles.push({ userId: member.id, member, subscription, roleIds });
+      }
+    }
+
+    // Role holders that are not paying for (all of) their roles
+    for (const member of members.values()) {
+      if (member.user.bot) continue;
+
+      const heldRoleIds = member.roles.cache.filter(role => subscriberRoleIds.has(role.id)).map(role => role.id);
+      if (heldRoleIds.length === 0) continue;
+
+      const subscription = subscriptionsByUser.get(member.id) || null;
+      const entitledRoleIds = subscription && this.isEntitled(subscription) ? subscription.getRoleIds() : [];
+      const roleIds = heldRoleIds.filter(roleId => !entitledRoleIds.includes(roleId));
+
+      if (roleIds.length > 0) {
+        report.unpaidRoles.push({
+          userId: member.id,
+          member,
+          subscription,
+          roleIds,
+          reason: this.getUnpaidReason(subscription)
+        });
+      }
+    }
+
+    return report;
+  }
+
+  /**
+   * Check whether a subscription should currently give its roles
+   * @param {Object} subscription - Subscription document
+   * @returns {boolean} True if active or in the grace period
+   */
+  static isEntitled(subscription) {
+    if (subscription.isPaused) return false;
+    return subscription.expiresAt > new Date() || SubscriptionService.isInGracePeriod(subscription);
+  }
+
+  /**
+   * Explain why a member holds roles they are not paying for
+   * @param {Object|null} subscription - The member's subscription, if any
+   * @returns {string} 'no-subscription', 'paused', 'expired' or 'other-tier'
+   */
+  static getUnpaidReason(subscription) {
+    if (!subscription) return 'no-subscription';
+    if (subscription.isPaused) return 'paused';
+    if (!this.isEntitled(subscription)) return 'expired';
+    return 'other-tier';
+  }
+
+  /**
+   * Get the entries a fix mode would act on
+   * @param {Object} report - Report from audit
+   * @param {string} mode - Fix mode (see FIX_MODES)
+   * @returns {Array} Report entries affected by the fix
+   */
+  static getFixTargets(report, mode) {
+    switch (mode) {
+      case 'grant-missing':
+        return report.missingRoles;
+      case 'remove-unpaid':
+        return report.unpaidRoles;
+      case 'import-holders':
+        return report.unpaidRoles.filter(entry => entry.reason === 'no-subscription');
+      default:
+        throw new ValidationError(`Unknown fix mode "${mode}".`);
+    }
+  }
+
+  /**
+   * Apply a fix to the discrepancies of a report. The guild is audited again so only
+   * discrepancies that still exist (and were part of the confirmed report) are touched.
+   * @param {Object} guild - Discord guild object
+   * @param {string} mode - Fix mode (see FIX_MODES)
+   * @param {Object} options - Fix options
+   * @param {string[]} options.userIds - Users listed in the confirmed report
+   * @param {Object} options.duration - Term for imported subscriptions ({ amount, unit }, import only)
+   * @param {Object} options.executor - User who confirmed the fix
+   * @param {string} options.source - Where the fix was confirmed, for the audit log (optional)
+   * @returns {Promise<Object>} Numbers of fixed and failed entries
+   */
+  static async applyFix(guild, mode, { userIds, duration = null, executor = null, source } = {}) {
+    if (mode === 'import-holders') {
+      if (!duration) {
+        throw new ValidationError('Importing role holders needs a duration for their subscription.', { key: 'roleAudit.needsDuration' });
+      }
+      normalizeDuration(duration);
+    }
+
+    const report = await this.audit(guild);
+    const confirmedUserIds = new Set(userIds);
+    const targets = this.getFixTargets(report, mode).filter(entry => confirmedUserIds.has(entry.userId));
+    const plans = mode === 'import-holders' ? await PlanService.getPlans(guild.id) : [];
+    const result = { fixed: 0, failed: [] };
+
+    for (const entry of targets) {
+      try {
+        switch (mode) {
+          case 'grant-missing':
+            await entry.member.roles.add(entry.roleIds);
+            break;
+          case 'remove-unpaid':
+            await entry.member.roles.remove(entry.roleIds);
+            break;
+          case 'import-holders': {
+            const { subscription } = await SubscriptionService.addSubscription(guild.id, entry.userId, duration, {
+              plan: this.matchPlan(plans, entry.member),
+              executor,
+              source,
+              details: { source: 'role-audit' }
+            });
+            await SubscriptionService.syncMemberRoles(entry.member, subscription.getRoleIds());
+            break;
+          }
+        }
+        result.fixed++;
+      } catch (error) {
+        logger.warn(`Role audit fix ${mode} failed for user ${entry.userId}: ${error.message}`);
+        result.failed.push({ userId: entry.userId, reason: error.message });
+      }
+    }
+
+    logger.info(`Role audit fix ${mode}${duration ? ` (${formatDuration(duration)})` : ''} by ${executor ? executor.tag : 'system'}: ${result.fixed} fixed, ${result.failed.length} failed`);
+    return result;
+  }
+
+  /**
+   * Find the tier whose roles a member holds, preferring the best tier
+   * @param {Array} plans - Plans, best tier first
+   * @param {Object} member - Discord guild member
+   * @returns {Object|null} Matching plan, or null for the default role
+   */
+  static matchPlan(plans, member) {
+    return plans.find(plan => plan.roleIds.every(roleId => member.roles.cache.has(roleId))) || null;
+  }
+
+  /**
+   * Build the embed describing an audit report
+   * @param {Object} report - Report from audit
+   * @param {string} language - Language of the embed (optional, English by default)
+   * @returns {Object} Discord embed
+   */
+  static createReportEmbed(report, language = 'en') {
+    const issueCount = report.missingRoles.length + report.unpaidRoles.length;
+
+    const formatList = (entries, describe) => {
+      if (entries.length === 0) return t(language, 'common.none');
+
+      const lines = entries.slice(0, REPORT_LIST_LIMIT).map(describe);
+      if (entries.length > REPORT_LIST_LIMIT) {
+        lines.push(t(language, 'roleAudit.more', { count: entries.length - REPORT_LIST_LIMIT }));
+      }
+      return lines.join('\n').slice(0, 1024);
+    };
+    const formatRoles = roleIds => roleIds.map(roleId => `<@&${roleId}>`).join(' ');
+
+    return new EmbedBuilder()
+      .setColor(issueCount > 0 ? 0xFFA500 : 0x00FF00)
+      .setTitle(t(language, 'roleAudit.title'))
+      .setDescription(issueCount > 0
+        ? t(language, 'roleAudit.found', { count: issueCount, records: report.subscriptionCount })
+        : t(language, 'roleAudit.matches', { records: report.subscriptionCount }))
+      .addFields(
+        {
+          name: t(language, 'roleAudit.missingRoles', { count: report.missingRoles.length }),
+          value: formatList(report.missingRoles, entry => `<@${entry.userId}> ${formatRoles(entry.roleIds)}`)
+        },
+        {
+          name: t(language, 'roleAudit.unpaidRoles', { count: report.unpaidRoles.length }),
+          value: formatList(report.unpaidRoles, entry => `<@${entry.userId}> ${formatRoles(entry.roleIds)} (${t(language, `roleAudit.reasons.${entry.reason}`)})`)
+        },
+        {
+          name: t(language, 'roleAudit.notInGuild', { count: report.notInGuild.length }),
+          value: formatList(report.notInGuild, entry => `<@${entry.userId}>`)
+        }
+      )
+      .setFooter({
+        text: `${t(language, 'roleAudit.footer')} • by roster`,
+        iconURL: GuildConfigService.getBrandingIconUrl(report.guildId)
+      })
+      .setTimestamp(report.checkedAt);
+  }
+
+  /**
+   * Audit the guild and post the report to the log channel (or the notification channel)
+   * when something is off
+   * @param {Object} guild - Discord guild object
+   * @returns {Promise<Object>} The audit report
+   */
+  static async runScheduledAudit(guild) {
+    const report = await this.audit(guild);
+    const issueCount = report.missingRoles.length + report.unpaidRoles.length;
+
+    if (issueCount === 0) {
+      logger.debug(`Scheduled role audit found no discrepancies in guild ${guild.id}`);
+      return report;
+    }
+
+    const { logChannelId, notificationChannelId } = await GuildConfigService.getGuildConfig(guild.id);
+    const channel = guild.channels.cache.get(logChannelId) || guild.channels.cache.get(notificationChannelId);
+    if (!channel) {
+      logger.warn(`Role audit found ${issueCount} discrepancies in guild ${guild.id} but no log or notification channel is available`);
+      return report;
+    }
+
+    const language = PreferenceService.getGuildLanguage(guild);
+    await channel.send({
+      content: t(language, 'roleAudit.scheduledHint'),
+      embeds: [this.createReportEmbed(report, language)],
+      allowedMentions: { parse: [] }
+    });
+    logger.info(`Scheduled role audit found ${issueCount} discrepancies in guild ${guild.id}`);
+
+    return report;
+  }
+}
+
+ReconciliationService.FIX_MODES = FIX_MODES;
+
+module.exports = ReconciliationService;
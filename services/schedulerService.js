@@ -0,0 +1,347 @@
+const os = require('os');
+const crypto = require('crypto');
+const JobState = require('../models/JobState');
+const logger = require('../utils/logger');
+
+// Identifies this bot process in job leases
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+// How long a job lease lasts and how often a running job renews it. An instance that
+// dies stops renewing, so another instance takes over once the lease runs out.
+const LEASE_MS = 2 * 60 * 1000;
+const LEASE_RENEW_MS = 30 * 1000;
+
+// Longest a job sleeps before checking again, so changes the scheduler was not told about are picked up
+const MAX_SLEEP_MS = 15 * 60 * 1000;
+
+// Delay before a failed job is retried, doubled for every further failure in a row (up to 32 minutes)
+const RETRY_DELAY_MS = 60 * 1000;
+const MAX_RETRY_DOUBLINGS = 5;
+
+// Wait before recalculating run times after a change, so bulk changes cause a single recalculation
+const RESCHEDULE_DEBOUNCE_MS = 2000;
+
+// Registered jobs keyed by name
+const jobs = new Map();
+
+let started = false;
+let rescheduleTimer = null;
+
+class SchedulerService {
+  /**
+   * Register a job. Jobs run when getNextRunAt says they are due instead of on a fixed interval.
+   * @param {Object} job - Job definition
+   * @param {string} job.name - Unique job name, also the key of its JobState
+   * @param {string} job.description - Readable description for logs and status pages
+   * @param {Function} job.run - Async function doing the work
+   * @param {Function} job.getNextRunAt - Async function returning the Date of the next run, or null when there is nothing to do
+   */
+  static register({ name, description, run, getNextRunAt }) {
+    jobs.set(name, { name, description, run, getNextRunAt, nextRunAt: null, timer: null, running: false });
+  }
+
+  /**
+   * Start all registered jobs. Jobs that were due while the bot was down, or that never
+   * ran, run right away; the others continue at their stored or recalculated run time.
+   */
+  static async start() {
+    started = true;
+
+    for (const job of jobs.values()) {
+      try {
+        const state = await JobState.findOne({ name: job.name });
+
+        if (!state || !state.nextRunAt || state.nextRunAt <= new Date()) {
+          if (state && state.nextRunAt) {
+            logger.info(`Catching up on ${job.description}, missed run at ${state.nextRunAt.toISOString()}`);
+          }
+          this.runJob(job, state && state.nextRunAt ? state.nextRunAt : new Date());
+          continue;
+        }
+
+        const nextRunAt = await job.getNextRunAt();
+        this.scheduleJob(job, nextRunAt && nextRunAt < state.nextRunAt ? nextRunAt : state.nextRunAt);
+      } catch (error) {
+        logger.error(`Failed to start ${job.description}`, error.stack);
+        this.scheduleJob(job, new Date(Date.now() + RETRY_DELAY_MS));
+      }
+    }
+
+    logger.info(`Started scheduler with ${jobs.size} job(s) as instance ${INSTANCE_ID}: ${[...jobs.keys()].join(', ')}`);
+  }
+
+  /**
+   * Stop all timers and hand over the leases of this instance, e.g. on shutdown
+   */
+  static async stop() {
+    started = false;
+    clearTimeout(rescheduleTimer);
+
+    for (const job of jobs.values()) {
+      clearTimeout(job.timer);
+      job.timer = null;
+    }
+
+    await JobState.updateMany({ leaseOwner: INSTANCE_ID }, { $set: { leaseOwner: null, leaseExpiresAt: null } });
+  }
+
+  /**
+   * Take the lease of a job so no other instance runs it at the same time. Leases of
+   * instances that stopped renewing them are taken over once they run out.
+   * @param {Object} job - Registered job
+   * @returns {Promise<Object|null>} State before taking the lease ({} for a new job), null if another instance holds it
+   */
+  static async acquireLease(job) {
+    const now = new Date();
+
+    try {
+      const previous = await JobState.findOneAndUpdate(
+        {
+          name: job.name,
+          $or: [{ leaseOwner: null }, { leaseOwner: INSTANCE_ID }, { leaseExpiresAt: { $lte: now } }]
+        },
+        { $set: { leaseOwner: INSTANCE_ID, leaseExpiresAt: new Date(now.getTime() + LEASE_MS) } },
+        { upsert: true }
+      );
+
+      if (previous && previous.leaseOwner && previous.leaseOwner !== INSTANCE_ID) {
+        logger.warn(`Took over the lease of ${job.description} from ${previous.leaseOwner}, it expired at ${previous.leaseExpiresAt.toISOString()}`);
+      }
+
+      return previous || {};
+    } catch (error) {
+      // The upsert collides with the existing state when the lease is held by someone else
+      if (error.code === 11000) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Run a job now and schedule its next run. Only the instance holding the job's lease
+   * runs it; failed runs are retried with a growing delay.
+   * @param {Object} job - Registered job
+   * @param {Date} dueAt - When the run became due, used to skip runs another instance already did
+   */
+  static async runJob(job, dueAt = new Date()) {
+    if (job.running) {
+      return;
+    }
+
+    job.running = true;
+    clearTimeout(job.timer);
+
+    let heartbeat = null;
+
+    try {
+      const previous = await this.acquireLease(job);
+
+      if (!previous) {
+        // Another instance is running the job; look again when its lease would run out
+        const state = await JobState.findOne({ name: job.name });
+        logger.debug(`Skipped ${job.description}, instance ${state ? state.leaseOwner : 'unknown'} holds the lease`);
+        job.running = false;
+        this.scheduleJob(job, null, state && state.leaseExpiresAt ? new Date(state.leaseExpiresAt.getTime() + 1000) : null);
+        return;
+      }
+
+      if (previous.lastRunAt && previous.lastRunAt >= dueAt) {
+        logger.debug(`Skipped ${job.description}, it already ran at ${previous.lastRunAt.toISOString()}`);
+        await JobState.updateOne({ name: job.name, leaseOwner: INSTANCE_ID }, { $set: { leaseOwner: null, leaseExpiresAt: null } });
+        job.running = false;
+
+        // A run time that is still not after that run would only skip again, so wait instead
+        const nextRunAt = await job.getNextRunAt();
+        this.scheduleJob(job, nextRunAt && nextRunAt > previous.lastRunAt ? nextRunAt : null);
+        return;
+      }
+
+      heartbeat = setInterval(() => this.renewLease(job), LEASE_RENEW_MS);
+      await this.executeJob(job);
+    } catch (error) {
+      logger.error(`Failed to run ${job.description}`, error.stack);
+      this.scheduleJob(job, new Date(Date.now() + RETRY_DELAY_MS));
+    } finally {
+      clearInterval(heartbeat);
+      job.running = false;
+    }
+  }
+
+  /**
+   * Run a job while holding its lease, record the outcome and release the lease
+   * @param {Object} job - Registered job
+   */
+  static async executeJob(job) {
+    const startedAt = new Date();
+
+    // The stored nextRunAt stays in the past until the run finishes, so a crash mid-run is caught up on restart
+    await JobState.updateOne({ name: job.name }, { $set: { lastRunAt: startedAt }, $inc: { runCount: 1 } });
+
+    let failure = null;
+    try {
+      await job.run();
+    } catch (error) {
+      failure = error;
+    }
+
+    const lastDurationMs = Date.now() - startedAt.getTime();
+    let nextRunAt = await job.getNextRunAt().catch(error => {
+      logger.warn(`Failed to calculate the next run of ${job.description}: ${error.message}`);
+      return null;
+    });
+
+    if (failure) {
+      const state = await JobState.findOneAndUpdate(
+        { name: job.name },
+        {
+          $set: { lastFailureAt: new Date(), lastError: failure.message, lastDurationMs },
+          $inc: { failureCount: 1, consecutiveFailures: 1 }
+        },
+        { new: true }
+      );
+
+      const retryAt = new Date(Date.now() + RETRY_DELAY_MS * 2 ** Math.min(state.consecutiveFailures - 1, MAX_RETRY_DOUBLINGS));
+      nextRunAt = nextRunAt && nextRunAt < retryAt ? nextRunAt : retryAt;
+      logger.error(`${job.description} failed (${state.consecutiveFailures} in a row), retrying at ${nextRunAt.toISOString()}`, failure.stack);
+    } else {
+      await JobState.updateOne(
+        { name: job.name },
+        { $set: { lastSuccessAt: new Date(), lastDurationMs, consecutiveFailures: 0 } }
+      );
+    }
+
+    await JobState.updateOne({ name: job.name }, { $set: { nextRunAt } });
+    await JobState.updateOne({ name: job.name, leaseOwner: INSTANCE_ID }, { $set: { leaseOwner: null, leaseExpiresAt: null } });
+
+    this.scheduleJob(job, nextRunAt);
+  }
+
+  /**
+   * Extend the lease of a running job
+   * @param {Object} job - Registered job
+   */
+  static async renewLease(job) {
+    try {
+      const result = await JobState.updateOne(
+        { name: job.name, leaseOwner: INSTANCE_ID },
+        { $set: { leaseExpiresAt: new Date(Date.now() + LEASE_MS) } }
+      );
+
+      if (result.matchedCount === 0) {
+        logger.warn(`Lost the lease of ${job.description} while it was running`);
+      }
+    } catch (error) {
+      logger.warn(`Failed to renew the lease of ${job.description}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Set the timer of a job
+   * @param {Object} job - Registered job
+   * @param {Date|null} nextRunAt - Next run time, null when nothing is scheduled
+   * @param {Date|null} wakeAt - When to look at the job again (defaults to nextRunAt, at most MAX_SLEEP_MS away)
+   */
+  static scheduleJob(job, nextRunAt, wakeAt = nextRunAt) {
+    clearTimeout(job.timer);
+    job.nextRunAt = nextRunAt;
+
+    if (!started) {
+      return;
+    }
+
+    const delay = wakeAt ? Math.max(0, wakeAt.getTime() - Date.now()) : MAX_SLEEP_MS;
+    job.timer = setTimeout(() => this.wake(job), Math.min(delay, MAX_SLEEP_MS));
+
+    logger.debug(`Next run of ${job.description}: ${nextRunAt ? nextRunAt.toISOString() : 'nothing scheduled'}`);
+  }
+
+  /**
+   * Timer callback: run the job if it is due, otherwise check whether its run time moved
+   * @param {Object} job - Registered job
+   */
+  static async wake(job) {
+    try {
+      if (job.nextRunAt && job.nextRunAt <= new Date()) {
+        await this.runJob(job, job.nextRunAt);
+        return;
+      }
+
+      const nextRunAt = await job.getNextRunAt();
+      if (nextRunAt && nextRunAt <= new Date()) {
+        await this.runJob(job, nextRunAt);
+      } else {
+        this.scheduleJob(job, nextRunAt);
+      }
+    } catch (error) {
+      logger.error(`Failed to wake ${job.description}`, error.stack);
+      this.scheduleJob(job, new Date(Date.now() + RETRY_DELAY_MS));
+    }
+  }
+
+  /**
+   * Ask the scheduler to recalculate run times soon, e.g. after a subscription's expiry changed.
+   * Calls within a short time are combined into one recalculation.
+   */
+  static requestReschedule() {
+    if (!started) {
+      return;
+    }
+
+    clearTimeout(rescheduleTimer);
+    rescheduleTimer = setTimeout(() => {
+      this.reschedule().catch(error => logger.warn(`Failed to reschedule jobs: ${error.message}`));
+    }, RESCHEDULE_DEBOUNCE_MS);
+  }
+
+  /**
+   * Recalculate the next run of every idle job and move it forward if it is due earlier.
+   * Running jobs calculate their next run when they finish.
+   */
+  static async reschedule() {
+    for (const job of jobs.values()) {
+      if (job.running) {
+        continue;
+      }
+
+      const nextRunAt = await job.getNextRunAt();
+      if (nextRunAt && (!job.nextRunAt || nextRunAt < job.nextRunAt)) {
+        this.scheduleJob(job, nextRunAt);
+      }
+    }
+  }
+
+  /**
+   * Get the stored state of every registered job
+   * @returns {Promise<Array>} Job states with name, description, last run, next run and failure counts
+   */
+  static async getJobStates() {
+    const states = await JobState.find({ name: { $in: [...jobs.keys()] } });
+    const statesByName = new Map(states.map(state => [state.name, state]));
+
+    return [...jobs.values()].map(job => {
+      const state = statesByName.get(job.name);
+
+      return {
+        name: job.name,
+        description: job.description,
+        running: job.running,
+        lastRunAt: state ? state.lastRunAt : null,
+        lastSuccessAt: state ? state.lastSuccessAt : null,
+        lastFailureAt: state ? state.lastFailureAt : null,
+        lastError: state ? state.lastError : null,
+        lastDurationMs: state ? state.lastDurationMs : null,
+        nextRunAt: job.nextRunAt || (state ? state.nextRunAt : null),
+        leaseOwner: state && state.leaseExpiresAt > new Date() ? state.leaseOwner : null,
+        heldByThisInstance: Boolean(state && state.leaseOwner === INSTANCE_ID),
+        runCount: state ? state.runCount : 0,
+        failureCount: state ? state.failureCount : 0,
+        consecutiveFailures: state ? state.consecutiveFailures : 0
+      };
+    });
+  }
+}
+
+SchedulerService.INSTANCE_ID = INSTANCE_ID;
+
+module.exports = SchedulerService;
@@ -1,484 +1,1591 @@
-const Subscription = require('../models/Subscription');
-const { getConfig } = require('../config/validation');
-const { addMonths } = require('../utils/timeUtils');
-const logger = require('../utils/logger');
-const { EmbedBuilder } = require('discord.js');
-
-const config = getConfig();
-
-class SubscriptionService {
-  /**
-   * Add or extend a subscription for a user
-   * @param {string} userId - Discord user ID
-   * @param {number} months - Number of months to add
-   * @param {string} roleId - Role ID to assign (optional, uses default)
-   * @returns {Promise<Object>} Subscription object and whether it was created or extended
-   */
-  static async addSubscription(userId, months, roleId = config.DEFAULT_ROLE_ID) {
-    try {
-      const existingSubscription = await Subscription.findOne({ discordId: userId });
-      
-      if (existingSubscription) {
-        // Extend existing subscription
-        const oldExpiry = new Date(existingSubscription.expiresAt);
-        await existingSubscription.extend(months);
-        
-        logger.info(`Extended subscription for user ${userId} by ${months} months`);
-        
-        return {
-          subscription: existingSubscription,
-          isNew: false,
-          oldExpiry
-        };
-      } else {
-        // Create new subscription
-        const startAt = new Date();
-        const expiresAt = addMonths(startAt, months);
-        
-        const subscription = new Subscription({
-          discordId: userId,
-          roleId,
-          months,
-          startAt,
-          expiresAt
-        });
-        
-        await subscription.save();
-        logger.subscriptionAdded(userId, months, expiresAt);
-        
-        return {
-          subscription,
-          isNew: true
-        };
-      }
-    } catch (error) {
-      logger.error(`Failed to add subscription for user ${userId}`, error.stack);
-      throw error;
-    }
-  }
-  
-  /**
-   * Remove a subscription for a user
-   * @param {string} userId - Discord user ID
-   * @returns {Promise<boolean>} True if subscription was found and removed
-   */
-  static async removeSubscription(userId) {
-    try {
-      const subscription = await Subscription.findOneAndDelete({ discordId: userId });
-      
-      if (subscription) {
-        logger.subscriptionRemoved(userId);
-        return true;
-      }
-      
-      return false;
-    } catch (error) {
-      logger.error(`Failed to remove subscription for user ${userId}`, error.stack);
-      throw error;
-    }
-  }
-  
-  /**
-   * Get subscription status for a user
-   * @param {string} userId - Discord user ID
-   * @returns {Promise<Object|null>} Subscription object or null if not found
-   */
-  static async getSubscriptionStatus(userId) {
-    try {
-      const subscription = await Subscription.findOne({ discordId: userId });
-      return subscription;
-    } catch (error) {
-      logger.error(`Failed to get subscription status for user ${userId}`, error.stack);
-      throw error;
-    }
-  }
-  
-  /**
-   * Get all expired subscriptions
-   * @returns {Promise<Array>} Array of expired subscription objects
-   */
-  static async getExpiredSubscriptions() {
-    try {
-      return await Subscription.findExpired();
-    } catch (error) {
-      logger.error('Failed to get expired subscriptions', error.stack);
-      throw error;
-    }
-  }
-
-  /**
-   * Get subscriptions expiring in 1 day (24 hours)
-   * @returns {Promise<Array>} Array of subscription objects expiring in 1 day
-   */
-  static async getSubscriptionsExpiringIn1Day() {
-    try {
-      const now = new Date();
-      const oneDayFromNow = new Date(now.getTime() + (24 * 60 * 60 * 1000));
-      const oneDayTenMinutesFromNow = new Date(now.getTime() + (24 * 60 + 10) * 60 * 1000);
-      
-      return await Subscription.find({
-        expiresAt: { 
-          $gte: oneDayFromNow, 
-          $lte: oneDayTenMinutesFromNow 
-        },
-        notified1Day: { $ne: true }
-      });
-    } catch (error) {
-      logger.error('Failed to get subscriptions expiring in 1 day', error.stack);
-      throw error;
-    }
-  }
-
-  /**
-   * Get subscriptions expiring in 30 minutes
-   * @returns {Promise<Array>} Array of subscription objects expiring in 30 minutes
-   */
-  static async getSubscriptionsExpiringIn30Minutes() {
-    try {
-      const now = new Date();
-      const thirtyMinutesFromNow = new Date(now.getTime() + (30 * 60 * 1000));
-      const thirtyFiveMinutesFromNow = new Date(now.getTime() + (35 * 60 * 1000));
-      
-      return await Subscription.find({
-        expiresAt: { 
-          $gte: thirtyMinutesFromNow, 
-          $lte: thirtyFiveMinutesFromNow 
-        },
-        notified30Minutes: { $ne: true }
-      });
-    } catch (error) {
-      logger.error('Failed to get subscriptions expiring in 30 minutes', error.stack);
-      throw error;
-    }
-  }
-  
-  /**
-   * Get all active subscriptions
-   * @returns {Promise<Array>} Array of active subscription objects
-   */
-  static async getActiveSubscriptions() {
-    try {
-      return await Subscription.findActive();
-    } catch (error) {
-      logger.error('Failed to get active subscriptions', error.stack);
-      throw error;
-    }
-  }
-  
-  /**
-   * Clean up expired subscriptions from database
-   * @returns {Promise<number>} Number of subscriptions cleaned up
-   */
-  static async cleanupExpiredSubscriptions() {
-    try {
-      const result = await Subscription.deleteMany({
-        expiresAt: { $lte: new Date() }
-      });
-      
-      if (result.deletedCount > 0) {
-        logger.info(`Cleaned up ${result.deletedCount} expired subscriptions`);
-      }
-      
-      return result.deletedCount;
-    } catch (error) {
-      logger.error('Failed to cleanup expired subscriptions', error.stack);
-      throw error;
-    }
-  }
-  
-  /**
-   * Helper function to create Discord timestamp
-   * @param {Date} date - The date to convert
-   * @param {string} format - Discord timestamp format (default: 'F')
-   * @returns {string} Discord timestamp markdown
-   */
-  static createDiscordTimestamp(date, format = 'F') {
-    const timestamp = Math.floor(date.getTime() / 1000);
-    return `<t:${timestamp}:${format}>`;
-  }
-
-  /**
-   * Send direct message to user about subscription expiration
-   * @param {Object} client - Discord client
-   * @param {string} userId - User ID to send message to
-   * @param {Object} subscription - Subscription object
-   * @param {string} type - Type of notification ('1day' or '30minutes')
-   */
-  static async sendExpirationWarningToUser(client, userId, subscription, type) {
-    try {
-      const user = await client.users.fetch(userId);
-      if (!user) {
-        logger.warn(`User ${userId} not found for expiration warning`);
-        return;
-      }
-
-      const expiresTimestamp = this.createDiscordTimestamp(subscription.expiresAt);
-      const expiresRelative = this.createDiscordTimestamp(subscription.expiresAt, 'R');
-      
-      let title, description, color;
-      
-      if (type === '1day') {
-        title = '⚠️ Subscription Expiring Soon';
-        description = `Your subscription will expire in approximately 24 hours!`;
-        color = 0xFFA500; // Orange
-      } else if (type === '30minutes') {
-        title = '🚨 Subscription Expiring Very Soon!';
-        description = `Your subscription will expire in approximately 30 minutes!`;
-        color = 0xFF4444; // Red
-      }
-
-      const embed = new EmbedBuilder()
-        .setColor(color)
-        .setTitle(title)
-        .setDescription(description)
-        .addFields(
-          { name: '📅 Expires', value: `${expiresTimestamp} (${expiresRelative})`, inline: false },
-          { name: '💡 What happens next?', value: 'Your subscription role will be automatically removed when it expires. Contact an administrator if you need to renew your subscription.', inline: false }
-        )
-        .setFooter({ 
-          text: 'Automatic notification • by roster', 
-          iconURL: 'https://images-ext-1.discordapp.net/external/l8Krh2eV-xUmk8rQPbEMOb3lpziicXkX_W9lv_wgZ9w/https/cdn.discordapp.com/avatars/507962222132068362/2fbd6c97875b678ce087ede0a82a05bb.webp'
-        })
-        .setTimestamp();
-
-      await user.send({ embeds: [embed] });
-      logger.info(`Sent ${type} expiration warning to ${user.tag} (${userId})`);
-
-      // Mark as notified in database
-      if (type === '1day') {
-        await Subscription.findByIdAndUpdate(subscription._id, { notified1Day: true });
-      } else if (type === '30minutes') {
-        await Subscription.findByIdAndUpdate(subscription._id, { notified30Minutes: true });
-      }
-
-    } catch (error) {
-      logger.warn(`Failed to send expiration warning to user ${userId}: ${error.message}`);
-    }
-  }
-  
-  /**
-   * Send notification to configured notification channel
-   * @param {Object} client - Discord client
-   * @param {string} type - Notification type ('added', 'removed', 'expired')
-   * @param {Object} data - Notification data
-   */
-  static async sendNotificationToChannel(client, type, data) {
-    try {
-      const notificationChannelId = config.NOTIFICATION_CHANNEL_ID;
-      
-      if (!notificationChannelId) {
-        logger.debug('No notification channel configured, skipping notification');
-        return;
-      }
-
-      const channel = client.channels.cache.get(notificationChannelId);
-      if (!channel) {
-        logger.warn(`Notification channel ${notificationChannelId} not found`);
-        return;
-      }
-
-      let embed;
-      let messageContent = '';
-      const rosterIconUrl = 'https://images-ext-1.discordapp.net/external/l8Krh2eV-xUmk8rQPbEMOb3lpziicXkX_W9lv_wgZ9w/https/cdn.discordapp.com/avatars/507962222132068362/2fbd6c97875b678ce087ede0a82a05bb.webp';
-      
-      switch (type) {
-        case 'added':
-          // Tag the user in the message content
-          messageContent = `${data.targetUser}`;
-          
-          const startTimestamp = this.createDiscordTimestamp(data.subscription.startAt);
-          const expiresTimestamp = this.createDiscordTimestamp(data.subscription.expiresAt);
-          const expiresRelative = this.createDiscordTimestamp(data.subscription.expiresAt, 'R');
-          
-          embed = new EmbedBuilder()
-            .setColor(0x00FF00)
-            .setTitle('🎉 New Subscription Added')
-            .setDescription(`${data.targetUser} has received a subscription!`)
-            .addFields(
-              { name: '👤 User', value: `${data.targetUser.tag}`, inline: true },
-              { name: '📅 Duration', value: `${data.months} month(s)`, inline: true },
-              { name: '🏷️ Role', value: `${data.role.name}`, inline: true },
-              { name: '🚀 Started', value: startTimestamp, inline: true },
-              { name: '⏰ Expires', value: `${expiresTimestamp} (${expiresRelative})`, inline: true },
-              { name: '📊 Status', value: data.isNew ? '🆕 New subscription' : '🔄 Extended existing', inline: true }
-            )
-            .setThumbnail(data.targetUser.displayAvatarURL())
-            .setFooter({ 
-              text: `Added by ${data.executor.tag} • by roster`, 
-              iconURL: rosterIconUrl
-            })
-            .setTimestamp();
-          break;
-
-        case 'removed':
-          // Tag the user in the message content
-          messageContent = `${data.targetUser}`;
-          
-          embed = new EmbedBuilder()
-            .setColor(0xFF6B6B)
-            .setTitle('🗑️ Subscription Removed')
-            .setDescription(`${data.targetUser}'s subscription has been removed.`)
-            .addFields(
-              { name: '👤 User', value: `${data.targetUser.tag}`, inline: true },
-              { name: '🏷️ Role Revoked', value: `${data.roleName || 'Subscription Role'}`, inline: true }
-            )
-            .setThumbnail(data.targetUser.displayAvatarURL())
-            .setFooter({ 
-              text: `Removed by ${data.executor.tag} • by roster`, 
-              iconURL: rosterIconUrl
-            })
-            .setTimestamp();
-          break;
-
-        case 'expired':
-          // Tag the user in the message content
-          messageContent = `${data.targetUser}`;
-          
-          const expiredTimestamp = this.createDiscordTimestamp(data.subscription.expiresAt);
-          
-          embed = new EmbedBuilder()
-            .setColor(0xFF9500)
-            .setTitle('⏰ Subscription Expired')
-            .setDescription(`${data.targetUser}'s subscription has expired and role has been removed.`)
-            .addFields(
-              { name: '👤 User', value: `${data.targetUser.tag}`, inline: true },
-              { name: '📅 Expired On', value: expiredTimestamp, inline: true }
-            )
-            .setThumbnail(data.targetUser.displayAvatarURL())
-            .setFooter({ 
-              text: 'Automatic cleanup • by roster', 
-              iconURL: rosterIconUrl
-            })
-            .setTimestamp();
-          break;
-      }
-
-      if (embed) {
-        await channel.send({ 
-          content: messageContent, 
-          embeds: [embed] 
-        });
-        logger.debug(`Sent ${type} notification with user tag to channel ${channel.name}`);
-      }
-    } catch (error) {
-      logger.error(`Failed to send notification to channel: ${error.message}`);
-    }
-  }
-
-  /**
-   * Process expiration warnings (1 day and 30 minutes before expiry)
-   * @param {Object} client - Discord client for notifications
-   * @returns {Promise<Object>} Object with counts of processed warnings
-   */
-  static async processExpirationWarnings(client) {
-    try {
-      const oneDayWarnings = await this.getSubscriptionsExpiringIn1Day();
-      const thirtyMinuteWarnings = await this.getSubscriptionsExpiringIn30Minutes();
-      
-      let processedOneDayWarnings = 0;
-      let processedThirtyMinuteWarnings = 0;
-
-      // Process 1-day warnings
-      for (const subscription of oneDayWarnings) {
-        try {
-          await this.sendExpirationWarningToUser(client, subscription.discordId, subscription, '1day');
-          processedOneDayWarnings++;
-        } catch (error) {
-          logger.warn(`Failed to send 1-day warning to user ${subscription.discordId}: ${error.message}`);
-        }
-      }
-
-      // Process 30-minute warnings
-      for (const subscription of thirtyMinuteWarnings) {
-        try {
-          await this.sendExpirationWarningToUser(client, subscription.discordId, subscription, '30minutes');
-          processedThirtyMinuteWarnings++;
-        } catch (error) {
-          logger.warn(`Failed to send 30-minute warning to user ${subscription.discordId}: ${error.message}`);
-        }
-      }
-
-      if (processedOneDayWarnings > 0 || processedThirtyMinuteWarnings > 0) {
-        logger.info(`Processed expiration warnings: ${processedOneDayWarnings} 1-day warnings, ${processedThirtyMinuteWarnings} 30-minute warnings`);
-      }
-
-      return {
-        oneDayWarnings: processedOneDayWarnings,
-        thirtyMinuteWarnings: processedThirtyMinuteWarnings
-      };
-    } catch (error) {
-      logger.error('Failed to process expiration warnings', error.stack);
-      throw error;
-    }
-  }
-  
-  /**
-   * Process expired subscriptions (remove roles and log)
-   * @param {Object} guild - Discord guild object
-   * @param {Object} client - Discord client for notifications
-   * @returns {Promise<Array>} Array of processed user IDs
-   */
-  static async processExpiredSubscriptions(guild, client = null) {
-    try {
-      const expiredSubscriptions = await this.getExpiredSubscriptions();
-      const processedUsers = [];
-      
-      for (const subscription of expiredSubscriptions) {
-        try {
-          const member = await guild.members.fetch(subscription.discordId).catch(() => null);
-          
-          if (member && member.roles.cache.has(subscription.roleId)) {
-            await member.roles.remove(subscription.roleId);
-            logger.info(`Removed expired role from user ${subscription.discordId}`);
-            
-            // Send notification for expired subscription
-            if (client) {
-              await this.sendNotificationToChannel(client, 'expired', {
-                targetUser: member.user,
-                subscription: subscription
-              });
-            }
-          }
-          
-          // Remove from database
-          await Subscription.findByIdAndDelete(subscription._id);
-          logger.subscriptionExpired(subscription.discordId);
-          
-          processedUsers.push(subscription.discordId);
-        } catch (memberError) {
-          logger.warn(`Failed to process expired subscription for user ${subscription.discordId}: ${memberError.message}`);
-        }
-      }
-      
-      return processedUsers;
-    } catch (error) {
-      logger.error('Failed to process expired subscriptions', error.stack);
-      throw error;
-    }
-  }
-  
-  /**
-   * Get subscription statistics
-   * @returns {Promise<Object>} Statistics object
-   */
-  static async getSubscriptionStats() {
-    try {
-      const [totalCount, activeCount, expiredCount] = await Promise.all([
-        Subscription.countDocuments({}),
-        Subscription.countDocuments({ expiresAt: { $gt: new Date() } }),
-        Subscription.countDocuments({ expiresAt: { $lte: new Date() } })
-      ]);
-      
-      return {
-        total: totalCount,
-        active: activeCount,
-        expired: expiredCount
-      };
-    } catch (error) {
-      logger.error('Failed to get subscription statistics', error.stack);
-      throw error;
-    }
-  }
-}
-
-module.exports = SubscriptionService;
\ No newline at end of file
+const Subscription = require('../models/Subscription');
+const SubscriptionEvent = require('../models/SubscriptionEvent');
+const PlanService = require('./planService');
+const GuildConfigService = require('./guildConfigService');
+const SchedulerService = require('./schedulerService');
+const NotificationService = require('./notificationService');
+const PreferenceService = require('./preferenceService');
+const AuditLogService = require('./auditLogService');
+const { SubscriptionError, ValidationError, NotFoundError } = require('../utils/errors');
+const { 
+  addMonths, 
+  addDuration, 
+  normalizeDuration, 
+  formatDuration, 
+  daysBetween, 
+  getTimeRemaining, 
+  formatTimeRemaining,
+  formatTimeSpan,
+  formatLocalDate
+} = require('../utils/timeUtils');
+const { t, getTranslator } = require('../utils/i18n');
+const logger = require('../utils/logger');
+const { EmbedBuilder } = require('discord.js');
+
+// Key of the grace period notice in Subscription.remindersSent
+const GRACE_REMINDER_KEY = 'grace';
+
+// Events after which a subscription may expire or need a reminder sooner than scheduled
+const RESCHEDULING_EVENTS = ['created', 'extended', 'expiry-set', 'resumed', 'restored'];
+
+// Events that don't change a subscription and stay out of the audit log
+const UNAUDITED_EVENTS = ['warning-sent'];
+
+class SubscriptionService {
+  /**
+   * Add or extend a subscription for a user
+   * @param {string} guildId - Discord guild ID
+   * @param {string} userId - Discord user ID
+   * @param {Object|number} duration - Duration to add ({ amount, unit }) or a number of months
+   * @param {Object} options - Additional options
+   * @param {Object} options.plan - Tier to subscribe to (optional, keeps the current tier or uses the default role)
+   * @param {Object} options.executor - User who granted the subscription (optional)
+   * @param {Object} options.details - Extra data stored on the ledger event (optional)
+   * @param {string} options.source - Where the change was made, for the audit log (optional, automatic by default)
+   * @param {string} options.reason - Why the change was made, for the audit log (optional)
+   * @returns {Promise<Object>} Subscription object, whether it was created or extended and any tier change
+   */
+  static async addSubscription(guildId, userId, duration, { plan = null, executor = null, details, source, reason } = {}) {
+    try {
+      const term = normalizeDuration(duration);
+      const existingSubscription = await Subscription.findForMember(guildId, userId);
+      
+      if (existingSubscription) {
+        // Extend existing subscription, switching tier first if a different one was requested
+        const oldExpiry = new Date(existingSubscription.expiresAt);
+        const previousRoleIds = existingSubscription.getRoleIds();
+        const previousPlan = await PlanService.getPlan(guildId, existingSubscription.tier);
+        const tierChanged = Boolean(plan) && plan.key !== existingSubscription.tier;
+        const effectivePlan = tierChanged ? plan : previousPlan;
+
+        this.assertWithinPlanLimit(effectivePlan, addDuration(existingSubscription.expiresAt, term));
+
+        if (tierChanged) {
+          existingSubscription.setRoles(plan.roleIds, plan.key);
+        }
+        await existingSubscription.extend(term);
+        
+        logger.info(`Extended subscription for user ${userId} by ${formatDuration(term)}${tierChanged ? ` and moved to tier ${plan.name}` : ''}`);
+
+        await this.recordEvent('extended', existingSubscription, {
+          executor,
+          source,
+          reason,
+          duration: term,
+          previousExpiresAt: oldExpiry,
+          details: tierChanged ? { ...details, previousTier: previousPlan ? previousPlan.key : null } : details
+        });
+        
+        return {
+          subscription: existingSubscription,
+          isNew: false,
+          oldExpiry,
+          duration: term,
+          plan: effectivePlan,
+          previousPlan,
+          previousRoleIds,
+          tierChanged
+        };
+      } else {
+        // Create new subscription
+        const startAt = new Date();
+        const expiresAt = addDuration(startAt, term);
+        const roleIds = plan ? plan.roleIds : [await this.getDefaultRoleId(guildId)];
+
+        this.assertWithinPlanLimit(plan, expiresAt);
+        
+        const subscription = new Subscription({
+          guildId,
+          discordId: userId,
+          roleId: roleIds[0],
+          roleIds,
+          tier: plan ? plan.key : null,
+          duration: term,
+          tenureDays: daysBetween(startAt, expiresAt),
+          startAt,
+          expiresAt
+        });
+        
+        await subscription.save();
+        logger.subscriptionAdded(userId, formatDuration(term), expiresAt);
+
+        await this.recordEvent('created', subscription, { executor, source, reason, duration: term, details });
+        
+        return {
+          subscription,
+          isNew: true,
+          duration: term,
+          plan,
+          previousPlan: null,
+          previousRoleIds: [],
+          tierChanged: false
+        };
+      }
+    } catch (error) {
+      if (!(error instanceof SubscriptionError)) {
+        logger.error(`Failed to add subscription for user ${userId}`, error.stack);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Add or extend a subscription and apply it in the guild: sync the member's roles
+   * and post the 'added' notification. Used by every entry point that grants time.
+   * @param {Object} guild - Discord guild object
+   * @param {Object} targetUser - Discord user receiving the subscription
+   * @param {Object|number} duration - Duration to add ({ amount, unit }) or a number of months
+   * @param {Object} options - Options passed to addSubscription (plan, executor, details, source, reason)
+   * @param {Function} options.onGranted - Called with the result of addSubscription once the time is saved,
+   *   before roles and the notification are applied (optional)
+   * @returns {Promise<Object>} Result of addSubscription plus the member and granted roles
+   */
+  static async grantSubscription(guild, targetUser, duration, options = {}) {
+    const member = await guild.members.fetch(targetUser.id).catch(() => null);
+    if (!member) {
+      throw new NotFoundError('User not found in this server.', { key: 'errors.subscriptions.memberNotFound' });
+    }
+
+    // Make sure every role exists before anything is written
+    const existingSubscription = await Subscription.findForMember(guild.id, targetUser.id);
+    let roleIds;
+    if (options.plan) {
+      roleIds = options.plan.roleIds;
+    } else if (existingSubscription) {
+      roleIds = existingSubscription.getRoleIds();
+    } else {
+      roleIds = [await this.getDefaultRoleId(guild.id)];
+    }
+
+    const roles = roleIds.map(roleId => guild.roles.cache.get(roleId));
+    if (roles.some(role => !role)) {
+      const tierName = options.plan ? options.plan.name : existingSubscription && existingSubscription.tier;
+      throw new SubscriptionError(
+        tierName
+          ? `A role of the ${tierName} tier was not found. Please update the tier with \`/subscription tier set\`.`
+          : 'The subscriber role of this server was not found. Please check the server configuration.',
+        'ROLE_NOT_FOUND',
+        tierName ? { key: 'tiers.missingRole', variables: { tier: tierName } } : { key: 'errors.subscriptions.defaultRoleMissing' }
+      );
+    }
+
+    const result = await this.addSubscription(guild.id, targetUser.id, duration, options);
+    const { subscription, plan } = result;
+
+    if (options.onGranted) {
+      await options.onGranted(result);
+    }
+
+    // Add the tier roles and drop roles from a previous tier (paused members get them back on resume)
+    if (!subscription.isPaused) {
+      await this.syncMemberRoles(member, subscription.getRoleIds(), result.previousRoleIds);
+    }
+
+    await this.sendNotificationToChannel(guild, 'added', {
+      targetUser,
+      subscription,
+      duration: result.duration,
+      roles,
+      plan,
+      previousPlan: result.previousPlan,
+      tierChanged: result.tierChanged,
+      isNew: result.isNew,
+      executor: options.executor
+    });
+
+    return { ...result, member, roles };
+  }
+
+  /**
+   * Set the expiry of an existing subscription to an exact date
+   * @param {string} guildId - Discord guild ID
+   * @param {string} userId - Discord user ID
+   * @param {Date} expiresAt - New expiry date (must be in the future)
+   * @param {Object} options - Additional options
+   * @param {Object} options.executor - User who changed the expiry (optional)
+   * @param {Object} options.details - Extra data stored on the ledger event (optional)
+   * @param {string} options.source - Where the change was made, for the audit log (optional)
+   * @param {string} options.reason - Why the change was made, for the audit log (optional)
+   * @returns {Promise<Object>} Subscription object and the previous expiry
+   */
+  static async setExpiry(guildId, userId, expiresAt, { executor = null, details, source, reason } = {}) {
+    if (!(expiresAt instanceof Date) || isNaN(expiresAt.getTime())) {
+      throw new ValidationError('The expiry date is not valid.', { key: 'errors.subscriptions.invalidExpiry' });
+    }
+
+    if (expiresAt <= new Date()) {
+      throw new ValidationError('The expiry date must be in the future. Remove the subscription instead.', { key: 'errors.subscriptions.expiryInPast' });
+    }
+
+    const subscription = await Subscription.findForMember(guildId, userId);
+    if (!subscription) {
+      throw new NotFoundError('This user does not have an active subscription.', { key: 'errors.subscriptions.notFound' });
+    }
+
+    if (subscription.isPaused) {
+      throw new ValidationError('This subscription is paused. Resume it before changing the expiry.', { key: 'errors.subscriptions.pausedExpiry' });
+    }
+
+    const plan = await PlanService.getPlan(guildId, subscription.tier);
+    this.assertWithinPlanLimit(plan, expiresAt);
+
+    const previousExpiresAt = new Date(subscription.expiresAt);
+    await subscription.setExpiry(expiresAt);
+
+    logger.info(`Set expiry for user ${userId} from ${previousExpiresAt.toISOString()} to ${expiresAt.toISOString()}`);
+
+    await this.recordEvent('expiry-set', subscription, { executor, source, reason, previousExpiresAt, details });
+
+    return { subscription, previousExpiresAt, plan };
+  }
+
+  /**
+   * Set the expiry of a subscription and post the 'expiry-set' notification
+   * @param {Object} guild - Discord guild object
+   * @param {Object} targetUser - Discord user owning the subscription
+   * @param {Date} expiresAt - New expiry date
+   * @param {Object} options - Options passed to setExpiry (executor, details, source, reason)
+   * @returns {Promise<Object>} Result of setExpiry
+   */
+  static async changeExpiry(guild, targetUser, expiresAt, options = {}) {
+    const result = await this.setExpiry(guild.id, targetUser.id, expiresAt, options);
+
+    await this.sendNotificationToChannel(guild, 'expiry-set', {
+      targetUser,
+      subscription: result.subscription,
+      previousExpiresAt: result.previousExpiresAt,
+      plan: result.plan,
+      executor: options.executor
+    });
+
+    return result;
+  }
+
+  /**
+   * Remove a subscription and apply it in the guild: take away the member's roles
+   * and post the 'removed' notification
+   * @param {Object} guild - Discord guild object
+   * @param {Object} targetUser - Discord user losing the subscription
+   * @param {Object} options - Additional options
+   * @param {Object} options.executor - User who removed the subscription (optional)
+   * @param {Object} options.details - Extra data stored on the ledger event (optional)
+   * @param {string} options.source - Where the change was made, for the audit log (optional)
+   * @param {string} options.reason - Why the change was made, for the audit log (optional)
+   * @returns {Promise<Object>} The removed subscription and the revoked role names
+   */
+  static async revokeSubscription(guild, targetUser, { executor = null, details, source, reason } = {}) {
+    const subscription = await this.getSubscriptionStatus(guild.id, targetUser.id);
+    if (!subscription) {
+      throw new NotFoundError(`${targetUser.tag} does not have an active subscription.`, { key: 'status.notFound', variables: { user: targetUser.tag } });
+    }
+
+    // Get role names for the notification before removal
+    const roleNames = subscription.getRoleIds()
+      .map(roleId => guild.roles.cache.get(roleId))
+      .filter(Boolean)
+      .map(role => role.name);
+    const roleName = roleNames.length > 0 ? roleNames.join(', ') : 'Subscription Role';
+
+    // Remove from database first, so the role removal below isn't recorded as a
+    // 'role-removed' event without the staff member by the member update handler
+    const removed = await this.removeSubscription(guild.id, targetUser.id, { executor, details, source, reason });
+    if (!removed) {
+      throw new NotFoundError(`${targetUser.tag} does not have an active subscription.`, { key: 'status.notFound', variables: { user: targetUser.tag } });
+    }
+
+    // Remove roles the member still has
+    const member = await guild.members.fetch(targetUser.id).catch(() => null);
+    const heldRoleIds = member ? subscription.getRoleIds().filter(roleId => member.roles.cache.has(roleId)) : [];
+    if (heldRoleIds.length > 0) {
+      try {
+        await member.roles.remove(heldRoleIds);
+      } catch (roleError) {
+        // The subscription is gone already, the role audit reports the leftover role
+        logger.warn(`Failed to remove roles of removed subscription for user ${targetUser.id}: ${roleError.message}`);
+      }
+    }
+
+    await this.sendNotificationToChannel(guild, 'removed', {
+      targetUser,
+      subscription,
+      roleName,
+      executor
+    });
+
+    return { subscription, roleName };
+  }
+
+  /**
+   * Move an existing subscription to another tier without changing its expiry
+   * @param {string} guildId - Discord guild ID
+   * @param {string} userId - Discord user ID
+   * @param {Object} plan - Tier to move to
+   * @param {Object} options - Additional options
+   * @param {Object} options.executor - User who changed the tier (optional)
+   * @param {string} options.source - Where the change was made, for the audit log (optional)
+   * @param {string} options.reason - Why the change was made, for the audit log (optional)
+   * @returns {Promise<Object>} Subscription object with the previous tier and roles
+   */
+  static async changeTier(guildId, userId, plan, { executor = null, source, reason } = {}) {
+    const subscription = await Subscription.findForMember(guildId, userId);
+    if (!subscription) {
+      throw new NotFoundError('This user does not have an active subscription.', { key: 'errors.subscriptions.notFound' });
+    }
+
+    if (subscription.tier === plan.key) {
+      throw new ValidationError(`This user is already on the ${plan.name} tier.`, { key: 'errors.subscriptions.sameTier', variables: { tier: plan.name } });
+    }
+
+    const previousRoleIds = subscription.getRoleIds();
+    const previousPlan = await PlanService.getPlan(guildId, subscription.tier);
+
+    subscription.setRoles(plan.roleIds, plan.key);
+    await subscription.save();
+
+    logger.info(`Moved subscription for user ${userId} from ${previousPlan ? previousPlan.name : 'default'} to tier ${plan.name}`);
+
+    await this.recordEvent('tier-changed', subscription, {
+      executor,
+      source,
+      reason,
+      details: { previousTier: previousPlan ? previousPlan.key : null }
+    });
+
+    return {
+      subscription,
+      plan,
+      previousPlan,
+      previousRoleIds
+    };
+  }
+
+  /**
+   * Pause a subscription, freezing its remaining time
+   * @param {string} guildId - Discord guild ID
+   * @param {string} userId - Discord user ID
+   * @param {Object} options - Additional options
+   * @param {Object} options.executor - User who paused the subscription (optional)
+   * @param {string} options.pauseReason - 'manual' or 'left-guild'
+   * @param {string} options.source - Where the change was made, for the audit log (optional)
+   * @param {string} options.reason - Why the change was made, for the audit log (optional)
+   * @returns {Promise<Object>} The paused subscription
+   */
+  static async pauseSubscription(guildId, userId, { executor = null, pauseReason = 'manual', source, reason } = {}) {
+    const subscription = await Subscription.findForMember(guildId, userId);
+    if (!subscription) {
+      throw new NotFoundError('This user does not have an active subscription.', { key: 'errors.subscriptions.notFound' });
+    }
+
+    if (subscription.isPaused) {
+      throw new ValidationError('This subscription is already paused.', { key: 'errors.subscriptions.alreadyPaused' });
+    }
+
+    if (subscription.expiresAt <= new Date()) {
+      throw new ValidationError('This subscription has already expired and cannot be paused.', { key: 'errors.subscriptions.expiredPause' });
+    }
+
+    await subscription.pause(pauseReason);
+    logger.info(`Paused subscription for user ${userId} with ${formatTimeRemaining(getTimeRemaining(subscription.expiresAt))} remaining${pauseReason === 'left-guild' ? ' after leaving the guild' : ''}`);
+
+    await this.recordEvent('paused', subscription, {
+      executor,
+      source,
+      reason,
+      details: { remainingMs: subscription.pausedRemainingMs, reason: pauseReason }
+    });
+
+    return subscription;
+  }
+
+  /**
+   * Resume a paused subscription, pushing its expiry forward by the paused time
+   * @param {string} guildId - Discord guild ID
+   * @param {string} userId - Discord user ID
+   * @param {Object} options - Additional options
+   * @param {Object} options.executor - User who resumed the subscription (optional)
+   * @param {string} options.source - Where the change was made, for the audit log (optional)
+   * @param {string} options.reason - Why the change was made, for the audit log (optional)
+   * @returns {Promise<Object>} Resumed subscription and how long it was paused
+   */
+  static async resumeSubscription(guildId, userId, { executor = null, source, reason } = {}) {
+    const subscription = await Subscription.findForMember(guildId, userId);
+    if (!subscription) {
+      throw new NotFoundError('This user does not have an active subscription.', { key: 'errors.subscriptions.notFound' });
+    }
+
+    if (!subscription.isPaused) {
+      throw new ValidationError('This subscription is not paused.', { key: 'errors.subscriptions.notPaused' });
+    }
+
+    const previousExpiresAt = subscription.expiresAt;
+    const pausedForMs = Date.now() - subscription.pausedAt.getTime();
+
+    await subscription.resume();
+    logger.info(`Resumed subscription for user ${userId}, now expires ${subscription.expiresAt.toISOString()}`);
+
+    await this.recordEvent('resumed', subscription, {
+      executor,
+      source,
+      reason,
+      previousExpiresAt,
+      details: { pausedForMs }
+    });
+
+    return {
+      subscription,
+      pausedForMs
+    };
+  }
+
+  /**
+   * Apply the guild's member leave mode when a member leaves. With 'freeze' a running
+   * subscription is paused until the member returns, with 'keep' it keeps counting down.
+   * @param {Object} member - Discord guild member who left
+   * @returns {Promise<Object|null>} The frozen subscription, or null if nothing changed
+   */
+  static async handleMemberLeave(member) {
+    const guildConfig = await GuildConfigService.getGuildConfig(member.guild.id);
+    if (guildConfig.memberLeaveMode !== 'freeze') return null;
+
+    const subscription = await Subscription.findForMember(member.guild.id, member.id);
+    if (!subscription || subscription.isPaused || subscription.expiresAt <= new Date()) {
+      return null;
+    }
+
+    const frozen = await this.pauseSubscription(member.guild.id, member.id, { pauseReason: 'left-guild' });
+
+    await this.sendNotificationToChannel(member.guild, 'paused', {
+      targetUser: member.user,
+      subscription: frozen,
+      executor: null
+    });
+
+    return frozen;
+  }
+
+  /**
+   * Give a returning member their subscription roles back. Subscriptions frozen because
+   * the member left are resumed first; subscriptions paused by staff stay paused.
+   * @param {Object} member - Discord guild member who joined
+   * @returns {Promise<Object|null>} Restored subscription and whether it was resumed, or null
+   */
+  static async restoreMemberRoles(member) {
+    let subscription = await Subscription.findForMember(member.guild.id, member.id);
+    if (!subscription) return null;
+
+    let resumed = null;
+    if (subscription.isPaused) {
+      if (subscription.pauseReason !== 'left-guild') return null;
+
+      resumed = await this.resumeSubscription(member.guild.id, member.id);
+      subscription = resumed.subscription;
+    } else if (subscription.expiresAt <= new Date() && !this.isInGracePeriod(subscription)) {
+      // Left to the expirations job of the scheduler
+      return null;
+    }
+
+    const roleIds = subscription.getRoleIds();
+    const roles = roleIds.map(roleId => member.guild.roles.cache.get(roleId)).filter(Boolean);
+    if (roles.length < roleIds.length) {
+      logger.warn(`Some subscription roles of user ${member.id} no longer exist and were not restored`);
+    }
+    await this.syncMemberRoles(member, roles.map(role => role.id));
+
+    await this.recordEvent('restored', subscription, {
+      details: { roleIds: roles.map(role => role.id), pausedForMs: resumed ? resumed.pausedForMs : undefined }
+    });
+    logger.info(`Restored subscription roles for user ${member.id} in guild ${member.guild.id} after rejoining`);
+
+    await this.sendNotificationToChannel(member.guild, 'restored', {
+      targetUser: member.user,
+      subscription,
+      roles,
+      pausedForMs: resumed ? resumed.pausedForMs : null
+    });
+
+    return { subscription, resumed: Boolean(resumed) };
+  }
+
+  /**
+   * Make sure an expiry date does not exceed the tier's maximum duration
+   * @param {Object|null} plan - Tier to check against
+   * @param {Date} expiresAt - Prospective expiry date
+   */
+  static assertWithinPlanLimit(plan, expiresAt) {
+    if (!plan || !plan.maxMonths) return;
+
+    const limit = addMonths(new Date(), plan.maxMonths);
+    if (expiresAt > limit) {
+      throw new ValidationError(`The ${plan.name} tier can run at most ${plan.maxMonths} month(s) ahead.`, {
+        key: 'errors.subscriptions.tierLimit',
+        variables: { tier: plan.name, duration: language => formatDuration(plan.maxMonths, language) }
+      });
+    }
+  }
+
+  /**
+   * Get the role a guild grants for subscriptions without a tier
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<string>} Role ID
+   */
+  static async getDefaultRoleId(guildId) {
+    const { defaultRoleId } = await GuildConfigService.getGuildConfig(guildId);
+    if (!defaultRoleId) {
+      throw new SubscriptionError('This server has no subscriber role configured. Please create a tier or configure a default role.', 'ROLE_NOT_CONFIGURED', {
+        key: 'errors.subscriptions.noRole'
+      });
+    }
+    return defaultRoleId;
+  }
+
+  /**
+   * Give a member the subscription roles and take away roles from a previous tier
+   * @param {Object} member - Discord guild member
+   * @param {string[]} roleIds - Roles the member should have
+   * @param {string[]} previousRoleIds - Roles granted before a tier change (optional)
+   */
+  static async syncMemberRoles(member, roleIds, previousRoleIds = []) {
+    // Add the new roles first so the member never loses access during a tier swap
+    const missingRoleIds = roleIds.filter(roleId => !member.roles.cache.has(roleId));
+    if (missingRoleIds.length > 0) {
+      await member.roles.add(missingRoleIds);
+    }
+
+    const staleRoleIds = previousRoleIds.filter(roleId => !roleIds.includes(roleId) && member.roles.cache.has(roleId));
+    if (staleRoleIds.length > 0) {
+      await member.roles.remove(staleRoleIds);
+    }
+  }
+
+  /**
+   * Describe how a subscription moved between tiers
+   * @param {Object|null} previousPlan - Tier before the change
+   * @param {Object|null} plan - Tier after the change
+   * @param {string} language - Language of the result (optional, English by default)
+   * @returns {string} Description such as "⬆️ Upgraded from Basic"
+   */
+  static describeTierChange(previousPlan, plan, language = 'en') {
+    const previousName = previousPlan ? previousPlan.name : t(language, 'common.default');
+    const previousRank = previousPlan ? previousPlan.rank : -Infinity;
+    const rank = plan ? plan.rank : -Infinity;
+
+    if (rank > previousRank) return t(language, 'tierChange.upgraded', { tier: previousName });
+    if (rank < previousRank) return t(language, 'tierChange.downgraded', { tier: previousName });
+    return t(language, 'tierChange.switched', { tier: previousName });
+  }
+  
+  /**
+   * Append an event to the subscription history ledger and, for changes, the audit log
+   * @param {string} type - Event type (see SubscriptionEvent.EVENT_TYPES)
+   * @param {Object} subscription - Subscription the event belongs to
+   * @param {Object} options - Event data
+   * @param {Object} options.executor - User who caused the event (optional, null for automatic events)
+   * @param {Object} options.duration - Term granted (optional)
+   * @param {Date} options.previousExpiresAt - Expiry before the event (optional)
+   * @param {Object} options.details - Event specific extras (optional)
+   * @param {string} options.source - Where the change was made (optional, automatic by default)
+   * @param {string} options.reason - Why the change was made (optional)
+   */
+  static async recordEvent(type, subscription, options = {}) {
+    try {
+      await SubscriptionEvent.record(this.buildEvent(type, subscription, options));
+    } catch (error) {
+      // The ledger must never break the action it records
+      logger.error(`Failed to record ${type} event for user ${subscription.discordId}`, error.stack);
+    }
+
+    if (!UNAUDITED_EVENTS.includes(type)) {
+      await AuditLogService.record(type, subscription, options);
+    }
+
+    if (RESCHEDULING_EVENTS.includes(type)) {
+      SchedulerService.requestReschedule();
+    }
+  }
+
+  /**
+   * Build a ledger event for a subscription, see recordEvent for the options
+   * @param {string} type - Event type (see SubscriptionEvent.EVENT_TYPES)
+   * @param {Object} subscription - Subscription the event belongs to
+   * @param {Object} options - Event data
+   * @returns {Object} Event data for SubscriptionEvent.record
+   */
+  static buildEvent(type, subscription, { executor = null, duration, previousExpiresAt = null, details } = {}) {
+    return {
+      guildId: subscription.guildId,
+      discordId: subscription.discordId,
+      type,
+      executorId: executor ? executor.id : null,
+      executorTag: executor ? executor.tag : null,
+      duration,
+      tier: subscription.tier || null,
+      previousExpiresAt,
+      expiresAt: subscription.expiresAt,
+      details
+    };
+  }
+
+  /**
+   * Get the subscription history of a user in a guild, newest first
+   * @param {string} guildId - Discord guild ID
+   * @param {string} userId - Discord user ID
+   * @param {number} limit - Maximum number of events to return
+   * @returns {Promise<Array>} Array of subscription event objects
+   */
+  static async getSubscriptionHistory(guildId, userId, limit = 50) {
+    try {
+      return await SubscriptionEvent.findForUser(guildId, userId, limit);
+    } catch (error) {
+      logger.error(`Failed to get subscription history for user ${userId}`, error.stack);
+      throw error;
+    }
+  }
+  
+  /**
+   * Remove a subscription for a user
+   * @param {string} guildId - Discord guild ID
+   * @param {string} userId - Discord user ID
+   * @param {Object} options - Additional options
+   * @param {Object} options.executor - User who removed the subscription (optional)
+   * @param {string} options.eventType - Ledger event type ('removed' or 'role-removed')
+   * @param {Object} options.details - Extra data stored on the ledger event (optional)
+   * @param {string} options.source - Where the change was made, for the audit log (optional)
+   * @param {string} options.reason - Why the change was made, for the audit log (optional)
+   * @returns {Promise<boolean>} True if subscription was found and removed
+   */
+  static async removeSubscription(guildId, userId, { executor = null, eventType = 'removed', details, source, reason } = {}) {
+    try {
+      const subscription = await Subscription.findOneAndDelete({ guildId, discordId: userId });
+      
+      if (subscription) {
+        logger.subscriptionRemoved(userId);
+        await this.recordEvent(eventType, subscription, { executor, source, reason, details });
+        return true;
+      }
+      
+      return false;
+    } catch (error) {
+      logger.error(`Failed to remove subscription for user ${userId}`, error.stack);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get subscription status for a user
+   * @param {string} guildId - Discord guild ID
+   * @param {string} userId - Discord user ID
+   * @returns {Promise<Object|null>} Subscription object or null if not found
+   */
+  static async getSubscriptionStatus(guildId, userId) {
+    try {
+      const subscription = await Subscription.findForMember(guildId, userId);
+      return subscription;
+    } catch (error) {
+      logger.error(`Failed to get subscription status for user ${userId}`, error.stack);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get all expired subscriptions of a guild
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<Array>} Array of expired subscription objects
+   */
+  static async getExpiredSubscriptions(guildId) {
+    try {
+      return await Subscription.findExpired(guildId);
+    } catch (error) {
+      logger.error('Failed to get expired subscriptions', error.stack);
+      throw error;
+    }
+  }
+
+  /**
+   * Get subscriptions of a guild that expire within the longest reminder offset
+   * @param {string} guildId - Discord guild ID
+   * @param {number} maxOffsetMinutes - Longest reminder offset in minutes
+   * @returns {Promise<Array>} Array of subscription objects that may have a reminder due
+   */
+  static async getSubscriptionsInReminderRange(guildId, maxOffsetMinutes) {
+    try {
+      return await Subscription.find(this.getReminderRangeFilter(guildId, maxOffsetMinutes, new Date()));
+    } catch (error) {
+      logger.error('Failed to get subscriptions in reminder range', error.stack);
+      throw error;
+    }
+  }
+
+  /**
+   * Query filter for the unpaused subscriptions of a guild that expire within a reminder offset
+   * @param {string} guildId - Discord guild ID
+   * @param {number} offsetMinutes - Reminder offset in minutes
+   * @param {Date} now - Current time
+   * @returns {Object} Subscription query filter
+   */
+  static getReminderRangeFilter(guildId, offsetMinutes, now) {
+    return {
+      guildId,
+      expiresAt: {
+        $gt: now,
+        $lte: new Date(now.getTime() + offsetMinutes * 60 * 1000)
+      },
+      pausedAt: null
+    };
+  }
+
+  /**
+   * Get the next time processExpiredSubscriptions has work in a guild: the next expiry
+   * (role removal or grace period notice) or the end of the next grace period
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<Date|null>} Next run time, null if no subscription is going to expire
+   */
+  static async getNextExpirationRunAt(guildId) {
+    const now = new Date();
+    const gracePeriodMs = this.getGracePeriodMs(guildId);
+    const times = [];
+
+    const nextExpiring = await Subscription.findOne({ guildId, expiresAt: { $gt: now }, pausedAt: null }).sort({ expiresAt: 1 });
+    if (nextExpiring) {
+      times.push(nextExpiring.expiresAt);
+    }
+
+    if (gracePeriodMs > 0) {
+      const nextGraceEnd = await Subscription.findInGrace(guildId, gracePeriodMs).sort({ expiresAt: 1 }).limit(1);
+      if (nextGraceEnd.length > 0) {
+        times.push(this.getGraceEndsAt(nextGraceEnd[0]));
+      }
+    }
+
+    return times.length > 0 ? new Date(Math.min(...times)) : null;
+  }
+
+  /**
+   * Get the next time a reminder stage of a guild falls due
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<Date|null>} Next reminder time (now if one is already due but unsent),
+   *   null if no reminder is coming up
+   */
+  static async getNextReminderAt(guildId) {
+    const now = Date.now();
+    const times = [];
+
+    for (const reminder of GuildConfigService.getReminders(guildId)) {
+      // A stage that is already due but was not sent yet (e.g. the bot was offline) is due now
+      const unsent = await Subscription.exists({
+        ...this.getReminderRangeFilter(guildId, reminder.offsetMinutes, new Date(now)),
+        remindersSent: { $ne: this.getReminderKey(reminder) }
+      });
+      if (unsent) {
+        return new Date(now);
+      }
+
+      const offsetMs = reminder.offsetMinutes * 60 * 1000;
+      const next = await Subscription.findOne({ guildId, expiresAt: { $gt: new Date(now + offsetMs) }, pausedAt: null }).sort({ expiresAt: 1 });
+      if (next) {
+        times.push(next.expiresAt.getTime() - offsetMs);
+      }
+    }
+
+    return times.length > 0 ? new Date(Math.min(...times)) : null;
+  }
+
+  /**
+   * Key a reminder stage is tracked under in remindersSent
+   * @param {Object} reminder - Reminder stage ({ offsetMinutes, message })
+   * @returns {string} Reminder key like "1440m"
+   */
+  static getReminderKey(reminder) {
+    return `${reminder.offsetMinutes}m`;
+  }
+
+  /**
+   * Find the reminder a subscription should get now. Only reminders that fell due since the
+   * expiry last changed count. When several are due at once (e.g. after downtime) only the
+   * one closest to expiry is sent, the others are reported as skipped.
+   * @param {Object} subscription - Subscription object
+   * @param {Array} reminders - Reminder stages of the guild
+   * @param {Date} now - Current time
+   * @returns {Object|null} { reminder, skippedKeys } or null when nothing is due
+   */
+  static getDueReminder(subscription, reminders, now = new Date()) {
+    const from = (subscription.remindersFrom || subscription.startAt).getTime();
+    const sent = subscription.remindersSent || [];
+
+    const due = reminders.filter(reminder => {
+      const dueAt = subscription.expiresAt.getTime() - reminder.offsetMinutes * 60 * 1000;
+      return dueAt <= now.getTime() && dueAt > from && !sent.includes(this.getReminderKey(reminder));
+    });
+
+    if (due.length === 0) {
+      return null;
+    }
+
+    const reminder = due.reduce((closest, candidate) => candidate.offsetMinutes < closest.offsetMinutes ? candidate : closest);
+    return {
+      reminder,
+      skippedKeys: due.filter(candidate => candidate !== reminder).map(candidate => this.getReminderKey(candidate))
+    };
+  }
+  
+  /**
+   * Get all active subscriptions of a guild
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<Array>} Array of active subscription objects
+   */
+  static async getActiveSubscriptions(guildId) {
+    try {
+      return await Subscription.findActive(guildId);
+    } catch (error) {
+      logger.error('Failed to get active subscriptions', error.stack);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get all paused subscriptions of a guild
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<Array>} Array of paused subscription objects
+   */
+  static async getPausedSubscriptions(guildId) {
+    try {
+      return await Subscription.findPaused(guildId);
+    } catch (error) {
+      logger.error('Failed to get paused subscriptions', error.stack);
+      throw error;
+    }
+  }
+  
+  /**
+   * Clean up expired subscriptions of a guild from database
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<number>} Number of subscriptions cleaned up
+   */
+  static async cleanupExpiredSubscriptions(guildId) {
+    try {
+      const result = await Subscription.deleteMany({
+        guildId,
+        expiresAt: { $lte: new Date() },
+        pausedAt: null
+      });
+      
+      if (result.deletedCount > 0) {
+        logger.info(`Cleaned up ${result.deletedCount} expired subscriptions`);
+      }
+      
+      return result.deletedCount;
+    } catch (error) {
+      logger.error('Failed to cleanup expired subscriptions', error.stack);
+      throw error;
+    }
+  }
+  
+  /**
+   * Helper function to create Discord timestamp
+   * @param {Date} date - The date to convert
+   * @param {string} format - Discord timestamp format (default: 'F')
+   * @returns {string} Discord timestamp markdown
+   */
+  static createDiscordTimestamp(date, format = 'F') {
+    const timestamp = Math.floor(date.getTime() / 1000);
+    return `<t:${timestamp}:${format}>`;
+  }
+
+  /**
+   * Fill in the placeholders of a reminder message
+   * @param {string} template - Message with {user}, {server}, {expires} and {remaining} placeholders
+   * @param {Object} guild - Discord guild the subscription belongs to
+   * @param {Object} subscription - Subscription object
+   * @returns {string} Message text
+   */
+  static formatReminderMessage(template, guild, subscription) {
+    const values = {
+      user: `<@${subscription.discordId}>`,
+      server: guild.name,
+      expires: this.createDiscordTimestamp(subscription.expiresAt),
+      remaining: this.createDiscordTimestamp(subscription.expiresAt, 'R')
+    };
+
+    return template.replace(/\{(user|server|expires|remaining)\}/g, (match, name) => values[name]);
+  }
+
+  /**
+   * Queue a direct message to the user about subscription expiration. Delivery is
+   * retried by NotificationService, the ledger event is recorded once it arrives.
+   * @param {Object} guild - Discord guild the subscription belongs to
+   * @param {Object} subscription - Subscription object
+   * @param {string} type - Type of notification ('reminder' or 'grace')
+   * @param {Object} reminder - Reminder stage for 'reminder' notifications ({ offsetMinutes, message })
+   * @returns {Promise<boolean>} Whether the direct message was queued
+   */
+  static async sendExpirationWarningToUser(guild, subscription, type, reminder = null) {
+    const userId = subscription.discordId;
+    const key = type === 'grace' ? GRACE_REMINDER_KEY : this.getReminderKey(reminder);
+
+    // Claim the warning first, so of several bot instances only one sends it
+    if (!(await this.claimReminder(subscription, key))) {
+      logger.debug(`Skipped ${key} expiration warning for user ${userId}, it was already handled`);
+      return false;
+    }
+
+    try {
+      // Guilds can turn these DMs off; the warning then counts as handled
+      const guildConfig = await GuildConfigService.getGuildConfig(guild.id);
+      if (!(type === 'grace' ? guildConfig.dmGraceNotice : guildConfig.dmExpiryWarnings)) {
+        logger.debug(`Skipped ${key} expiration warning for user ${userId}, DMs are turned off in guild ${guild.id}`);
+        return false;
+      }
+
+      // Members can turn the reminders off for themselves, the grace notice is still sent
+      if (type !== 'grace' && !(await PreferenceService.wantsExpiryReminders(userId))) {
+        logger.debug(`Skipped ${key} expiration warning for user ${userId}, the member turned reminders off`);
+        return false;
+      }
+
+      const t = getTranslator(await PreferenceService.getMemberLanguage(guild, userId));
+      const timezone = await PreferenceService.getTimezone(userId, guild.preferredLocale);
+      const expiresTimestamp = this.createDiscordTimestamp(subscription.expiresAt);
+      const expiresRelative = this.createDiscordTimestamp(subscription.expiresAt, 'R');
+      
+      let title, description, color;
+      let expiryField = { name: `📅 ${t('fields.expires')}`, value: `${expiresTimestamp} (${expiresRelative})\n${formatLocalDate(subscription.expiresAt, timezone, t.language)}`, inline: false };
+      let nextSteps = t('warning.nextSteps');
+      
+      if (type === 'grace') {
+        const graceEndsAt = this.getGraceEndsAt(subscription);
+        title = t('warning.graceTitle');
+        description = t('warning.graceDescription', { relative: expiresRelative, period: this.formatGracePeriod(guild.id, t.language) });
+        color = 0xFF9500; // Amber
+        expiryField = { name: `⏳ ${t('warning.renewBefore')}`, value: `${this.createDiscordTimestamp(graceEndsAt)} (${this.createDiscordTimestamp(graceEndsAt, 'R')})\n${formatLocalDate(graceEndsAt, timezone, t.language)}`, inline: false };
+        nextSteps = t('warning.graceNextSteps');
+      } else {
+        // The default stages are translated, messages configured by the guild are used as written
+        const defaultKey = `warning.defaultReminders.${reminder.offsetMinutes}`;
+        const template = !guildConfig.reminders && t(defaultKey) !== defaultKey ? t(defaultKey) : reminder.message;
+
+        title = reminder.offsetMinutes > 60 ? t('warning.soonTitle') : t('warning.verySoonTitle');
+        description = this.formatReminderMessage(template, guild, subscription);
+        color = reminder.offsetMinutes > 60 ? 0xFFA500 : 0xFF4444; // Orange, red when very close
+      }
+
+      // Members can subscribe in several servers, so name the one this is about
+      const embed = new EmbedBuilder()
+        .setColor(color)
+        .setAuthor({ name: guild.name, iconURL: guild.iconURL() || undefined })
+        .setTitle(title)
+        .setDescription(description)
+        .addFields(
+          expiryField,
+          { name: `💡 ${t('warning.nextStepsTitle')}`, value: nextSteps, inline: false }
+        )
+        .setFooter({ 
+          text: `${t('footer.automaticNotification')} • by roster`, 
+          iconURL: GuildConfigService.getBrandingIconUrl(guild.id)
+        })
+        .setTimestamp();
+
+      await NotificationService.enqueue(guild, {
+        kind: 'dm',
+        targetId: userId,
+        type: key,
+        discordId: userId,
+        summary: reminder ? `${formatTimeSpan(reminder.offsetMinutes)} expiry reminder` : 'grace period notice',
+        payload: { embeds: [embed.toJSON()] },
+        ledgerEvent: this.buildEvent('warning-sent', subscription, {
+          details: reminder ? { warning: key, offsetMinutes: reminder.offsetMinutes } : { warning: key }
+        })
+      });
+      logger.info(`Queued ${key} expiration warning for user ${userId}`);
+      return true;
+
+    } catch (error) {
+      // Nothing was queued, so give up the claim and try again in the next run
+      logger.warn(`Failed to queue expiration warning for user ${userId}: ${error.message}`);
+      await this.releaseReminder(subscription, key).catch(() => null);
+      return false;
+    }
+  }
+
+  /**
+   * Atomically mark a reminder as sent, unless it already is
+   * @param {Object} subscription - Subscription object
+   * @param {string} key - Reminder key (see getReminderKey, 'grace' for the grace period notice)
+   * @returns {Promise<boolean>} True if this call claimed the reminder
+   */
+  static async claimReminder(subscription, key) {
+    const claimed = await Subscription.findOneAndUpdate(
+      { _id: subscription._id, remindersSent: { $ne: key } },
+      { $addToSet: { remindersSent: key } }
+    );
+    return Boolean(claimed);
+  }
+
+  /**
+   * Give up the claim on a reminder that could not be sent, so it is tried again
+   * @param {Object} subscription - Subscription object
+   * @param {string} key - Reminder key
+   */
+  static async releaseReminder(subscription, key) {
+    await Subscription.findByIdAndUpdate(subscription._id, { $pull: { remindersSent: key } });
+  }
+
+  /**
+   * Remember that reminders were handled so they are not sent again
+   * @param {Object} subscription - Subscription object
+   * @param {string[]} keys - Reminder keys (see getReminderKey, 'grace' for the grace period notice)
+   */
+  static async markRemindersSent(subscription, keys) {
+    await Subscription.findByIdAndUpdate(subscription._id, { $addToSet: { remindersSent: { $each: keys } } });
+  }
+
+  /**
+   * Convert the reminder flags of subscriptions from before configurable reminders
+   * (notified1Day, notified30Minutes, notifiedGrace) to remindersSent. Safe to run on every start.
+   */
+  static async migrateLegacyReminderFlags() {
+    const legacyFilter = { remindersFrom: { $exists: false } };
+    const flags = {
+      notified1Day: this.getReminderKey({ offsetMinutes: 24 * 60 }),
+      notified30Minutes: this.getReminderKey({ offsetMinutes: 30 }),
+      notifiedGrace: GRACE_REMINDER_KEY
+    };
+
+    for (const [flag, key] of Object.entries(flags)) {
+      await Subscription.collection.updateMany({ ...legacyFilter, [flag]: true }, { $addToSet: { remindersSent: key } });
+    }
+
+    const result = await Subscription.collection.updateMany(legacyFilter, [
+      { $set: { remindersFrom: '$startAt' } },
+      { $unset: Object.keys(flags) }
+    ]);
+    if (result.modifiedCount > 0) {
+      logger.info(`Moved reminder flags of ${result.modifiedCount} subscription(s) to remindersSent`);
+    }
+  }
+
+  /**
+   * Queue a notification to the guild's notification channel
+   * @param {Object} guild - Discord guild object
+   * @param {string} type - Notification type ('added', 'expiry-set', 'tier-changed', 'paused', 'resumed', 'restored', 'removed', 'expired')
+   * @param {Object} data - Notification data
+   */
+  static async sendNotificationToChannel(guild, type, data) {
+    try {
+      const { notificationChannelId } = await GuildConfigService.getGuildConfig(guild.id);
+      
+      if (!notificationChannelId) {
+        logger.debug(`No notification channel configured for guild ${guild.id}, skipping notification`);
+        return;
+      }
+
+      let embed;
+      let messageContent = '';
+      const rosterIconUrl = GuildConfigService.getBrandingIconUrl(guild.id);
+      const t = getTranslator(PreferenceService.getGuildLanguage(guild));
+      
+      switch (type) {
+        case 'added':
+          // Tag the user in the message content
+          messageContent = `${data.targetUser}`;
+          
+          const startTimestamp = this.createDiscordTimestamp(data.subscription.startAt);
+          const expiresTimestamp = this.createDiscordTimestamp(data.subscription.expiresAt);
+          const expiresRelative = this.createDiscordTimestamp(data.subscription.expiresAt, 'R');
+
+          let addedStatus = data.isNew ? t('notifications.added.statusNew') : t('notifications.added.statusExtended');
+          if (data.tierChanged) {
+            addedStatus = this.describeTierChange(data.previousPlan, data.plan, t.language);
+          }
+          
+          embed = new EmbedBuilder()
+            .setColor(data.plan ? data.plan.color : 0x00FF00)
+            .setTitle(t('notifications.added.title'))
+            .setDescription(t('notifications.added.description', { user: data.targetUser }))
+            .addFields(
+              { name: `👤 ${t('fields.user')}`, value: `${data.targetUser.tag}`, inline: true },
+              { name: `📅 ${t('fields.duration')}`, value: formatDuration(data.duration, t.language), inline: true },
+              { name: `💎 ${t('fields.tier')}`, value: data.plan ? data.plan.name : t('common.default'), inline: true },
+              { name: `🏷️ ${t('fields.role')}`, value: data.roles.map(role => role.name).join(', '), inline: true },
+              { name: `🚀 ${t('fields.started')}`, value: startTimestamp, inline: true },
+              { name: `⏰ ${t('fields.expires')}`, value: `${expiresTimestamp} (${expiresRelative})`, inline: true },
+              { name: `📊 ${t('fields.status')}`, value: addedStatus, inline: true }
+            )
+            .setThumbnail(data.targetUser.displayAvatarURL())
+            .setFooter({ 
+              text: `${data.executor ? t('footer.addedBy', { tag: data.executor.tag }) : t('footer.addedAutomatically')} • by roster`, 
+              iconURL: rosterIconUrl
+            })
+            .setTimestamp();
+
+          if (data.plan && data.plan.perks.length > 0) {
+            embed.addFields({ name: `✨ ${t('fields.perks')}`, value: data.plan.perks.map(perk => `• ${perk}`).join('\n'), inline: false });
+          }
+          break;
+
+        case 'expiry-set':
+          // Tag the user in the message content
+          messageContent = `${data.targetUser}`;
+
+          embed = new EmbedBuilder()
+            .setColor(data.plan ? data.plan.color : 0x5865F2)
+            .setTitle(t('notifications.expirySet.title'))
+            .setDescription(t('notifications.expirySet.description', { user: data.targetUser, relative: this.createDiscordTimestamp(data.subscription.expiresAt, 'R') }))
+            .addFields(
+              { name: `👤 ${t('fields.user')}`, value: `${data.targetUser.tag}`, inline: true },
+              { name: `⏮️ ${t('fields.previousExpiry')}`, value: this.createDiscordTimestamp(data.previousExpiresAt), inline: true },
+              { name: `⏰ ${t('fields.newExpiry')}`, value: this.createDiscordTimestamp(data.subscription.expiresAt), inline: true }
+            )
+            .setThumbnail(data.targetUser.displayAvatarURL())
+            .setFooter({ 
+              text: `${data.executor ? t('footer.changedBy', { tag: data.executor.tag }) : t('footer.changedAutomatically')} • by roster`, 
+              iconURL: rosterIconUrl
+            })
+            .setTimestamp();
+          break;
+
+        case 'tier-changed':
+          // Tag the user in the message content
+          messageContent = `${data.targetUser}`;
+
+          embed = new EmbedBuilder()
+            .setColor(data.plan.color)
+            .setTitle(t('notifications.tierChanged.title'))
+            .setDescription(t('notifications.tierChanged.description', { user: data.targetUser, tier: data.plan.name }))
+            .addFields(
+              { name: `👤 ${t('fields.user')}`, value: `${data.targetUser.tag}`, inline: true },
+              { name: `📊 ${t('fields.change')}`, value: this.describeTierChange(data.previousPlan, data.plan, t.language), inline: true },
+              { name: `⏰ ${t('fields.expires')}`, value: `${this.createDiscordTimestamp(data.subscription.expiresAt)} (${this.createDiscordTimestamp(data.subscription.expiresAt, 'R')})`, inline: true }
+            )
+            .setThumbnail(data.targetUser.displayAvatarURL())
+            .setFooter({ 
+              text: `${data.executor ? t('footer.changedBy', { tag: data.executor.tag }) : t('footer.changedAutomatically')} • by roster`, 
+              iconURL: rosterIconUrl
+            })
+            .setTimestamp();
+          break;
+
+        case 'paused':
+          // Tag the user in the message content
+          messageContent = `${data.targetUser}`;
+
+          embed = new EmbedBuilder()
+            .setColor(0x5DADE2)
+            .setTitle(t('notifications.paused.title'))
+            .setDescription(t('notifications.paused.description', { user: data.targetUser }))
+            .addFields(
+              { name: `👤 ${t('fields.user')}`, value: `${data.targetUser.tag}`, inline: true },
+              { name: `⏳ ${t('fields.frozenTime')}`, value: formatTimeRemaining(getTimeRemaining(new Date(Date.now() + data.subscription.pausedRemainingMs)), t.language), inline: true }
+            )
+            .setThumbnail(data.targetUser.displayAvatarURL())
+            .setFooter({ 
+              text: `${data.executor ? t('footer.pausedBy', { tag: data.executor.tag }) : t('footer.pausedAutomatically')} • by roster`, 
+              iconURL: rosterIconUrl
+            })
+            .setTimestamp();
+          break;
+
+        case 'resumed':
+          // Tag the user in the message content
+          messageContent = `${data.targetUser}`;
+
+          embed = new EmbedBuilder()
+            .setColor(0x00FF00)
+            .setTitle(t('notifications.resumed.title'))
+            .setDescription(t('notifications.resumed.description', { user: data.targetUser }))
+            .addFields(
+              { name: `👤 ${t('fields.user')}`, value: `${data.targetUser.tag}`, inline: true },
+              { name: `⏰ ${t('fields.expires')}`, value: `${this.createDiscordTimestamp(data.subscription.expiresAt)} (${this.createDiscordTimestamp(data.subscription.expiresAt, 'R')})`, inline: true }
+            )
+            .setThumbnail(data.targetUser.displayAvatarURL())
+            .setFooter({ 
+              text: `${data.executor ? t('footer.resumedBy', { tag: data.executor.tag }) : t('footer.resumedAutomatically')} • by roster`, 
+              iconURL: rosterIconUrl
+            })
+            .setTimestamp();
+          break;
+
+        case 'restored':
+          // Tag the user in the message content
+          messageContent = `${data.targetUser}`;
+
+          embed = new EmbedBuilder()
+            .setColor(0x00FF00)
+            .setTitle(t('notifications.restored.title'))
+            .setDescription(t('notifications.restored.description', { user: data.targetUser }))
+            .addFields(
+              { name: `👤 ${t('fields.user')}`, value: `${data.targetUser.tag}`, inline: true },
+              { name: `🏷️ ${t('fields.roles')}`, value: data.roles.length > 0 ? data.roles.map(role => role.name).join(', ') : t('common.none'), inline: true },
+              { name: `⏰ ${t('fields.expires')}`, value: `${this.createDiscordTimestamp(data.subscription.expiresAt)} (${this.createDiscordTimestamp(data.subscription.expiresAt, 'R')})`, inline: true }
+            )
+            .setThumbnail(data.targetUser.displayAvatarURL())
+            .setFooter({ 
+              text: `${t('footer.restoredAutomatically')} • by roster`, 
+              iconURL: rosterIconUrl
+            })
+            .setTimestamp();
+
+          if (data.pausedForMs) {
+            embed.addFields({ name: `⏸️ ${t('fields.frozenWhileAway')}`, value: formatTimeRemaining(getTimeRemaining(new Date(Date.now() + data.pausedForMs)), t.language), inline: false });
+          }
+          break;
+
+        case 'removed':
+          // Tag the user in the message content
+          messageContent = `${data.targetUser}`;
+          
+          embed = new EmbedBuilder()
+            .setColor(0xFF6B6B)
+            .setTitle(t('notifications.removed.title'))
+            .setDescription(t('notifications.removed.description', { user: data.targetUser }))
+            .addFields(
+              { name: `👤 ${t('fields.user')}`, value: `${data.targetUser.tag}`, inline: true },
+              { name: `🏷️ ${t('fields.roleRevoked')}`, value: `${data.roleName || t('common.subscriptionRole')}`, inline: true }
+            )
+            .setThumbnail(data.targetUser.displayAvatarURL())
+            .setFooter({ 
+              text: `${data.executor ? t('footer.removedBy', { tag: data.executor.tag }) : t('footer.removedAutomatically')} • by roster`, 
+              iconURL: rosterIconUrl
+            })
+            .setTimestamp();
+          break;
+
+        case 'expired':
+          // Tag the user in the message content
+          messageContent = `${data.targetUser}`;
+          
+          const expiredTimestamp = this.createDiscordTimestamp(data.subscription.expiresAt);
+          
+          embed = new EmbedBuilder()
+            .setColor(0xFF9500)
+            .setTitle(t('notifications.expired.title'))
+            .setDescription(t('notifications.expired.description', { user: data.targetUser }))
+            .addFields(
+              { name: `👤 ${t('fields.user')}`, value: `${data.targetUser.tag}`, inline: true },
+              { name: `📅 ${t('fields.expiredOn')}`, value: expiredTimestamp, inline: true }
+            )
+            .setThumbnail(data.targetUser.displayAvatarURL())
+            .setFooter({ 
+              text: `${t('footer.automaticCleanup')} • by roster`, 
+              iconURL: rosterIconUrl
+            })
+            .setTimestamp();
+          break;
+      }
+
+      if (embed) {
+        await NotificationService.enqueue(guild, {
+          kind: 'channel',
+          targetId: notificationChannelId,
+          type,
+          discordId: data.targetUser.id,
+          summary: `${type} notification`,
+          payload: { content: messageContent, embeds: [embed.toJSON()] }
+        });
+      }
+    } catch (error) {
+      logger.error(`Failed to queue ${type} notification: ${error.message}`);
+    }
+  }
+
+  /**
+   * Process expiration warnings of a guild (the configured reminder stages before expiry)
+   * @param {Object} guild - Discord guild object
+   * @returns {Promise<Object>} Object with counts of sent and skipped reminders
+   */
+  static async processExpirationWarnings(guild) {
+    try {
+      const reminders = GuildConfigService.getReminders(guild.id);
+      if (reminders.length === 0) {
+        return { sent: 0, skipped: 0 };
+      }
+
+      const subscriptions = await this.getSubscriptionsInReminderRange(guild.id, reminders[0].offsetMinutes);
+      const now = new Date();
+
+      let sent = 0;
+      let skipped = 0;
+
+      for (const subscription of subscriptions) {
+        const due = this.getDueReminder(subscription, reminders, now);
+        if (!due) {
+          continue;
+        }
+
+        try {
+          if (due.skippedKeys.length > 0) {
+            await this.markRemindersSent(subscription, due.skippedKeys);
+            skipped += due.skippedKeys.length;
+          }
+
+          if (await this.sendExpirationWarningToUser(guild, subscription, 'reminder', due.reminder)) {
+            sent++;
+          }
+        } catch (error) {
+          logger.warn(`Failed to send ${this.getReminderKey(due.reminder)} reminder to user ${subscription.discordId}: ${error.message}`);
+        }
+      }
+
+      if (sent > 0 || skipped > 0) {
+        logger.info(`Processed expiration warnings for guild ${guild.id}: ${sent} sent, ${skipped} skipped as overdue`);
+      }
+
+      return { sent, skipped };
+    } catch (error) {
+      logger.error('Failed to process expiration warnings', error.stack);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get the grace period of a guild in milliseconds
+   * @param {string} guildId - Discord guild ID
+   * @returns {number} Grace period length
+   */
+  static getGracePeriodMs(guildId) {
+    return GuildConfigService.getCachedGuildConfig(guildId).gracePeriodHours * 60 * 60 * 1000;
+  }
+
+  /**
+   * Get the moment a subscription's grace period ends
+   * @param {Object} subscription - Subscription object
+   * @returns {Date} End of the grace period
+   */
+  static getGraceEndsAt(subscription) {
+    return new Date(subscription.expiresAt.getTime() + this.getGracePeriodMs(subscription.guildId));
+  }
+
+  /**
+   * Check whether a subscription has lapsed but is still within the grace period
+   * @param {Object} subscription - Subscription object
+   * @returns {boolean} True if the subscription is in its grace period
+   */
+  static isInGracePeriod(subscription) {
+    const now = new Date();
+    return !subscription.isPaused && subscription.expiresAt <= now && this.getGraceEndsAt(subscription) > now;
+  }
+
+  /**
+   * Format the grace period of a guild as a readable string
+   * @param {string} guildId - Discord guild ID
+   * @param {string} language - Language of the result (optional, English by default)
+   * @returns {string} Formatted string like "2 days" or "12 hours"
+   */
+  static formatGracePeriod(guildId, language = 'en') {
+    const hours = GuildConfigService.getCachedGuildConfig(guildId).gracePeriodHours;
+    if (hours >= 24 && hours % 24 === 0) {
+      return formatDuration({ amount: hours / 24, unit: 'days' }, language);
+    }
+    return t(language, 'units.hours', { count: hours });
+  }
+
+  /**
+   * Find subscriptions with filtering, sorting and pagination done by the database
+   * @param {Object} options - Query options
+   * @param {string} options.guildId - Discord guild ID
+   * @param {string} options.status - 'current' (active or in grace), 'active', 'grace', 'paused' or 'all'
+   * @param {string} options.tier - Only this tier, or 'none' for subscriptions without a tier (optional)
+   * @param {number} options.expiresWithinDays - Only subscriptions expiring within this many days (optional)
+   * @param {number} options.expiresAfterDays - Only subscriptions expiring later than this many days (optional)
+   * @param {Date} options.startedAfter - Only subscriptions started at or after this time (optional)
+   * @param {string} options.sort - 'expiresAt', 'startAt' or 'tenure'
+   * @param {string} options.order - 'asc' or 'desc'
+   * @param {number} options.skip - Number of subscriptions to skip
+   * @param {number} options.limit - Maximum number of subscriptions (0 for no limit)
+   * @returns {Promise<Object>} Matching subscriptions and the total number of matches
+   */
+  static async querySubscriptions({ sort = 'expiresAt', order = 'asc', skip = 0, limit = 0, ...filters } = {}) {
+    try {
+      const filter = this.buildSubscriptionFilter(filters);
+      const sortFields = { expiresAt: 'expiresAt', startAt: 'startAt', tenure: 'tenureDays' };
+      const direction = order === 'desc' ? -1 : 1;
+
+      const [subscriptions, total] = await Promise.all([
+        Subscription.find(filter)
+          .sort({ [sortFields[sort] || 'expiresAt']: direction, _id: direction })
+          .skip(skip)
+          .limit(limit),
+        Subscription.countDocuments(filter)
+      ]);
+
+      return { subscriptions, total };
+    } catch (error) {
+      logger.error('Failed to query subscriptions', error.stack);
+      throw error;
+    }
+  }
+
+  /**
+   * Count subscriptions matching the filters of querySubscriptions
+   * @param {Object} filters - Same filters as querySubscriptions
+   * @returns {Promise<number>} Number of matching subscriptions
+   */
+  static async countSubscriptions(filters = {}) {
+    return Subscription.countDocuments(this.buildSubscriptionFilter(filters));
+  }
+
+  /**
+   * Build the MongoDB filter for querySubscriptions
+   * @param {Object} filters - Filters described in querySubscriptions
+   * @returns {Object} MongoDB filter
+   */
+  static buildSubscriptionFilter({ guildId, status = 'current', tier = null, expiresWithinDays = null, expiresAfterDays = null, startedAfter = null } = {}) {
+    const now = Date.now();
+    const filter = { guildId };
+    const expiresAt = {};
+
+    switch (status) {
+      case 'paused':
+        filter.pausedAt = { $ne: null };
+        break;
+      case 'active':
+        filter.pausedAt = null;
+        expiresAt.$gt = new Date(now);
+        break;
+      case 'grace':
+        filter.pausedAt = null;
+        expiresAt.$gt = new Date(now - this.getGracePeriodMs(guildId));
+        expiresAt.$lte = new Date(now);
+        break;
+      case 'all':
+        break;
+      default:
+        filter.pausedAt = null;
+        expiresAt.$gt = new Date(now - this.getGracePeriodMs(guildId));
+    }
+
+    if (expiresWithinDays) {
+      const limit = new Date(now + expiresWithinDays * 24 * 60 * 60 * 1000);
+      expiresAt.$lte = expiresAt.$lte && expiresAt.$lte < limit ? expiresAt.$lte : limit;
+    }
+    if (expiresAfterDays) {
+      const limit = new Date(now + expiresAfterDays * 24 * 60 * 60 * 1000);
+      expiresAt.$gt = expiresAt.$gt && expiresAt.$gt > limit ? expiresAt.$gt : limit;
+    }
+    if (Object.keys(expiresAt).length > 0) {
+      filter.expiresAt = expiresAt;
+    }
+
+    if (tier) {
+      filter.tier = tier === 'none' ? null : tier.trim().toLowerCase();
+    }
+
+    if (startedAfter) {
+      filter.startAt = { $gte: startedAfter };
+    }
+
+    return filter;
+  }
+
+  /**
+   * Get lapsed subscriptions of a guild that are still within the grace period
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<Array>} Array of subscription objects in grace
+   */
+  static async getGraceSubscriptions(guildId) {
+    try {
+      const gracePeriodMs = this.getGracePeriodMs(guildId);
+      if (gracePeriodMs === 0) return [];
+      return await Subscription.findInGrace(guildId, gracePeriodMs);
+    } catch (error) {
+      logger.error('Failed to get subscriptions in grace period', error.stack);
+      throw error;
+    }
+  }
+
+  /**
+   * Process expired subscriptions of a guild (remove roles and log once the grace period is over)
+   * @param {Object} guild - Discord guild object
+   * @returns {Promise<Array>} Array of processed user IDs
+   */
+  static async processExpiredSubscriptions(guild) {
+    try {
+      const expiredSubscriptions = await this.getExpiredSubscriptions(guild.id);
+      const processedUsers = [];
+      
+      for (const subscription of expiredSubscriptions) {
+        try {
+          // Members in grace keep their role and get a single reminder to renew
+          if (this.isInGracePeriod(subscription)) {
+            if (!subscription.remindersSent.includes(GRACE_REMINDER_KEY)) {
+              await this.sendExpirationWarningToUser(guild, subscription, 'grace');
+            }
+            continue;
+          }
+
+          // Remove from database first, unless another instance already did or it was renewed
+          // meanwhile. Only then the roles are taken away, so a renewed member keeps them.
+          const deleted = await Subscription.findOneAndDelete({ _id: subscription._id, expiresAt: subscription.expiresAt, pausedAt: null });
+          if (!deleted) {
+            logger.debug(`Expired subscription of user ${subscription.discordId} was already processed or changed`);
+            continue;
+          }
+          logger.subscriptionExpired(subscription.discordId);
+
+          const member = await guild.members.fetch(subscription.discordId).catch(() => null);
+          
+          let heldRoleIds = member ? subscription.getRoleIds().filter(roleId => member.roles.cache.has(roleId)) : [];
+          
+          if (heldRoleIds.length > 0) {
+            try {
+              await member.roles.remove(heldRoleIds);
+              logger.info(`Removed expired role from user ${subscription.discordId}`);
+            } catch (roleError) {
+              // The subscription is gone already, the role audit reports the leftover role
+              logger.warn(`Failed to remove expired role from user ${subscription.discordId}: ${roleError.message}`);
+              heldRoleIds = [];
+            }
+          }
+
+          // Send notification for expired subscription
+          if (heldRoleIds.length > 0) {
+            await this.sendNotificationToChannel(guild, 'expired', {
+              targetUser: member.user,
+              subscription: subscription
+            });
+          }
+
+          await this.recordEvent('expired', subscription, {
+            details: { rolesRemoved: heldRoleIds }
+          });
+          
+          processedUsers.push(subscription.discordId);
+        } catch (memberError) {
+          logger.warn(`Failed to process expired subscription for user ${subscription.discordId}: ${memberError.message}`);
+        }
+      }
+      
+      return processedUsers;
+    } catch (error) {
+      logger.error('Failed to process expired subscriptions', error.stack);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get subscription statistics
+   * @param {string} guildId - Discord guild ID (all guilds if omitted)
+   * @returns {Promise<Object>} Statistics object
+   */
+  static async getSubscriptionStats(guildId = null) {
+    try {
+      const scope = guildId ? { guildId } : {};
+      const [totalCount, activeCount, expiredCount, pausedCount] = await Promise.all([
+        Subscription.countDocuments(scope),
+        Subscription.countDocuments({ ...scope, expiresAt: { $gt: new Date() }, pausedAt: null }),
+        Subscription.countDocuments({ ...scope, expiresAt: { $lte: new Date() }, pausedAt: null }),
+        Subscription.countDocuments({ ...scope, pausedAt: { $ne: null } })
+      ]);
+      
+      return {
+        total: totalCount,
+        active: activeCount,
+        expired: expiredCount,
+        paused: pausedCount
+      };
+    } catch (error) {
+      logger.error('Failed to get subscription statistics', error.stack);
+      throw error;
+    }
+  }
+}
+
+module.exports = SubscriptionService;
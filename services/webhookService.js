@@ -0,0 +1,174 @@
+const WebhookDelivery = require('../models/WebhookDelivery');
+const PlanService = require('./planService');
+const SubscriptionService = require('./subscriptionService');
+const { getConfig } = require('../config/validation');
+const { SubscriptionError, ValidationError, NotFoundError } = require('../utils/errors');
+const { normalizeDuration, formatDuration } = require('../utils/timeUtils');
+const { isValidSignature } = require('../utils/webhookSignature');
+const logger = require('../utils/logger');
+
+const config = getConfig();
+
+// Deliveries left in processing this long are assumed to have crashed and may be retried
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+class WebhookService {
+  /**
+   * Check the signature, timestamp and delivery headers of a webhook request
+   * @param {Buffer} rawBody - Raw request body
+   * @param {string} timestamp - Value of the X-Webhook-Timestamp header
+   * @param {string} deliveryId - Value of the X-Webhook-Delivery header
+   * @param {string} signature - Value of the X-Webhook-Signature header
+   * @returns {boolean} Whether the request is authentic and recent
+   */
+  static verifySignature(rawBody, timestamp, deliveryId, signature) {
+    if (!config.PURCHASE_WEBHOOK_SECRET || !rawBody || !/^\d+$/.test(timestamp || '') || !deliveryId || !signature) {
+      return false;
+    }
+
+    const ageSeconds = Math.abs(Date.now() / 1000 - Number(timestamp));
+    if (ageSeconds > config.PURCHASE_WEBHOOK_TOLERANCE_SECONDS) {
+      return false;
+    }
+
+    return isValidSignature(config.PURCHASE_WEBHOOK_SECRET, timestamp, deliveryId, rawBody, signature);
+  }
+
+  /**
+   * Process a purchase delivery exactly once per delivery ID
+   * @param {Object} guild - Discord guild the purchase is for
+   * @param {string} deliveryId - Delivery ID sent by the store
+   * @param {Object} payload - Parsed purchase payload
+   * @returns {Promise<Object>} HTTP status and response body
+   */
+  static async handlePurchase(guild, deliveryId, payload) {
+    const delivery = await this.claimDelivery(guild.id, deliveryId, payload);
+
+    if (!delivery) {
+      const existing = await WebhookDelivery.findOne({ deliveryId });
+
+      if (existing && existing.status === 'succeeded') {
+        logger.info(`Ignored duplicate purchase delivery ${deliveryId}`);
+        return { status: 200, body: { ...existing.response, duplicate: true } };
+      }
+      return { status: 409, body: { error: 'Delivery is already being processed' } };
+    }
+
+    // Once the time is saved the delivery counts as succeeded, so a retry can't grant it twice
+    // even if the roles or the notification fail afterwards
+    let granted = false;
+    const markSucceeded = async (response) => {
+      granted = true;
+      delivery.status = 'succeeded';
+      delivery.response = response;
+      delivery.error = null;
+      await delivery.save();
+    };
+
+    try {
+      const response = await this.grantPurchase(guild, deliveryId, payload, markSucceeded);
+      return { status: 200, body: response };
+    } catch (error) {
+      if (granted) {
+        logger.error(`Purchase delivery ${deliveryId} was granted, but applying it in the guild failed`, error.stack);
+        await delivery.save().catch(saveError => logger.error(`Failed to update purchase delivery ${deliveryId}`, saveError.stack));
+        return { status: 200, body: delivery.response };
+      }
+
+      delivery.status = 'failed';
+      delivery.error = error.message;
+      await delivery.save().catch(saveError => logger.error(`Failed to update purchase delivery ${deliveryId}`, saveError.stack));
+
+      if (error instanceof SubscriptionError) {
+        logger.warn(`Purchase delivery ${deliveryId} rejected: ${error.message}`);
+        return { status: error instanceof NotFoundError ? 404 : 422, body: { error: error.message, code: error.code } };
+      }
+
+      logger.error(`Failed to process purchase delivery ${deliveryId}`, error.stack);
+      return { status: 500, body: { error: 'Failed to process purchase' } };
+    }
+  }
+
+  /**
+   * Claim a delivery ID for processing. New deliveries, earlier failures and deliveries
+   * stuck in processing (e.g. after a crash) can be claimed, successful ones cannot.
+   * @param {string} guildId - Discord guild ID
+   * @param {string} deliveryId - Delivery ID sent by the store
+   * @param {Object} payload - Parsed purchase payload
+   * @returns {Promise<Object|null>} Claimed delivery or null if it can't be processed now
+   */
+  static async claimDelivery(guildId, deliveryId, payload) {
+    try {
+      return await WebhookDelivery.create({
+        deliveryId,
+        guildId,
+        source: 'purchase',
+        discordId: payload.discordId || null,
+        orderId: payload.orderId || null
+      });
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+
+    return WebhookDelivery.findOneAndUpdate(
+      {
+        deliveryId,
+        $or: [
+          { status: 'failed' },
+          { status: 'processing', updatedAt: { $lt: new Date(Date.now() - STALE_PROCESSING_MS) } }
+        ]
+      },
+      { $set: { status: 'processing', error: null }, $inc: { attempts: 1 } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Validate a purchase payload and grant the subscription through SubscriptionService
+   * @param {Object} guild - Discord guild object
+   * @param {string} deliveryId - Delivery ID sent by the store
+   * @param {Object} payload - Parsed purchase payload
+   * @param {Function} onGranted - Called with the response body as soon as the subscription is saved
+   * @returns {Promise<Object>} Response body for the store
+   */
+  static async grantPurchase(guild, deliveryId, payload, onGranted) {
+    const { discordId, tier, orderId } = payload;
+
+    if (!/^\d{17,20}$/.test(String(discordId || ''))) {
+      throw new ValidationError('discordId must be a Discord user ID');
+    }
+
+    // Accept { amount, unit } or a plain number of months
+    const duration = normalizeDuration(payload.duration ?? payload.months);
+    const plan = tier ? await PlanService.requirePlan(guild.id, tier) : null;
+
+    const targetUser = await guild.client.users.fetch(discordId).catch(() => null);
+    if (!targetUser) {
+      throw new NotFoundError(`Discord user ${discordId} does not exist.`);
+    }
+
+    let response;
+    await SubscriptionService.grantSubscription(guild, targetUser, duration, {
+      plan,
+      source: 'api',
+      details: { source: 'purchase-webhook', deliveryId, orderId: orderId || null },
+      onGranted: async ({ subscription, isNew }) => {
+        response = {
+          discordId,
+          tier: subscription.tier,
+          isNew,
+          expiresAt: subscription.expiresAt
+        };
+        await onGranted(response);
+      }
+    });
+
+    logger.info(`Purchase ${orderId || deliveryId} granted ${formatDuration(duration)}${plan ? ` of tier ${plan.name}` : ''} to ${targetUser.tag} (${discordId})`);
+
+    return response;
+  }
+}
+
+module.exports = WebhookService;
@@ -0,0 +1,79 @@
+/**
+ * Error types shared by services, commands and the web dashboard
+ */
+
+/**
+ * Base error for expected subscription failures whose message is safe to show to users
+ */
+class SubscriptionError extends Error {
+  /**
+   * @param {string} message - Human readable error message
+   * @param {string} code - Machine readable error code
+   * @param {Object} translation - Catalog message for bot replies (optional)
+   * @param {string} translation.key - Dotted path of the message in the catalog
+   * @param {Object} translation.variables - Values of the placeholders, functions get the language
+   */
+  constructor(message, code = 'SUBSCRIPTION_ERROR', translation = null) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.translation = translation;
+  }
+
+  /**
+   * Get the message in the language of a translator, the English message if it has no catalog entry
+   * @param {Function} t - Translator from getTranslator
+   * @returns {string} Message safe to show to users
+   */
+  localize(t) {
+    if (!this.translation) {
+      return this.message;
+    }
+
+    const variables = {};
+    for (const [name, value] of Object.entries(this.translation.variables || {})) {
+      variables[name] = typeof value === 'function' ? value(t.language) : value;
+    }
+    return t(this.translation.key, variables);
+  }
+}
+
+/**
+ * Thrown when user supplied input is invalid
+ */
+class ValidationError extends SubscriptionError {
+  constructor(message, translation) {
+    super(message, 'VALIDATION_ERROR', translation);
+  }
+}
+
+/**
+ * Thrown when a requested record does not exist
+ */
+class NotFoundError extends SubscriptionError {
+  constructor(message, translation) {
+    super(message, 'NOT_FOUND', translation);
+  }
+}
+
+/**
+ * Thrown when a user made too many attempts in a short time
+ */
+class RateLimitError extends SubscriptionError {
+  /**
+   * @param {string} message - Human readable error message
+   * @param {number} retryAfterMs - Milliseconds until another attempt is allowed
+   * @param {Object} translation - Catalog message for bot replies (optional)
+   */
+  constructor(message, retryAfterMs, translation) {
+    super(message, 'RATE_LIMITED', translation);
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+module.exports = {
+  SubscriptionError,
+  ValidationError,
+  NotFoundError,
+  RateLimitError
+};
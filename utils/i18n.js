@@ -0,0 +1,121 @@
+/**
+ * Translation of bot messages. Catalogs live in locales/<language>.json as nested
+ * objects; a message is addressed by its dotted path, e.g. "status.title".
+ * Messages may use {placeholders}. Messages that depend on a number are objects
+ * keyed by plural category ("one", "other", ...) and are picked with the count variable.
+ * Missing messages fall back to English.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_LANGUAGE = 'en';
+
+// Languages with a catalog, by their name in that language
+const SUPPORTED_LANGUAGES = {
+  en: 'English',
+  de: 'Deutsch',
+  fr: 'Français',
+  es: 'Español'
+};
+
+const LOCALES_PATH = path.join(__dirname, '..', 'locales');
+
+const catalogs = Object.fromEntries(
+  Object.keys(SUPPORTED_LANGUAGES).map(language => [
+    language,
+    JSON.parse(fs.readFileSync(path.join(LOCALES_PATH, `${language}.json`), 'utf8'))
+  ])
+);
+
+// Plural rules are cheap to use but not to create
+const pluralRules = new Map();
+
+/**
+ * Get the supported language of a Discord locale or language code
+ * @param {string} locale - Locale like "de", "en-US" or "es-ES"
+ * @returns {string|null} Supported language code, null if it isn't supported
+ */
+function getLanguageFromLocale(locale) {
+  if (!locale) {
+    return null;
+  }
+
+  const language = String(locale).split('-')[0].toLowerCase();
+  return SUPPORTED_LANGUAGES[language] ? language : null;
+}
+
+/**
+ * Pick the first supported language from a list of candidates, most specific first
+ * @param {...string} candidates - Language codes or Discord locales (may be null)
+ * @returns {string} Supported language code, English if none is supported
+ */
+function resolveLanguage(...candidates) {
+  for (const candidate of candidates) {
+    const language = getLanguageFromLocale(candidate);
+    if (language) {
+      return language;
+    }
+  }
+
+  return DEFAULT_LANGUAGE;
+}
+
+function lookup(language, key) {
+  return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalogs[language]);
+}
+
+function selectPlural(language, message, count) {
+  if (!pluralRules.has(language)) {
+    pluralRules.set(language, new Intl.PluralRules(language));
+  }
+
+  const category = Number(count) === 0 && message.zero !== undefined ? 'zero' : pluralRules.get(language).select(Number(count));
+  return message[category] !== undefined ? message[category] : message.other;
+}
+
+/**
+ * Translate a message
+ * @param {string} language - Supported language code
+ * @param {string} key - Dotted path of the message in the catalog
+ * @param {Object} variables - Values of the placeholders, count selects the plural form
+ * @returns {string} Translated message, the key itself if no catalog has it
+ */
+function t(language, key, variables = {}) {
+  let message = lookup(language, key);
+  let messageLanguage = language;
+
+  if (message === undefined) {
+    message = lookup(DEFAULT_LANGUAGE, key);
+    messageLanguage = DEFAULT_LANGUAGE;
+  }
+
+  if (message && typeof message === 'object') {
+    message = selectPlural(messageLanguage, message, variables.count);
+  }
+  if (typeof message !== 'string') {
+    return key;
+  }
+
+  return message.replace(/\{(\w+)\}/g, (match, name) => (variables[name] !== undefined ? String(variables[name]) : match));
+}
+
+/**
+ * Create a translation function bound to a language
+ * @param {string} language - Supported language code
+ * @returns {Function} (key, variables) => message, with the language as its language property
+ */
+function getTranslator(language) {
+  const translate = (key, variables) => t(language, key, variables);
+  translate.language = language;
+  return translate;
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  SUPPORTED_LANGUAGES,
+  getLanguageFromLocale,
+  resolveLanguage,
+  t,
+  getTranslator
+};
@@ -1,163 +1,436 @@
-/**
- * Utility functions for handling time zones and date formatting
- */
-
-// Common timezone mappings for Discord locale to timezone
-const LOCALE_TO_TIMEZONE = {
-  'en-US': 'America/New_York',
-  'en-GB': 'Europe/London',
-  'de': 'Europe/Berlin',
-  'fr': 'Europe/Paris',
-  'es-ES': 'Europe/Madrid',
-  'it': 'Europe/Rome',
-  'ja': 'Asia/Tokyo',
-  'ko': 'Asia/Seoul',
-  'zh-CN': 'Asia/Shanghai',
-  'zh-TW': 'Asia/Taipei',
-  'ru': 'Europe/Moscow',
-  'pt-BR': 'America/Sao_Paulo',
-  'nl': 'Europe/Amsterdam',
-  'sv-SE': 'Europe/Stockholm',
-  'no': 'Europe/Oslo',
-  'da': 'Europe/Copenhagen',
-  'fi': 'Europe/Helsinki',
-  'pl': 'Europe/Warsaw',
-  'cs': 'Europe/Prague',
-  'hu': 'Europe/Budapest',
-  'ro': 'Europe/Bucharest',
-  'bg': 'Europe/Sofia',
-  'hr': 'Europe/Zagreb',
-  'tr': 'Europe/Istanbul',
-  'uk': 'Europe/Kiev',
-  'th': 'Asia/Bangkok',
-  'vi': 'Asia/Ho_Chi_Minh',
-  'hi': 'Asia/Kolkata'
-};
-
-/**
- * Get timezone from Discord user locale
- * @param {string} locale - Discord user locale
- * @returns {string} Timezone identifier
- */
-function getTimezoneFromLocale(locale) {
-  return LOCALE_TO_TIMEZONE[locale] || 'UTC';
-}
-
-/**
- * Format date in specific timezone
- * @param {Date} date - Date to format
- * @param {string} timezone - Timezone identifier
- * @param {string} locale - Locale for formatting (optional)
- * @returns {string} Formatted date string
- */
-function formatDateInTimezone(date, timezone = 'UTC', locale = 'en-US') {
-  try {
-    const formatter = new Intl.DateTimeFormat(locale, {
-      timeZone: timezone,
-      year: 'numeric',
-      month: '2-digit',
-      day: '2-digit',
-      hour: '2-digit',
-      minute: '2-digit',
-      second: '2-digit',
-      hour12: false
-    });
-    
-    return formatter.format(date);
-  } catch (error) {
-    // Fallback to UTC if timezone is invalid
-    return formatDateInTimezone(date, 'UTC', locale);
-  }
-}
-
-/**
- * Get timezone abbreviation
- * @param {string} timezone - Timezone identifier
- * @returns {string} Timezone abbreviation
- */
-function getTimezoneAbbreviation(timezone) {
-  try {
-    const date = new Date();
-    const formatter = new Intl.DateTimeFormat('en', {
-      timeZone: timezone,
-      timeZoneName: 'short'
-    });
-    
-    const parts = formatter.formatToParts(date);
-    const timeZonePart = parts.find(part => part.type === 'timeZoneName');
-    return timeZonePart ? timeZonePart.value : timezone;
-  } catch (error) {
-    return timezone;
-  }
-}
-
-/**
- * Calculate time remaining between now and a future date
- * @param {Date} expiresAt - Expiration date
- * @returns {Object} Object with days, hours, minutes remaining
- */
-function getTimeRemaining(expiresAt) {
-  const now = new Date();
-  const timeDiff = expiresAt.getTime() - now.getTime();
-  
-  if (timeDiff <= 0) {
-    return { days: 0, hours: 0, minutes: 0, expired: true };
-  }
-  
-  const days = Math.floor(timeDiff / (1000 * 60 * 60 * 24));
-  const hours = Math.floor((timeDiff % (1000 * 60 * 60 * 24)) / (1000 * 60 * 60));
-  const minutes = Math.floor((timeDiff % (1000 * 60 * 60)) / (1000 * 60));
-  
-  return { days, hours, minutes, expired: false };
-}
-
-/**
- * Add months to a date (each month = 30 days for consistency)
- * @param {Date} date - Starting date
- * @param {number} months - Number of months to add
- * @returns {Date} New date with months added
- */
-function addMonths(date, months) {
-  const daysToAdd = months * 30;
-  return new Date(date.getTime() + (daysToAdd * 24 * 60 * 60 * 1000));
-}
-
-/**
- * Format time remaining as a readable string
- * @param {Object} timeRemaining - Object from getTimeRemaining
- * @returns {string} Formatted string like "5d 3h 45m"
- */
-function formatTimeRemaining(timeRemaining) {
-  if (timeRemaining.expired) {
-    return 'Expired';
-  }
-  
-  const { days, hours, minutes } = timeRemaining;
-  return `${days}d ${hours}h ${minutes}m`;
-}
-
-/**
- * Get user timezone from Discord interaction
- * @param {Object} interaction - Discord interaction object
- * @returns {string} Timezone identifier
- */
-function getUserTimezone(interaction) {
-  // Try to get from user locale first
-  const userLocale = interaction.user.locale || interaction.locale;
-  if (userLocale) {
-    return getTimezoneFromLocale(userLocale);
-  }
-  
-  // Fallback to UTC
-  return 'UTC';
-}
-
-module.exports = {
-  getTimezoneFromLocale,
-  formatDateInTimezone,
-  getTimezoneAbbreviation,
-  getTimeRemaining,
-  addMonths,
-  formatTimeRemaining,
-  getUserTimezone
-};
\ No newline at end of file
+/**
+ * Utility functions for handling time zones, durations and date formatting
+ */
+
+const { ValidationError } = require('./errors');
+const { t } = require('./i18n');
+
+// Common timezone mappings for Discord locale to timezone
+const LOCALE_TO_TIMEZONE = {
+  'en-US': 'America/New_York',
+  'en-GB': 'Europe/London',
+  'de': 'Europe/Berlin',
+  'fr': 'Europe/Paris',
+  'es-ES': 'Europe/Madrid',
+  'it': 'Europe/Rome',
+  'ja': 'Asia/Tokyo',
+  'ko': 'Asia/Seoul',
+  'zh-CN': 'Asia/Shanghai',
+  'zh-TW': 'Asia/Taipei',
+  'ru': 'Europe/Moscow',
+  'pt-BR': 'America/Sao_Paulo',
+  'nl': 'Europe/Amsterdam',
+  'sv-SE': 'Europe/Stockholm',
+  'no': 'Europe/Oslo',
+  'da': 'Europe/Copenhagen',
+  'fi': 'Europe/Helsinki',
+  'pl': 'Europe/Warsaw',
+  'cs': 'Europe/Prague',
+  'hu': 'Europe/Budapest',
+  'ro': 'Europe/Bucharest',
+  'bg': 'Europe/Sofia',
+  'hr': 'Europe/Zagreb',
+  'tr': 'Europe/Istanbul',
+  'uk': 'Europe/Kiev',
+  'th': 'Asia/Bangkok',
+  'vi': 'Asia/Ho_Chi_Minh',
+  'hi': 'Asia/Kolkata'
+};
+
+/**
+ * Get timezone from Discord user locale
+ * @param {string} locale - Discord user locale
+ * @returns {string} Timezone identifier
+ */
+function getTimezoneFromLocale(locale) {
+  return LOCALE_TO_TIMEZONE[locale] || 'UTC';
+}
+
+// IANA timezone names known to the runtime, loaded on first use
+let timezoneNames = null;
+
+/**
+ * Get all IANA timezone names, e.g. for autocomplete
+ * @returns {string[]} Sorted timezone identifiers
+ */
+function getTimezoneNames() {
+  if (!timezoneNames) {
+    timezoneNames = Array.from(new Set([...Intl.supportedValuesOf('timeZone'), 'UTC'])).sort();
+  }
+  return timezoneNames;
+}
+
+/**
+ * Get the canonical name of a timezone, matching case-insensitively
+ * @param {string} timezone - Timezone identifier like "europe/berlin"
+ * @returns {string|null} Canonical identifier like "Europe/Berlin", null if it isn't a timezone
+ */
+function normalizeTimezone(timezone) {
+  if (!timezone || typeof timezone !== 'string') {
+    return null;
+  }
+
+  try {
+    return new Intl.DateTimeFormat('en', { timeZone: timezone.trim() }).resolvedOptions().timeZone;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Format date in specific timezone
+ * @param {Date} date - Date to format
+ * @param {string} timezone - Timezone identifier
+ * @param {string} locale - Locale for formatting (optional)
+ * @returns {string} Formatted date string
+ */
+function formatDateInTimezone(date, timezone = 'UTC', locale = 'en-US') {
+  try {
+    const formatter = new Intl.DateTimeFormat(locale, {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hour12: false
+    });
+    
+    return formatter.format(date);
+  } catch (error) {
+    // Fallback to UTC if timezone is invalid
+    return formatDateInTimezone(date, 'UTC', locale);
+  }
+}
+
+/**
+ * Format a date in a user's timezone, naming the timezone
+ * @param {Date} date - Date to format
+ * @param {string} timezone - Timezone identifier
+ * @param {string} language - Language of the result (optional, English by default)
+ * @returns {string} Formatted string like "20.10.2026, 14:00:00 (Europe/Berlin)"
+ */
+function formatLocalDate(date, timezone, language = 'en') {
+  return t(language, 'time.local', { date: formatDateInTimezone(date, timezone, language), timezone });
+}
+
+/**
+ * Get timezone abbreviation
+ * @param {string} timezone - Timezone identifier
+ * @returns {string} Timezone abbreviation
+ */
+function getTimezoneAbbreviation(timezone) {
+  try {
+    const date = new Date();
+    const formatter = new Intl.DateTimeFormat('en', {
+      timeZone: timezone,
+      timeZoneName: 'short'
+    });
+    
+    const parts = formatter.formatToParts(date);
+    const timeZonePart = parts.find(part => part.type === 'timeZoneName');
+    return timeZonePart ? timeZonePart.value : timezone;
+  } catch (error) {
+    return timezone;
+  }
+}
+
+/**
+ * Calculate time remaining between now and a future date
+ * @param {Date} expiresAt - Expiration date
+ * @returns {Object} Object with days, hours, minutes remaining
+ */
+function getTimeRemaining(expiresAt) {
+  const now = new Date();
+  const timeDiff = expiresAt.getTime() - now.getTime();
+  
+  if (timeDiff <= 0) {
+    return { days: 0, hours: 0, minutes: 0, expired: true };
+  }
+  
+  const days = Math.floor(timeDiff / (1000 * 60 * 60 * 24));
+  const hours = Math.floor((timeDiff % (1000 * 60 * 60 * 24)) / (1000 * 60 * 60));
+  const minutes = Math.floor((timeDiff % (1000 * 60 * 60)) / (1000 * 60));
+  
+  return { days, hours, minutes, expired: false };
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Supported duration units and the largest amount accepted for each
+const DURATION_UNITS = {
+  days: { max: 3650 },
+  weeks: { max: 520 },
+  months: { max: 120 },
+  years: { max: 10 }
+};
+
+/**
+ * Add calendar months to a date, clamping to the last day of shorter months
+ * (e.g. Jan 31 + 1 month = Feb 28/29). Calculated in UTC so the result does not
+ * depend on the server timezone.
+ * @param {Date} date - Starting date
+ * @param {number} months - Number of months to add
+ * @returns {Date} New date with months added
+ */
+function addMonths(date, months) {
+  const result = new Date(date.getTime());
+  const dayOfMonth = result.getUTCDate();
+
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + months);
+
+  const daysInTargetMonth = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+  result.setUTCDate(Math.min(dayOfMonth, daysInTargetMonth));
+
+  return result;
+}
+
+/**
+ * Validate a duration and fill in the default unit
+ * @param {Object|number} duration - Duration object ({ amount, unit }) or a number of months
+ * @returns {Object} Normalized duration object
+ */
+function normalizeDuration(duration) {
+  const { amount, unit = 'months' } = typeof duration === 'number' ? { amount: duration } : (duration || {});
+
+  if (!DURATION_UNITS[unit]) {
+    throw new ValidationError(`Unknown duration unit "${unit}". Use one of: ${Object.keys(DURATION_UNITS).join(', ')}.`, {
+      key: 'errors.input.unknownUnit',
+      variables: { unit, units: Object.keys(DURATION_UNITS).join(', ') }
+    });
+  }
+
+  if (!Number.isInteger(amount) || amount < 1 || amount > DURATION_UNITS[unit].max) {
+    throw new ValidationError(`Duration must be a whole number of ${unit} between 1 and ${DURATION_UNITS[unit].max}.`, {
+      key: 'errors.input.durationRange',
+      variables: {
+        min: language => formatDuration({ amount: 1, unit }, language),
+        max: language => formatDuration({ amount: DURATION_UNITS[unit].max, unit }, language)
+      }
+    });
+  }
+
+  return { amount, unit };
+}
+
+/**
+ * Parse a typed duration such as "3 months", "2w" or "30d". A bare number counts as months.
+ * @param {string} input - Whole number followed by an optional unit (d, w, m, y or their names)
+ * @returns {Object} Normalized duration object
+ */
+function parseDuration(input) {
+  const match = /^(\d+)\s*(d|days?|w|weeks?|m|mo|months?|y|years?)?$/.exec(String(input || '').trim().toLowerCase());
+  if (!match) {
+    throw new ValidationError('Durations look like "3 months", "2 weeks", "30d" or "1y".', { key: 'errors.input.durationFormat' });
+  }
+
+  const units = { d: 'days', w: 'weeks', m: 'months', y: 'years' };
+  return normalizeDuration({ amount: Number(match[1]), unit: units[(match[2] || 'm')[0]] });
+}
+
+/**
+ * Add a duration to a date using calendar-correct month and year arithmetic
+ * @param {Date} date - Starting date
+ * @param {Object|number} duration - Duration object ({ amount, unit }) or a number of months
+ * @returns {Date} New date with the duration added
+ */
+function addDuration(date, duration) {
+  const { amount, unit } = normalizeDuration(duration);
+
+  switch (unit) {
+    case 'days':
+      return new Date(date.getTime() + amount * DAY_MS);
+    case 'weeks':
+      return new Date(date.getTime() + amount * 7 * DAY_MS);
+    case 'years':
+      return addMonths(date, amount * 12);
+    default:
+      return addMonths(date, amount);
+  }
+}
+
+/**
+ * Format a duration as a readable string
+ * @param {Object|number} duration - Duration object ({ amount, unit }) or a number of months
+ * @param {string} language - Language of the result (optional, English by default)
+ * @returns {string} Formatted string like "3 months" or "1 week"
+ */
+function formatDuration(duration, language = 'en') {
+  const { amount, unit } = typeof duration === 'number' ? { amount: duration, unit: 'months' } : duration;
+  return DURATION_UNITS[unit] ? t(language, `units.${unit}`, { count: amount }) : `${amount} ${unit}`;
+}
+
+/**
+ * Whole days between two dates
+ * @param {Date} from - Start date
+ * @param {Date} to - End date
+ * @returns {number} Number of days (rounded)
+ */
+function daysBetween(from, to) {
+  return Math.round((to.getTime() - from.getTime()) / DAY_MS);
+}
+
+// Units accepted in short time spans like "1d12h", in minutes
+const TIME_SPAN_UNITS = {
+  w: { minutes: 7 * 24 * 60, unit: 'weeks' },
+  d: { minutes: 24 * 60, unit: 'days' },
+  h: { minutes: 60, unit: 'hours' },
+  m: { minutes: 1, unit: 'minutes' }
+};
+
+/**
+ * Parse a short time span such as "7d", "1h" or "1d12h"
+ * @param {string} input - Time span made of numbers followed by w, d, h or m
+ * @returns {number} Length in minutes
+ */
+function parseTimeSpan(input) {
+  const normalized = String(input || '').toLowerCase().replace(/\s+/g, '');
+
+  if (!/^(\d+[wdhm])+$/.test(normalized)) {
+    throw new ValidationError('Time spans look like "7d", "12h", "30m" or "1d12h" (w = weeks, d = days, h = hours, m = minutes).', { key: 'errors.input.timeSpanFormat' });
+  }
+
+  let minutes = 0;
+  for (const [, amount, unit] of normalized.matchAll(/(\d+)([wdhm])/g)) {
+    minutes += Number(amount) * TIME_SPAN_UNITS[unit].minutes;
+  }
+
+  return minutes;
+}
+
+/**
+ * Format a number of minutes as a readable time span
+ * @param {number} minutes - Length in minutes
+ * @param {string} language - Language of the result (optional, English by default)
+ * @returns {string} Formatted string like "1 day 12 hours" or "30 minutes"
+ */
+function formatTimeSpan(minutes, language = 'en') {
+  const parts = [];
+  let rest = minutes;
+
+  for (const { minutes: unitMinutes, unit } of Object.values(TIME_SPAN_UNITS)) {
+    const amount = Math.floor(rest / unitMinutes);
+    if (amount > 0) {
+      parts.push(t(language, `units.${unit}`, { count: amount }));
+      rest -= amount * unitMinutes;
+    }
+  }
+
+  return parts.length > 0 ? parts.join(' ') : t(language, 'units.minutes', { count: 0 });
+}
+
+/**
+ * Format time remaining as a readable string
+ * @param {Object} timeRemaining - Object from getTimeRemaining
+ * @param {string} language - Language of the result (optional, English by default)
+ * @returns {string} Formatted string like "5d 3h 45m"
+ */
+function formatTimeRemaining(timeRemaining, language = 'en') {
+  if (timeRemaining.expired) {
+    return t(language, 'time.expired');
+  }
+  
+  const { days, hours, minutes } = timeRemaining;
+  return t(language, 'time.remaining', { days, hours, minutes });
+}
+
+// Offset of a timezone from UTC at a given moment, in milliseconds
+function getTimezoneOffsetMs(date, timezone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }).formatToParts(date).map(part => [part.type, part.value])
+  );
+
+  const wallTime = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallTime - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Parse a calendar date such as "2026-10-20" or "2026-10-20 18:30" as a time in a timezone
+ * @param {string} input - Date as YYYY-MM-DD with an optional HH:MM time
+ * @param {string} timezone - Timezone the date is in (optional, UTC by default)
+ * @param {Object} options - Additional options
+ * @param {boolean} options.endOfDay - Use the end instead of the start of the day when no time is given
+ * @returns {Date} The moment the date stands for
+ */
+function parseDate(input, timezone = 'UTC', { endOfDay = false } = {}) {
+  const match = String(input || '').trim().match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[ T](\d{1,2}):(\d{2}))?$/);
+  if (!match) {
+    throw new ValidationError('Dates look like "2026-10-20" or "2026-10-20 18:30".', { key: 'errors.input.dateFormat' });
+  }
+
+  const [, year, month, day, hour, minute] = match.map(Number);
+  const hasTime = match[4] !== undefined;
+  const wallTime = hasTime
+    ? Date.UTC(year, month - 1, day, hour, minute)
+    : Date.UTC(year, month - 1, day, endOfDay ? 23 : 0, endOfDay ? 59 : 0, endOfDay ? 59 : 0, endOfDay ? 999 : 0);
+
+  // Reject dates like February 30th that Date.UTC would roll over
+  const check = new Date(wallTime);
+  if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day || (hasTime && (hour > 23 || check.getUTCHours() !== hour))) {
+    throw new ValidationError(`${input} is not a valid date.`, { key: 'errors.input.invalidDate', variables: { input } });
+  }
+
+  // Apply the offset of the timezone, checking it again in case the date crosses a DST change
+  let date = new Date(wallTime - getTimezoneOffsetMs(new Date(wallTime), timezone));
+  const offset = getTimezoneOffsetMs(date, timezone);
+  if (wallTime - offset !== date.getTime()) {
+    date = new Date(wallTime - offset);
+  }
+
+  return date;
+}
+
+/**
+ * Get user timezone from Discord interaction
+ * @param {Object} interaction - Discord interaction object
+ * @param {string|null} preferredTimezone - Timezone the user chose (optional)
+ * @returns {string} Timezone identifier
+ */
+function getUserTimezone(interaction, preferredTimezone = null) {
+  // A timezone chosen by the user beats any guess
+  if (preferredTimezone) {
+    return preferredTimezone;
+  }
+
+  // Try to get from user locale first
+  const userLocale = interaction.user.locale || interaction.locale;
+  if (userLocale) {
+    return getTimezoneFromLocale(userLocale);
+  }
+  
+  // Fallback to UTC
+  return 'UTC';
+}
+
+module.exports = {
+  getTimezoneFromLocale,
+  getTimezoneNames,
+  normalizeTimezone,
+  formatDateInTimezone,
+  formatLocalDate,
+  getTimezoneAbbreviation,
+  getTimeRemaining,
+  addMonths,
+  addDuration,
+  normalizeDuration,
+  parseDuration,
+  formatDuration,
+  daysBetween,
+  DURATION_UNITS,
+  parseTimeSpan,
+  formatTimeSpan,
+  parseDate,
+  formatTimeRemaining,
+  getUserTimezone
+};
@@ -0,0 +1,72 @@
+/**
+ * Small in-memory cache whose entries expire after a fixed time.
+ * The oldest entries are dropped first once the cache is full.
+ */
+class TtlCache {
+  /**
+   * @param {Object} options - Cache options
+   * @param {number} options.ttlMs - How long entries stay valid, in milliseconds
+   * @param {number} options.maxSize - Maximum number of entries
+   */
+  constructor({ ttlMs, maxSize = 5000 }) {
+    this.ttlMs = ttlMs;
+    this.maxSize = maxSize;
+    this.entries = new Map();
+  }
+
+  /**
+   * Check whether a key has a value that has not expired
+   * @param {string} key - Cache key
+   * @returns {boolean} True if the key is cached
+   */
+  has(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return false;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Get a cached value
+   * @param {string} key - Cache key
+   * @returns {*} Cached value or undefined if missing or expired
+   */
+  get(key) {
+    return this.has(key) ? this.entries.get(key).value : undefined;
+  }
+
+  /**
+   * Store a value
+   * @param {string} key - Cache key
+   * @param {*} value - Value to cache (null is a valid value)
+   */
+  set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + this.ttlMs });
+
+    while (this.entries.size > this.maxSize) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Remove a value
+   * @param {string} key - Cache key
+   */
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * Remove all values
+   */
+  clear() {
+    this.entries.clear();
+  }
+}
+
+module.exports = TtlCache;
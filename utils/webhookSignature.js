@@ -0,0 +1,39 @@
+const crypto = require('crypto');
+
+/**
+ * Sign a webhook payload. The signature covers the timestamp so old requests can't be replayed,
+ * and the delivery ID so a captured request can't be resent as a new delivery.
+ * @param {string} secret - Shared webhook secret
+ * @param {string|number} timestamp - Unix timestamp in seconds
+ * @param {string} deliveryId - Delivery ID sent in the X-Webhook-Delivery header
+ * @param {Buffer|string} rawBody - Raw request body
+ * @returns {string} Hex encoded HMAC-SHA256 signature
+ */
+function createSignature(secret, timestamp, deliveryId, rawBody) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${deliveryId}.`)
+    .update(rawBody)
+    .digest('hex');
+}
+
+/**
+ * Check a signature in constant time
+ * @param {string} secret - Shared webhook secret
+ * @param {string|number} timestamp - Unix timestamp in seconds
+ * @param {string} deliveryId - Delivery ID sent in the X-Webhook-Delivery header
+ * @param {Buffer|string} rawBody - Raw request body
+ * @param {string} signature - Received signature, optionally prefixed with "sha256="
+ * @returns {boolean} Whether the signature matches
+ */
+function isValidSignature(secret, timestamp, deliveryId, rawBody, signature) {
+  const expected = Buffer.from(createSignature(secret, timestamp, deliveryId, rawBody), 'hex');
+  const received = Buffer.from(signature.replace(/^sha256=/, ''), 'hex');
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+module.exports = {
+  createSignature,
+  isValidSignature
+};
@@ -1,222 +1,645 @@
-const express = require('express');
-const path = require('path');
-const SubscriptionService = require('../services/subscriptionService');
-const { getConfig } = require('../config/validation');
-const logger = require('../utils/logger');
-
-const config = getConfig();
-
-class WebDashboard {
-  constructor(client) {
-    this.client = client;
-    this.app = express();
-    this.port = process.env.PORT || 3000;
-    
-    this.setupMiddleware();
-    this.setupRoutes();
-  }
-
-  setupMiddleware() {
-    // Set EJS as view engine
-    this.app.set('view engine', 'ejs');
-    this.app.set('views', path.join(__dirname, 'views'));
-    
-    // Static files
-    this.app.use(express.static(path.join(__dirname, 'public')));
-    
-    // Body parsing
-    this.app.use(express.json());
-    this.app.use(express.urlencoded({ extended: true }));
-  }
-
-  setupRoutes() {
-    // Main dashboard route
-    this.app.get('/', async (req, res) => {
-      try {
-        const guild = this.client.guilds.cache.get(config.GUILD_ID);
-        if (!guild) {
-          return res.status(500).render('error', { 
-            message: 'Guild not found',
-            error: 'The bot is not connected to the configured guild.'
-          });
-        }
-
-        // Get all active subscriptions
-        const activeSubscriptions = await SubscriptionService.getActiveSubscriptions();
-        
-        // Get subscription statistics
-        const stats = await SubscriptionService.getSubscriptionStats();
-        
-        // Process subscription data with user information
-        const subscriptionData = [];
-        
-        for (const subscription of activeSubscriptions) {
-          try {
-            // Try to get user info from guild
-            const member = await guild.members.fetch(subscription.discordId).catch(() => null);
-            const user = member ? member.user : await this.client.users.fetch(subscription.discordId).catch(() => null);
-            
-            if (user) {
-              // Get role information
-              const role = guild.roles.cache.get(subscription.roleId);
-              
-              // Calculate days remaining
-              const timeRemaining = this.getTimeRemaining(subscription.expiresAt);
-              
-              subscriptionData.push({
-                user: {
-                  id: user.id,
-                  username: user.username,
-                  displayName: member ? member.displayName : user.username,
-                  tag: user.tag,
-                  avatarURL: user.displayAvatarURL({ size: 128 }),
-                  joinedAt: member ? member.joinedAt : null
-                },
-                subscription: {
-                  months: subscription.months,
-                  startAt: subscription.startAt,
-                  expiresAt: subscription.expiresAt,
-                  daysRemaining: timeRemaining.days,
-                  hoursRemaining: timeRemaining.hours,
-                  minutesRemaining: timeRemaining.minutes,
-                  isExpiringSoon: timeRemaining.days <= 7,
-                  isExpiringToday: timeRemaining.days === 0
-                },
-                role: {
-                  name: role ? role.name : 'Unknown Role',
-                  color: role ? role.hexColor : '#808080'
-                }
-              });
-            }
-          } catch (error) {
-            logger.warn(`Failed to process subscription for user ${subscription.discordId}: ${error.message}`);
-          }
-        }
-        
-        // Sort by expiration date (soonest first)
-        subscriptionData.sort((a, b) => new Date(a.subscription.expiresAt) - new Date(b.subscription.expiresAt));
-
-        res.render('dashboard', {
-          title: 'Subscription Dashboard',
-          guild: {
-            name: guild.name,
-            iconURL: guild.iconURL({ size: 64 }) || null,
-            memberCount: guild.memberCount
-          },
-          stats,
-          subscriptions: subscriptionData,
-          timestamp: new Date()
-        });
-
-      } catch (error) {
-        logger.error('Dashboard route error:', error.stack);
-        res.status(500).render('error', {
-          message: 'Internal Server Error',
-          error: error.message
-        });
-      }
-    });
-
-    // API endpoint for real-time stats
-    this.app.get('/api/stats', async (req, res) => {
-      try {
-        const stats = await SubscriptionService.getSubscriptionStats();
-        res.json(stats);
-      } catch (error) {
-        res.status(500).json({ error: error.message });
-      }
-    });
-
-    // API endpoint for subscription data
-    this.app.get('/api/subscriptions', async (req, res) => {
-      try {
-        const activeSubscriptions = await SubscriptionService.getActiveSubscriptions();
-        const guild = this.client.guilds.cache.get(config.GUILD_ID);
-        
-        const subscriptionData = [];
-        
-        for (const subscription of activeSubscriptions) {
-          try {
-            const member = await guild.members.fetch(subscription.discordId).catch(() => null);
-            const user = member ? member.user : await this.client.users.fetch(subscription.discordId).catch(() => null);
-            
-            if (user) {
-              const timeRemaining = this.getTimeRemaining(subscription.expiresAt);
-              
-              subscriptionData.push({
-                userId: user.id,
-                username: user.username,
-                tag: user.tag,
-                months: subscription.months,
-                expiresAt: subscription.expiresAt,
-                daysRemaining: timeRemaining.days
-              });
-            }
-          } catch (error) {
-            logger.warn(`Failed to process subscription for API: ${error.message}`);
-          }
-        }
-        
-        res.json(subscriptionData);
-      } catch (error) {
-        res.status(500).json({ error: error.message });
-      }
-    });
-
-    // Health check endpoint
-    this.app.get('/health', (req, res) => {
-      res.json({ 
-        status: 'ok', 
-        bot: this.client.user ? this.client.user.tag : 'Not logged in',
-        uptime: process.uptime(),
-        timestamp: new Date()
-      });
-    });
-
-    // 404 handler
-    this.app.use('*', (req, res) => {
-      res.status(404).render('error', {
-        message: 'Page Not Found',
-        error: 'The requested page does not exist.'
-      });
-    });
-  }
-
-  getTimeRemaining(expiresAt) {
-    const now = new Date();
-    const timeDiff = expiresAt.getTime() - now.getTime();
-    
-    if (timeDiff <= 0) {
-      return { days: 0, hours: 0, minutes: 0, expired: true };
-    }
-    
-    const days = Math.floor(timeDiff / (1000 * 60 * 60 * 24));
-    const hours = Math.floor((timeDiff % (1000 * 60 * 60 * 24)) / (1000 * 60 * 60));
-    const minutes = Math.floor((timeDiff % (1000 * 60 * 60)) / (1000 * 60));
-    
-    return { days, hours, minutes, expired: false };
-  }
-
-  async start() {
-    return new Promise((resolve) => {
-      this.server = this.app.listen(this.port, () => {
-        logger.info(`🌐 Web dashboard started on http://localhost:${this.port}`);
-        logger.info(`🌐 Web dashboard started on https://subscriptionstatus.virelia.live/`);
-        resolve();
-      });
-    });
-  }
-
-  async stop() {
-    if (this.server) {
-      return new Promise((resolve) => {
-        this.server.close(() => {
-          logger.info('Web dashboard stopped');
-          resolve();
-        });
-      });
-    }
-  }
-}
-
-module.exports = WebDashboard;
\ No newline at end of file
+const express = require('express');
+const session = require('express-session');
+const MongoStore = require('connect-mongo');
+const mongoose = require('mongoose');
+const path = require('path');
+const SubscriptionService = require('../services/subscriptionService');
+const PlanService = require('../services/planService');
+const ProfileService = require('../services/profileService');
+const WebhookService = require('../services/webhookService');
+const AuthService = require('../services/authService');
+const SchedulerService = require('../services/schedulerService');
+const NotificationService = require('../services/notificationService');
+const PreferenceService = require('../services/preferenceService');
+const { loadViewer, requireStaff, requireLogin } = require('./middleware/auth');
+const { selectGuild } = require('./middleware/guild');
+const { csrfToken } = require('./middleware/csrf');
+const { createAuthRouter } = require('./routes/auth');
+const { createAdminRouter } = require('./routes/admin');
+const { createApiV1Router, sendError } = require('./routes/apiV1');
+const { getConfig } = require('../config/validation');
+const { formatDateInTimezone } = require('../utils/timeUtils');
+const logger = require('../utils/logger');
+
+const config = getConfig();
+
+// Subscription list paging
+const DEFAULT_PAGE_SIZE = 24;
+const MAX_PAGE_SIZE = 100;
+const LIST_STATUSES = ['current', 'active', 'grace', 'paused'];
+const LIST_SORTS = ['expiresAt', 'startAt', 'tenure', 'name'];
+
+// Dashboard filter shortcuts and the list options they stand for
+const LIST_FILTERS = {
+  'expiring-soon': { status: 'active', expiresWithinDays: 7, expiresAfterDays: 1 },
+  'expiring-today': { status: 'active', expiresWithinDays: 1 },
+  'active': { status: 'active', expiresAfterDays: 7 },
+  'grace': { status: 'grace' }
+};
+
+class WebDashboard {
+  constructor(client) {
+    this.client = client;
+    this.app = express();
+    this.port = process.env.PORT || 3000;
+    
+    this.setupMiddleware();
+    this.setupRoutes();
+  }
+
+  setupMiddleware() {
+    // Set EJS as view engine
+    this.app.set('view engine', 'ejs');
+    this.app.set('views', path.join(__dirname, 'views'));
+    
+    // Static files
+    this.app.use(express.static(path.join(__dirname, 'public')));
+    
+    // Body parsing (keep the raw body around for webhook signature checks)
+    this.app.use(express.json({
+      verify: (req, res, buffer) => {
+        req.rawBody = buffer;
+      }
+    }));
+    this.app.use(express.urlencoded({ extended: true }));
+
+    // Login sessions, stored in MongoDB so they survive restarts
+    if (AuthService.isEnabled()) {
+      const secureCookies = config.DASHBOARD_URL.startsWith('https://');
+      if (secureCookies) {
+        // The dashboard runs behind a TLS terminating proxy
+        this.app.set('trust proxy', 1);
+      }
+
+      this.app.use(session({
+        name: 'virelia.sid',
+        secret: config.SESSION_SECRET,
+        resave: false,
+        saveUninitialized: false,
+        store: MongoStore.create({
+          client: mongoose.connection.getClient(),
+          collectionName: 'dashboardSessions',
+          ttl: 7 * 24 * 60 * 60
+        }),
+        cookie: {
+          httpOnly: true,
+          sameSite: 'lax',
+          secure: secureCookies,
+          maxAge: 7 * 24 * 60 * 60 * 1000
+        }
+      }));
+    } else {
+      logger.warn('Dashboard login is not configured (DISCORD_CLIENT_SECRET / SESSION_SECRET), only aggregate stats are shown');
+    }
+
+    this.app.use(selectGuild(this.client));
+    this.app.use(loadViewer());
+    this.app.use(csrfToken);
+  }
+
+  setupRoutes() {
+    // Discord OAuth2 login
+    this.app.use('/auth', createAuthRouter());
+
+    // Staff actions from the dashboard
+    this.app.use('/admin', createAdminRouter(this.client));
+
+    // Main dashboard route
+    this.app.get('/', async (req, res) => {
+      try {
+        const guild = req.guild;
+        if (!guild) {
+          return res.status(500).render('error', { 
+            message: 'Guild not found',
+            error: 'The bot is not connected to the configured guild.'
+          });
+        }
+
+        // Visitors only see aggregate stats and members only their own subscription
+        if (!req.viewer) {
+          return res.render('overview', {
+            title: 'Subscription Dashboard',
+            guild: this.getGuildInfo(guild),
+            stats: await SubscriptionService.getSubscriptionStats(guild.id),
+            timestamp: new Date()
+          });
+        }
+
+        if (!req.viewer.isStaff) {
+          return res.redirect('/me');
+        }
+
+        const listQuery = this.parseListQuery(req.query);
+        const plans = await PlanService.getPlanMap(guild.id);
+
+        // Only the requested page is resolved against Discord
+        const [page, stats, counts] = await Promise.all([
+          this.loadSubscriptionPage(guild, listQuery),
+          SubscriptionService.getSubscriptionStats(guild.id),
+          this.getQuickCounts(guild.id, listQuery)
+        ]);
+
+        const subscriptionData = page.items.map(({ subscription, profile }) => {
+          const role = guild.roles.cache.get(subscription.roleId);
+          const plan = plans.get(subscription.tier);
+          const timeRemaining = this.getTimeRemaining(subscription.expiresAt);
+
+          return {
+            user: profile,
+            subscription: {
+              tenureDays: subscription.totalTenureDays,
+              startAt: subscription.startAt,
+              expiresAt: subscription.expiresAt,
+              daysRemaining: timeRemaining.days,
+              hoursRemaining: timeRemaining.hours,
+              minutesRemaining: timeRemaining.minutes,
+              isExpiringSoon: timeRemaining.days <= 7,
+              isExpiringToday: timeRemaining.days === 0,
+              isInGrace: timeRemaining.expired,
+              graceEndsAt: timeRemaining.expired ? SubscriptionService.getGraceEndsAt(subscription) : null
+            },
+            role: {
+              name: role ? role.name : 'Unknown Role',
+              color: role ? role.hexColor : '#808080'
+            },
+            tier: plan ? {
+              name: plan.name,
+              color: plan.hexColor,
+              perks: plan.perks
+            } : null
+          };
+        });
+
+        // Paused subscriptions are listed separately with their frozen time, on the first page only
+        const pausedData = [];
+
+        if (page.page === 1) {
+          const pausedSubscriptions = await SubscriptionService.getPausedSubscriptions(guild.id);
+          const profiles = await ProfileService.resolveProfiles(guild, pausedSubscriptions.map(subscription => subscription.discordId));
+
+          for (const subscription of pausedSubscriptions) {
+            const plan = plans.get(subscription.tier);
+            const frozenTime = this.getTimeRemaining(new Date(Date.now() + subscription.pausedRemainingMs));
+
+            pausedData.push({
+              user: profiles.get(subscription.discordId) || this.getUnknownProfile(subscription.discordId),
+              subscription: {
+                pausedAt: subscription.pausedAt,
+                daysRemaining: frozenTime.days,
+                hoursRemaining: frozenTime.hours
+              },
+              tier: plan ? {
+                name: plan.name,
+                color: plan.hexColor
+              } : null
+            });
+          }
+
+          // Longest paused first
+          pausedData.sort((a, b) => new Date(a.subscription.pausedAt) - new Date(b.subscription.pausedAt));
+        }
+
+        // Notifications given up after retrying, so staff can re-send them once the cause is fixed
+        const failedData = [];
+
+        if (page.page === 1) {
+          const failedNotifications = await NotificationService.listFailed(guild.id);
+          const profiles = await ProfileService.resolveProfiles(guild, failedNotifications.map(notification => notification.discordId).filter(Boolean));
+
+          for (const notification of failedNotifications) {
+            const channel = notification.kind === 'channel' ? guild.channels.cache.get(notification.targetId) : null;
+
+            failedData.push({
+              id: notification._id.toString(),
+              summary: notification.summary,
+              target: notification.kind === 'dm'
+                ? 'Direct message'
+                : `#${channel ? channel.name : notification.targetId}`,
+              user: notification.discordId
+                ? profiles.get(notification.discordId) || this.getUnknownProfile(notification.discordId)
+                : null,
+              attempts: notification.attempts,
+              lastError: notification.lastError,
+              failedAt: notification.failedAt
+            });
+          }
+        }
+
+        res.render('dashboard', {
+          title: 'Subscription Dashboard',
+          guild: this.getGuildInfo(guild),
+          stats,
+          subscriptions: subscriptionData,
+          pausedSubscriptions: pausedData,
+          failedNotifications: failedData,
+          tiers: [...plans.values()].map(plan => plan.name),
+          query: listQuery,
+          pagination: {
+            page: page.page,
+            pageSize: page.pageSize,
+            total: page.total,
+            totalPages: page.totalPages
+          },
+          counts,
+          timestamp: new Date()
+        });
+
+      } catch (error) {
+        logger.error('Dashboard route error:', error.stack);
+        res.status(500).render('error', {
+          message: 'Internal Server Error',
+          error: error.message
+        });
+      }
+    });
+
+    // Personal page showing only the logged in member's own subscription
+    this.app.get('/me', requireLogin, async (req, res) => {
+      try {
+        const guild = req.guild;
+        if (!guild) {
+          return res.status(500).render('error', { 
+            message: 'Guild not found',
+            error: 'The bot is not connected to the configured guild.'
+          });
+        }
+
+        const subscription = await SubscriptionService.getSubscriptionStatus(guild.id, req.viewer.id);
+        const plan = subscription ? await PlanService.getPlan(guild.id, subscription.tier) : null;
+        const history = await SubscriptionService.getSubscriptionHistory(guild.id, req.viewer.id, 10);
+
+        // Dates use the timezone the member chose in Discord, else one guessed from their locale
+        const timezone = await PreferenceService.getTimezone(req.viewer.id, req.viewer.locale);
+        const formatDate = date => formatDateInTimezone(date, timezone);
+
+        let subscriptionData = null;
+        if (subscription) {
+          const timeRemaining = subscription.isPaused
+            ? this.getTimeRemaining(new Date(Date.now() + subscription.pausedRemainingMs))
+            : this.getTimeRemaining(subscription.expiresAt);
+
+          subscriptionData = {
+            status: subscription.isPaused ? 'paused' : (timeRemaining.expired ? 'grace' : 'active'),
+            startAt: formatDate(subscription.startAt),
+            expiresAt: formatDate(subscription.expiresAt),
+            tenureDays: subscription.totalTenureDays,
+            daysRemaining: timeRemaining.days,
+            hoursRemaining: timeRemaining.hours,
+            minutesRemaining: timeRemaining.minutes,
+            graceEndsAt: timeRemaining.expired ? formatDate(SubscriptionService.getGraceEndsAt(subscription)) : null
+          };
+        }
+
+        res.render('member', {
+          title: 'My Subscription',
+          guild: this.getGuildInfo(guild),
+          timezone,
+          subscription: subscriptionData,
+          tier: plan ? {
+            name: plan.name,
+            color: plan.hexColor,
+            perks: plan.perks
+          } : null,
+          history: history.map(event => ({
+            type: event.type,
+            duration: event.duration && event.duration.amount ? event.duration : null,
+            expiresAt: event.expiresAt && formatDate(event.expiresAt),
+            createdAt: formatDate(event.createdAt)
+          })),
+          timestamp: formatDate(new Date())
+        });
+      } catch (error) {
+        logger.error('Member page route error:', error.stack);
+        res.status(500).render('error', {
+          message: 'Internal Server Error',
+          error: error.message
+        });
+      }
+    });
+
+    // API endpoint for real-time stats
+    this.app.get('/api/stats', async (req, res) => {
+      try {
+        if (!req.guild) {
+          return res.status(503).json({ error: 'Bot is not connected to the guild' });
+        }
+
+        const stats = await SubscriptionService.getSubscriptionStats(req.guild.id);
+        res.json(stats);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // API endpoint for subscription data, paginated and filtered on the server
+    // Query: status, tier, expiresWithinDays, expiresAfterDays, search, sort, order, page, pageSize
+    this.app.get('/api/subscriptions', requireStaff, async (req, res) => {
+      try {
+        const guild = req.guild;
+        if (!guild) {
+          return res.status(503).json({ error: 'Bot is not connected to the guild' });
+        }
+
+        const page = await this.loadSubscriptionPage(guild, this.parseListQuery(req.query, 'active'));
+
+        res.json({
+          data: page.items.map(({ subscription, profile }) => {
+            const timeRemaining = this.getTimeRemaining(subscription.expiresAt);
+
+            return {
+              userId: subscription.discordId,
+              username: profile.username,
+              displayName: profile.displayName,
+              tag: profile.tag,
+              tier: subscription.tier,
+              duration: subscription.duration && subscription.duration.amount ? subscription.duration : null,
+              tenureDays: subscription.totalTenureDays,
+              expiresAt: subscription.expiresAt,
+              daysRemaining: timeRemaining.days,
+              inGrace: timeRemaining.expired
+            };
+          }),
+          page: page.page,
+          pageSize: page.pageSize,
+          total: page.total,
+          totalPages: page.totalPages
+        });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // API endpoint for a user's subscription history
+    this.app.get('/api/users/:id/history', requireStaff, async (req, res) => {
+      try {
+        if (!/^\d{17,20}$/.test(req.params.id)) {
+          return res.status(400).json({ error: 'Invalid user ID' });
+        }
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+        const events = await SubscriptionService.getSubscriptionHistory(req.guild.id, req.params.id, limit);
+
+        res.json(events.map(event => ({
+          type: event.type,
+          executorId: event.executorId,
+          executorTag: event.executorTag,
+          duration: event.duration && event.duration.amount ? event.duration : null,
+          months: event.months ?? null,
+          tier: event.tier,
+          previousExpiresAt: event.previousExpiresAt,
+          expiresAt: event.expiresAt,
+          details: event.details || null,
+          createdAt: event.createdAt
+        })));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // API endpoint for the scheduled jobs: last run, next run and failure counts
+    this.app.get('/api/jobs', requireStaff, async (req, res) => {
+      try {
+        res.json(await SchedulerService.getJobStates());
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Signed purchase webhook from the store
+    this.app.post('/webhooks/purchase', async (req, res) => {
+      try {
+        if (!config.PURCHASE_WEBHOOK_SECRET) {
+          return res.status(404).json({ error: 'Not found' });
+        }
+
+        const deliveryId = req.get('X-Webhook-Delivery');
+        if (!/^[\w-]{1,128}$/.test(deliveryId || '')) {
+          return res.status(400).json({ error: 'Missing or invalid X-Webhook-Delivery header' });
+        }
+
+        // The signature covers the delivery ID, so a captured request can't be resent as a new delivery
+        if (!WebhookService.verifySignature(req.rawBody, req.get('X-Webhook-Timestamp'), deliveryId, req.get('X-Webhook-Signature'))) {
+          logger.warn(`Rejected purchase webhook with invalid or expired signature from ${req.ip}`);
+          return res.status(401).json({ error: 'Invalid signature' });
+        }
+
+        // Purchases without a guildId are for the primary guild
+        const guildId = String((req.body && req.body.guildId) || config.GUILD_ID);
+        const guild = this.client.guilds.cache.get(guildId);
+        if (!guild) {
+          return res.status(404).json({ error: `Bot is not in guild ${guildId}` });
+        }
+
+        const { status, body } = await WebhookService.handlePurchase(guild, deliveryId, req.body);
+        res.status(status).json(body);
+      } catch (error) {
+        logger.error('Error handling purchase webhook', error.stack);
+        res.status(500).json({ error: 'Failed to process purchase' });
+      }
+    });
+
+    // Authenticated management API
+    this.app.use('/api/v1', createApiV1Router(this.client));
+
+    // Health check endpoint, degraded while a scheduled job keeps failing
+    this.app.get('/health', async (req, res) => {
+      const jobs = await SchedulerService.getJobStates().catch(() => []);
+      const failingJobs = jobs.filter(job => job.consecutiveFailures > 0).map(job => job.name);
+
+      res.json({ 
+        status: failingJobs.length > 0 ? 'degraded' : 'ok', 
+        bot: this.client.user ? this.client.user.tag : 'Not logged in',
+        uptime: process.uptime(),
+        failingJobs,
+        timestamp: new Date()
+      });
+    });
+
+    // 404 handler
+    this.app.use('*', (req, res) => {
+      res.status(404).render('error', {
+        message: 'Page Not Found',
+        error: 'The requested page does not exist.'
+      });
+    });
+
+    // Malformed JSON bodies
+    this.app.use((error, req, res, next) => {
+      if (error.type !== 'entity.parse.failed') {
+        return next(error);
+      }
+
+      if (req.originalUrl.startsWith('/api/v1')) {
+        return sendError(res, 400, 'INVALID_JSON', 'The request body is not valid JSON.');
+      }
+      res.status(400).json({ error: 'Invalid JSON' });
+    });
+  }
+
+  /**
+   * Read list options from the query string of the dashboard or /api/subscriptions.
+   * The dashboard sends a `filter` shortcut, the API the individual parameters.
+   * @param {Object} query - Express query object
+   * @param {string} defaultStatus - Status used when none is given
+   * @returns {Object} Normalized list options
+   */
+  parseListQuery(query, defaultStatus = 'current') {
+    const text = value => (typeof value === 'string' ? value.trim() : '');
+    const positive = value => {
+      const number = parseInt(value, 10);
+      return Number.isInteger(number) && number > 0 ? number : null;
+    };
+
+    const options = {
+      filter: LIST_FILTERS[text(query.filter)] ? text(query.filter) : 'all',
+      status: LIST_STATUSES.includes(text(query.status)) ? text(query.status) : defaultStatus,
+      tier: text(query.tier).toLowerCase().slice(0, 50) || null,
+      expiresWithinDays: positive(query.expiresWithinDays),
+      expiresAfterDays: positive(query.expiresAfterDays),
+      search: text(query.search).toLowerCase().slice(0, 100),
+      sort: LIST_SORTS.includes(text(query.sort)) ? text(query.sort) : 'expiresAt',
+      order: text(query.order) === 'desc' ? 'desc' : 'asc',
+      page: positive(query.page) || 1,
+      pageSize: Math.min(positive(query.pageSize) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE)
+    };
+
+    if (options.filter !== 'all') {
+      Object.assign(options, LIST_FILTERS[options.filter]);
+    }
+
+    return options;
+  }
+
+  /**
+   * Load one page of subscriptions together with the Discord profiles of their users.
+   * Searching or sorting by name needs every profile, which comes from the profile cache
+   * after the first request; otherwise the database pages and only that page is resolved.
+   * @param {Object} guild - Discord guild object
+   * @param {Object} options - Options from parseListQuery
+   * @returns {Promise<Object>} Page items ({ subscription, profile }) and pagination info
+   */
+  async loadSubscriptionPage(guild, options) {
+    const { search, sort, order, page, pageSize } = options;
+    let items;
+    let total;
+
+    if (search || sort === 'name') {
+      const { subscriptions } = await SubscriptionService.querySubscriptions({ ...options, guildId: guild.id, sort: 'expiresAt', skip: 0, limit: 0 });
+      const profiles = await ProfileService.resolveProfiles(guild, subscriptions.map(subscription => subscription.discordId));
+
+      items = subscriptions.map(subscription => ({
+        subscription,
+        profile: profiles.get(subscription.discordId) || this.getUnknownProfile(subscription.discordId)
+      }));
+
+      if (search) {
+        items = items.filter(({ subscription, profile }) =>
+          profile.username.toLowerCase().includes(search) ||
+          profile.displayName.toLowerCase().includes(search) ||
+          subscription.discordId === search ||
+          (subscription.tier || '').includes(search));
+      }
+
+      if (sort === 'name') {
+        const direction = order === 'desc' ? -1 : 1;
+        items.sort((a, b) => direction * a.profile.displayName.localeCompare(b.profile.displayName));
+      }
+
+      total = items.length;
+      items = items.slice((page - 1) * pageSize, page * pageSize);
+    } else {
+      const result = await SubscriptionService.querySubscriptions({ ...options, guildId: guild.id, skip: (page - 1) * pageSize, limit: pageSize });
+      const profiles = await ProfileService.resolveProfiles(guild, result.subscriptions.map(subscription => subscription.discordId));
+
+      items = result.subscriptions.map(subscription => ({
+        subscription,
+        profile: profiles.get(subscription.discordId) || this.getUnknownProfile(subscription.discordId)
+      }));
+      total = result.total;
+    }
+
+    return {
+      items,
+      total,
+      page,
+      pageSize,
+      totalPages: Math.max(1, Math.ceil(total / pageSize))
+    };
+  }
+
+  /**
+   * Count subscriptions per expiry window for the quick stats bar
+   * @param {string} guildId - Discord guild ID
+   * @param {Object} options - Options from parseListQuery
+   * @returns {Promise<Object>} Counts for the current tier
+   */
+  async getQuickCounts(guildId, options) {
+    const tier = options.tier;
+    const [expiringSoon, expiringToday, healthy] = await Promise.all([
+      SubscriptionService.countSubscriptions({ guildId, status: 'active', tier, expiresWithinDays: 7, expiresAfterDays: 1 }),
+      SubscriptionService.countSubscriptions({ guildId, status: 'active', tier, expiresWithinDays: 1 }),
+      SubscriptionService.countSubscriptions({ guildId, status: 'active', tier, expiresAfterDays: 7 })
+    ]);
+
+    return { expiringSoon, expiringToday, healthy };
+  }
+
+  // Placeholder for users Discord no longer knows about
+  getUnknownProfile(userId) {
+    return {
+      id: userId,
+      username: userId,
+      displayName: 'Unknown User',
+      tag: userId,
+      avatarURL: 'https://cdn.discordapp.com/embed/avatars/0.png',
+      joinedAt: null,
+      inGuild: false
+    };
+  }
+
+  getGuildInfo(guild) {
+    return {
+      name: guild.name,
+      iconURL: guild.iconURL({ size: 64 }) || null,
+      memberCount: guild.memberCount
+    };
+  }
+
+  getTimeRemaining(expiresAt) {
+    const now = new Date();
+    const timeDiff = expiresAt.getTime() - now.getTime();
+    
+    if (timeDiff <= 0) {
+      return { days: 0, hours: 0, minutes: 0, expired: true };
+    }
+    
+    const days = Math.floor(timeDiff / (1000 * 60 * 60 * 24));
+    const hours = Math.floor((timeDiff % (1000 * 60 * 60 * 24)) / (1000 * 60 * 60));
+    const minutes = Math.floor((timeDiff % (1000 * 60 * 60)) / (1000 * 60));
+    
+    return { days, hours, minutes, expired: false };
+  }
+
+  async start() {
+    return new Promise((resolve) => {
+      this.server = this.app.listen(this.port, () => {
+        logger.info(`🌐 Web dashboard started on http://localhost:${this.port}`);
+        logger.info(`🌐 Web dashboard started on https://subscriptionstatus.virelia.live/`);
+        resolve();
+      });
+    });
+  }
+
+  async stop() {
+    if (this.server) {
+      return new Promise((resolve) => {
+        this.server.close(() => {
+          logger.info('Web dashboard stopped');
+          resolve();
+        });
+      });
+    }
+  }
+}
+
+module.exports = WebDashboard;
@@ -0,0 +1,62 @@
+const AuthService = require('../../services/authService');
+const logger = require('../../utils/logger');
+
+/**
+ * Attach the logged in user to the request as req.viewer (and res.locals.viewer for views).
+ * Staff access is checked on every request for the selected guild (req.guild) so removed
+ * permissions apply immediately.
+ * @returns {Function} Express middleware
+ */
+function loadViewer() {
+  return async (req, res, next) => {
+    req.viewer = null;
+
+    try {
+      const user = req.session && req.session.user;
+      if (user) {
+        req.viewer = {
+          ...user,
+          isStaff: await AuthService.isStaff(req.guild, user.id)
+        };
+      }
+    } catch (error) {
+      logger.warn(`Failed to load dashboard viewer: ${error.message}`);
+    }
+
+    res.locals.viewer = req.viewer;
+    res.locals.authEnabled = AuthService.isEnabled();
+    next();
+  };
+}
+
+/**
+ * Only allow staff to use an API endpoint
+ */
+function requireStaff(req, res, next) {
+  if (!req.viewer) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  if (!req.viewer.isStaff) {
+    return res.status(403).json({ error: 'Staff access required' });
+  }
+
+  next();
+}
+
+/**
+ * Send visitors who are not logged in to the login page
+ */
+function requireLogin(req, res, next) {
+  if (!req.viewer) {
+    return res.redirect(AuthService.isEnabled() ? '/auth/login' : '/');
+  }
+
+  next();
+}
+
+module.exports = {
+  loadViewer,
+  requireStaff,
+  requireLogin
+};
@@ -0,0 +1,37 @@
+const crypto = require('crypto');
+
+/**
+ * Give every session a CSRF token and expose it to views as csrfToken
+ */
+function csrfToken(req, res, next) {
+  if (req.session && !req.session.csrfToken) {
+    req.session.csrfToken = crypto.randomBytes(32).toString('hex');
+  }
+
+  res.locals.csrfToken = req.session ? req.session.csrfToken : null;
+  next();
+}
+
+/**
+ * Reject state-changing requests without the session's CSRF token,
+ * sent as the X-CSRF-Token header or a _csrf form field
+ */
+function requireCsrf(req, res, next) {
+  const expected = req.session && req.session.csrfToken;
+  const received = req.get('X-CSRF-Token') || (req.body && req.body._csrf);
+
+  const valid = Boolean(expected && typeof received === 'string') &&
+    expected.length === received.length &&
+    crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(received));
+
+  if (!valid) {
+    return res.status(403).json({ error: 'Invalid or missing CSRF token' });
+  }
+
+  next();
+}
+
+module.exports = {
+  csrfToken,
+  requireCsrf
+};
@@ -0,0 +1,35 @@
+const { getConfig } = require('../../config/validation');
+
+const config = getConfig();
+
+/**
+ * Pick the guild the dashboard shows as req.guild. A ?guild= query parameter switches
+ * guilds and is remembered in the session; otherwise the last choice or the primary
+ * guild (GUILD_ID) is used. Guilds the bot is not in are ignored.
+ * Views get the bot's guilds as guilds and the selected one as currentGuildId.
+ * @param {Object} client - Discord client
+ * @returns {Function} Express middleware
+ */
+function selectGuild(client) {
+  return (req, res, next) => {
+    const requestedId = typeof req.query.guild === 'string' ? req.query.guild : null;
+    const candidates = [requestedId, req.session && req.session.guildId, config.GUILD_ID];
+
+    const guildId = candidates.find(id => id && client.guilds.cache.has(id));
+    req.guild = guildId ? client.guilds.cache.get(guildId) : null;
+
+    if (req.session && requestedId && requestedId === guildId) {
+      req.session.guildId = guildId;
+    }
+
+    res.locals.guilds = [...client.guilds.cache.values()]
+      .map(guild => ({ id: guild.id, name: guild.name }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+    res.locals.currentGuildId = guildId || null;
+    next();
+  };
+}
+
+module.exports = {
+  selectGuild
+};
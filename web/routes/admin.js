@@ -0,0 +1,142 @@
+const express = require('express');
+const SubscriptionService = require('../../services/subscriptionService');
+const PlanService = require('../../services/planService');
+const NotificationService = require('../../services/notificationService');
+const { SubscriptionError, ValidationError, NotFoundError } = require('../../utils/errors');
+const { requireStaff } = require('../middleware/auth');
+const { requireCsrf } = require('../middleware/csrf');
+const logger = require('../../utils/logger');
+
+/**
+ * Build the staff action routes used by the dashboard. Actions run through the same
+ * SubscriptionService methods as the slash commands and are attributed to the staff account.
+ * They apply to the guild selected on the dashboard (req.guild).
+ * @param {Object} client - Discord client
+ * @returns {Object} Express router
+ */
+function createAdminRouter(client) {
+  const router = express.Router();
+
+  router.use(requireStaff, requireCsrf);
+
+  // Wrap a handler so errors become JSON responses
+  const action = (handler) => async (req, res) => {
+    try {
+      const guild = req.guild;
+      if (!guild) {
+        return res.status(503).json({ error: 'The bot is not connected to the selected guild.' });
+      }
+
+      // Attribute the change to the staff member's Discord account
+      const executor = await client.users.fetch(req.viewer.id);
+      await handler(req, res, { guild, executor, details: { source: 'dashboard' } });
+    } catch (error) {
+      if (error instanceof SubscriptionError) {
+        return res.status(error instanceof NotFoundError ? 404 : 400).json({ error: error.message });
+      }
+
+      logger.error(`Dashboard action ${req.method} ${req.originalUrl} failed`, error.stack);
+      res.status(500).json({
+        error: error.message.includes('Missing Permissions')
+          ? 'The bot does not have permission to manage these roles.'
+          : 'An error occurred while processing the action.'
+      });
+    }
+  };
+
+  const fetchUser = async (userId) => {
+    if (!/^\d{17,20}$/.test(String(userId || '').trim())) {
+      throw new ValidationError('Please enter a valid Discord user ID.');
+    }
+
+    const user = await client.users.fetch(String(userId).trim()).catch(() => null);
+    if (!user) {
+      throw new NotFoundError(`Discord user ${userId} does not exist.`);
+    }
+    return user;
+  };
+
+  const parseDuration = (body) => ({
+    amount: parseInt(body.amount, 10),
+    unit: body.unit || 'months'
+  });
+
+  // Add a subscription for any user ID, or extend it if one exists
+  router.post('/subscriptions', action(async (req, res, { guild, executor, details }) => {
+    const targetUser = await fetchUser(req.body.userId);
+    const plan = req.body.tier ? await PlanService.requirePlan(guild.id, req.body.tier) : null;
+
+    const { subscription, isNew } = await SubscriptionService.grantSubscription(guild, targetUser, parseDuration(req.body), {
+      plan,
+      executor,
+      source: 'dashboard',
+      details
+    });
+
+    logger.info(`Subscription ${isNew ? 'added' : 'extended'} for ${targetUser.tag} (${targetUser.id}) by ${executor.tag} from the dashboard`);
+    res.json({ success: true, isNew, expiresAt: subscription.expiresAt });
+  }));
+
+  // Extend an existing subscription
+  router.post('/subscriptions/:userId/extend', action(async (req, res, { guild, executor, details }) => {
+    const targetUser = await fetchUser(req.params.userId);
+    if (!await SubscriptionService.getSubscriptionStatus(guild.id, targetUser.id)) {
+      throw new NotFoundError(`${targetUser.tag} does not have a subscription.`);
+    }
+
+    const { subscription } = await SubscriptionService.grantSubscription(guild, targetUser, parseDuration(req.body), {
+      executor,
+      source: 'dashboard',
+      details
+    });
+
+    logger.info(`Subscription extended for ${targetUser.tag} (${targetUser.id}) by ${executor.tag} from the dashboard`);
+    res.json({ success: true, expiresAt: subscription.expiresAt });
+  }));
+
+  // Set the expiry to an exact date
+  router.post('/subscriptions/:userId/expiry', action(async (req, res, { guild, executor, details }) => {
+    const targetUser = await fetchUser(req.params.userId);
+
+    const { subscription } = await SubscriptionService.changeExpiry(guild, targetUser, new Date(req.body.expiresAt), {
+      executor,
+      source: 'dashboard',
+      details
+    });
+
+    logger.info(`Subscription expiry for ${targetUser.tag} (${targetUser.id}) set to ${subscription.expiresAt.toISOString()} by ${executor.tag} from the dashboard`);
+    res.json({ success: true, expiresAt: subscription.expiresAt });
+  }));
+
+  // Remove a subscription and its roles
+  router.post('/subscriptions/:userId/remove', action(async (req, res, { guild, executor, details }) => {
+    const targetUser = await fetchUser(req.params.userId);
+
+    await SubscriptionService.revokeSubscription(guild, targetUser, { executor, source: 'dashboard', details });
+
+    logger.info(`Subscription removed for ${targetUser.tag} (${targetUser.id}) by ${executor.tag} from the dashboard`);
+    res.json({ success: true });
+  }));
+
+  // Try to deliver every failed notification again
+  router.post('/notifications/resend-all', action(async (req, res, { guild, executor }) => {
+    const counts = await NotificationService.resendAll(guild);
+
+    logger.info(`Failed notifications of guild ${guild.id} re-sent by ${executor.tag} from the dashboard`);
+    res.json({ success: true, ...counts });
+  }));
+
+  // Try to deliver a failed notification again
+  router.post('/notifications/:id/resend', action(async (req, res, { guild, executor }) => {
+    const notification = await NotificationService.resend(guild, req.params.id);
+
+    logger.info(`Notification ${req.params.id} re-sent by ${executor.tag} from the dashboard`);
+    res.json({ success: true, status: notification.status, lastError: notification.lastError });
+  }));
+
+  return router;
+}
+
+module.exports = {
+  createAdminRouter
+};
@@ -0,0 +1,254 @@
+const express = require('express');
+const SubscriptionService = require('../../services/subscriptionService');
+const PlanService = require('../../services/planService');
+const ApiKeyService = require('../../services/apiKeyService');
+const { SubscriptionError, ValidationError, NotFoundError } = require('../../utils/errors');
+const logger = require('../../utils/logger');
+
+// HTTP status for each SubscriptionError code
+const ERROR_STATUS = {
+  VALIDATION_ERROR: 400,
+  NOT_FOUND: 404,
+  RATE_LIMITED: 429,
+  GUILD_UNAVAILABLE: 503
+};
+
+/**
+ * Send an error in the shared API format: { error: { code, message } }
+ */
+function sendError(res, status, code, message) {
+  res.status(status).json({ error: { code, message } });
+}
+
+/**
+ * Turn a thrown error into an API error response
+ */
+function handleError(res, error) {
+  if (error instanceof SubscriptionError) {
+    return sendError(res, ERROR_STATUS[error.code] || 422, error.code, error.message);
+  }
+
+  logger.error(`API v1 request failed: ${error.message}`, error.stack);
+  sendError(res, 500, 'INTERNAL_ERROR', 'An unexpected error occurred.');
+}
+
+/**
+ * Wrap an async route handler so thrown errors become API error responses
+ */
+function route(handler) {
+  return async (req, res) => {
+    try {
+      await handler(req, res);
+    } catch (error) {
+      handleError(res, error);
+    }
+  };
+}
+
+/**
+ * Require a valid API key with the given scope
+ */
+function requireScope(scope) {
+  return async (req, res, next) => {
+    try {
+      const authorization = req.get('Authorization') || '';
+      const key = authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : req.get('X-API-Key');
+
+      const apiKey = await ApiKeyService.authenticate(key);
+      if (!apiKey) {
+        return sendError(res, 401, 'UNAUTHORIZED', 'A valid API key is required.');
+      }
+
+      if (!apiKey.hasScope(scope)) {
+        return sendError(res, 403, 'FORBIDDEN', `This API key is missing the ${scope} scope.`);
+      }
+
+      req.apiKey = apiKey;
+      req.executor = ApiKeyService.toExecutor(apiKey);
+      next();
+    } catch (error) {
+      handleError(res, error);
+    }
+  };
+}
+
+/**
+ * Convert a subscription document to its API representation
+ */
+function serializeSubscription(subscription) {
+  let status = 'active';
+  if (subscription.isPaused) {
+    status = 'paused';
+  } else if (subscription.expiresAt <= new Date()) {
+    status = 'grace';
+  }
+
+  return {
+    discordId: subscription.discordId,
+    status,
+    tier: subscription.tier || null,
+    roleIds: subscription.getRoleIds(),
+    duration: subscription.duration && subscription.duration.amount ? subscription.duration : null,
+    tenureDays: subscription.totalTenureDays,
+    startAt: subscription.startAt,
+    expiresAt: subscription.expiresAt,
+    pausedAt: subscription.pausedAt || null,
+    remainingMs: subscription.remainingMs
+  };
+}
+
+/**
+ * Build the /api/v1 router. Every change goes through SubscriptionService so
+ * roles, notifications and the history ledger behave as with slash commands.
+ * Each API key belongs to one guild and only sees that guild's subscriptions.
+ * @param {Object} client - Discord client
+ * @returns {Object} Express router
+ */
+function createApiV1Router(client) {
+  const router = express.Router();
+
+  const getGuild = (req) => {
+    const guild = client.guilds.cache.get(req.apiKey.guildId);
+    if (!guild) {
+      throw new SubscriptionError('The bot is not connected to the guild of this API key.', 'GUILD_UNAVAILABLE');
+    }
+    return guild;
+  };
+
+  const fetchUser = async (userId) => {
+    if (!/^\d{17,20}$/.test(String(userId || ''))) {
+      throw new ValidationError('discordId must be a Discord user ID.');
+    }
+
+    const user = await client.users.fetch(userId).catch(() => null);
+    if (!user) {
+      throw new NotFoundError(`Discord user ${userId} does not exist.`);
+    }
+    return user;
+  };
+
+  const requireSubscription = async (req, userId) => {
+    const subscription = await SubscriptionService.getSubscriptionStatus(req.apiKey.guildId, userId);
+    if (!subscription) {
+      throw new NotFoundError('This user does not have a subscription.');
+    }
+    return subscription;
+  };
+
+  // Details stored on ledger events created through the API
+  const apiDetails = (req) => ({ source: 'api', apiKey: req.apiKey.prefix });
+
+  // List subscriptions by status
+  router.get('/subscriptions', requireScope('subscriptions:read'), route(async (req, res) => {
+    const status = req.query.status || 'active';
+    const guildId = req.apiKey.guildId;
+    const loaders = {
+      active: () => SubscriptionService.getActiveSubscriptions(guildId),
+      paused: () => SubscriptionService.getPausedSubscriptions(guildId),
+      grace: () => SubscriptionService.getGraceSubscriptions(guildId)
+    };
+
+    if (!loaders[status]) {
+      throw new ValidationError('status must be one of active, paused or grace.');
+    }
+
+    const subscriptions = await loaders[status]();
+    res.json({ data: subscriptions.map(serializeSubscription) });
+  }));
+
+  // Look up a single subscription
+  router.get('/subscriptions/:userId', requireScope('subscriptions:read'), route(async (req, res) => {
+    const subscription = await requireSubscription(req, req.params.userId);
+    res.json({ data: serializeSubscription(subscription) });
+  }));
+
+  // A user's subscription history
+  router.get('/subscriptions/:userId/history', requireScope('subscriptions:read'), route(async (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const events = await SubscriptionService.getSubscriptionHistory(req.apiKey.guildId, req.params.userId, limit);
+
+    res.json({
+      data: events.map(event => ({
+        type: event.type,
+        executorId: event.executorId,
+        executorTag: event.executorTag,
+        duration: event.duration && event.duration.amount ? event.duration : null,
+        tier: event.tier,
+        previousExpiresAt: event.previousExpiresAt,
+        expiresAt: event.expiresAt,
+        details: event.details || null,
+        createdAt: event.createdAt
+      }))
+    });
+  }));
+
+  // Create a subscription, or extend it if the user already has one
+  router.post('/subscriptions', requireScope('subscriptions:write'), route(async (req, res) => {
+    const { discordId, duration, tier } = req.body || {};
+
+    const targetUser = await fetchUser(discordId);
+    const plan = tier ? await PlanService.requirePlan(req.apiKey.guildId, tier) : null;
+
+    const { subscription, isNew } = await SubscriptionService.grantSubscription(getGuild(req), targetUser, duration, {
+      plan,
+      executor: req.executor,
+      source: 'api',
+      details: apiDetails(req)
+    });
+
+    res.status(isNew ? 201 : 200).json({ data: serializeSubscription(subscription), isNew });
+  }));
+
+  // Extend an existing subscription
+  router.post('/subscriptions/:userId/extend', requireScope('subscriptions:write'), route(async (req, res) => {
+    const targetUser = await fetchUser(req.params.userId);
+    await requireSubscription(req, targetUser.id);
+
+    const { subscription } = await SubscriptionService.grantSubscription(getGuild(req), targetUser, (req.body || {}).duration, {
+      executor: req.executor,
+      source: 'api',
+      details: apiDetails(req)
+    });
+
+    res.json({ data: serializeSubscription(subscription) });
+  }));
+
+  // Set the expiry to an exact date, which can also shorten a subscription
+  router.put('/subscriptions/:userId/expiry', requireScope('subscriptions:write'), route(async (req, res) => {
+    const targetUser = await fetchUser(req.params.userId);
+    const expiresAt = new Date((req.body || {}).expiresAt);
+
+    const { subscription, previousExpiresAt } = await SubscriptionService.changeExpiry(getGuild(req), targetUser, expiresAt, {
+      executor: req.executor,
+      source: 'api',
+      details: apiDetails(req)
+    });
+
+    res.json({ data: serializeSubscription(subscription), previousExpiresAt });
+  }));
+
+  // Remove a subscription and its roles
+  router.delete('/subscriptions/:userId', requireScope('subscriptions:write'), route(async (req, res) => {
+    const targetUser = await fetchUser(req.params.userId);
+
+    await SubscriptionService.revokeSubscription(getGuild(req), targetUser, {
+      executor: req.executor,
+      source: 'api',
+      details: apiDetails(req)
+    });
+
+    res.status(204).end();
+  }));
+
+  // Unknown API routes
+  router.use((req, res) => {
+    sendError(res, 404, 'NOT_FOUND', 'The requested API endpoint does not exist.');
+  });
+
+  return router;
+}
+
+module.exports = {
+  createApiV1Router,
+  sendError
+};
@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const express = require('express');
+const AuthService = require('../../services/authService');
+const { SubscriptionError } = require('../../utils/errors');
+const { requireCsrf } = require('../middleware/csrf');
+const logger = require('../../utils/logger');
+
+/**
+ * Build the Discord OAuth2 login routes
+ * @returns {Object} Express router
+ */
+function createAuthRouter() {
+  const router = express.Router();
+
+  // Sessions only exist when login is configured
+  router.use((req, res, next) => {
+    if (!AuthService.isEnabled()) {
+      return res.status(404).render('error', {
+        message: 'Login Unavailable',
+        error: 'Dashboard login has not been configured.'
+      });
+    }
+    next();
+  });
+
+  // Redirect to Discord to log in
+  router.get('/login', (req, res) => {
+    if (req.session.user) {
+      return res.redirect('/');
+    }
+
+    req.session.oauthState = crypto.randomBytes(16).toString('hex');
+    res.redirect(AuthService.getAuthorizeUrl(req.session.oauthState));
+  });
+
+  // Discord redirects back here after the user authorized the login
+  router.get('/callback', async (req, res) => {
+    try {
+      const { code, state } = req.query;
+      const expectedState = req.session.oauthState;
+
+      if (!code || !state || !expectedState || state !== expectedState) {
+        return res.status(400).render('error', {
+          message: 'Login Failed',
+          error: 'The login request was invalid or has expired. Please try again.'
+        });
+      }
+
+      const user = await AuthService.getUserFromCode(code);
+
+      // Start a fresh session so a session ID set before login can't be reused
+      req.session.regenerate((error) => {
+        if (error) {
+          logger.error('Failed to create dashboard session', error.stack);
+          return res.status(500).render('error', {
+            message: 'Login Failed',
+            error: 'Could not start your session. Please try again.'
+          });
+        }
+
+        req.session.user = {
+          id: user.id,
+          username: user.username,
+          displayName: user.global_name || user.username,
+          // Guesses the timezone of dates until the user sets one
+          locale: user.locale || null,
+          avatarURL: user.avatar
+            ? `https://cdn.discordapp.com/avatars/${user.id}/${user.avatar}.png?size=128`
+            : `https://cdn.discordapp.com/embed/avatars/${Number((BigInt(user.id) >> 22n) % 6n)}.png`
+        };
+
+        logger.info(`Dashboard login by ${user.username} (${user.id})`);
+        res.redirect('/');
+      });
+    } catch (error) {
+      if (!(error instanceof SubscriptionError)) {
+        logger.error('Dashboard login failed', error.stack);
+      }
+
+      res.status(502).render('error', {
+        message: 'Login Failed',
+        error: error instanceof SubscriptionError ? error.message : 'Could not reach Discord. Please try again.'
+      });
+    }
+  });
+
+  // Log out and return to the public overview
+  router.post('/logout', requireCsrf, (req, res) => {
+    req.session.destroy(() => {
+      res.clearCookie('virelia.sid');
+      res.redirect('/');
+    });
+  });
+
+  return router;
+}
+
+module.exports = {
+  createAuthRouter
+};